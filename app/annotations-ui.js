@@ -0,0 +1,469 @@
+/**
+ * Film Home School - Highlights and Notes UI
+ * The toolbar offered on text selected in a lesson, the marks over highlighted passages
+ * and the side panel listing every highlight and note, with Markdown export
+ */
+
+import { createTextQuote, anchorTextQuote, highlightRange, removeHighlights } from './text-quote.js'
+import { annotationsToMarkdown } from './annotations.js'
+import { placeFloating, autoUpdate } from './placement.js'
+import { lessonHref } from './router.js'
+import { t } from './i18n.js'
+
+// Controls and other furniture added around the lesson; their text can't be highlighted
+const IGNORE_SELECTOR = '.lesson-progress, .lesson-quiz, .lesson-translation-notice, .lesson-video-annotations, video, button';
+
+const MARK_SELECTOR = 'mark.annotation-highlight';
+
+// How long a passage stays flashed after jumping to it from the panel (ms)
+const FLASH_DURATION = 1500;
+
+// Lesson being annotated: { container, slug, orphans, stop }
+let lessonView = null;
+
+// Side panel API from setupNotesPanel(): { render, open }
+let panelView = null;
+
+// Toolbar for the current selection, created on first use
+let toolbar = null;
+let pendingQuote = null;
+let stopTracking = null;
+
+/**
+ * Show a lesson's highlights and let the student add more by selecting text
+ * Call after the glossary has been applied, so the marks go inside the glossary-term spans
+ * @param {Element} container - The lesson container
+ * @param {string} slug - Lesson slug
+ * @param {object} store - Annotation store from createAnnotationStore()
+ */
+function attachLessonAnnotations(container, slug, store) {
+    detachLessonAnnotations();
+
+    const view = { container, slug, store, orphans: new Set() };
+
+    function renderMarks() {
+        removeHighlights(container, MARK_SELECTOR);
+        view.orphans.clear();
+
+        store.list(slug).forEach(annotation => {
+            const range = anchorTextQuote(container, annotation.quote, { ignore: IGNORE_SELECTOR });
+            if (!range) {
+                view.orphans.add(annotation.id);
+                return;
+            }
+            highlightRange(range, () => createMark(annotation), { ignore: IGNORE_SELECTOR });
+        });
+
+        if (panelView) {
+            panelView.render();
+        }
+    }
+
+    // Wait for the selection to settle (end of a drag or Shift+arrow) before offering the toolbar
+    function handleSelectionEnd() {
+        setTimeout(() => updateToolbar(view), 0);
+    }
+
+    function handleSelectionChange() {
+        const selection = document.getSelection();
+        if (!selection || selection.isCollapsed) {
+            hideToolbar();
+        }
+    }
+
+    // Clicking a highlight opens its entry in the panel (terms keep their tooltip)
+    function handleClick(event) {
+        const mark = event.target.closest(MARK_SELECTOR);
+        if (mark && !mark.closest('.glossary-term') && panelView && document.getSelection().isCollapsed) {
+            panelView.open(mark.dataset.annotationId);
+        }
+    }
+
+    container.addEventListener('pointerup', handleSelectionEnd);
+    container.addEventListener('keyup', handleSelectionEnd);
+    container.addEventListener('click', handleClick);
+    document.addEventListener('selectionchange', handleSelectionChange);
+    const unsubscribe = store.subscribe(renderMarks);
+
+    view.stop = () => {
+        container.removeEventListener('pointerup', handleSelectionEnd);
+        container.removeEventListener('keyup', handleSelectionEnd);
+        container.removeEventListener('click', handleClick);
+        document.removeEventListener('selectionchange', handleSelectionChange);
+        unsubscribe();
+        hideToolbar();
+    };
+
+    lessonView = view;
+    renderMarks();
+}
+
+/**
+ * Stop annotating the current lesson (called when navigating away)
+ */
+function detachLessonAnnotations() {
+    if (!lessonView) {
+        return;
+    }
+    lessonView.stop();
+    lessonView = null;
+
+    if (panelView) {
+        panelView.render();
+    }
+}
+
+/**
+ * Set up the side panel listing highlights and notes, and the button that opens it
+ * @param {HTMLElement} panel - Empty panel element
+ * @param {HTMLElement} toggle - Button that opens and closes the panel (may contain a .notes-count badge)
+ * @param {object} store - Annotation store
+ * @param {Array} lessons - All lessons, for titles and order (read on every render)
+ */
+function setupNotesPanel(panel, toggle, store, lessons) {
+    const count = toggle.querySelector('.notes-count');
+    toggle.setAttribute('aria-controls', panel.id);
+    toggle.setAttribute('aria-expanded', 'false');
+
+    function render() {
+        // Keep focus on the same control across re-renders (saving a note re-renders the list)
+        const active = panel.contains(document.activeElement) ? document.activeElement : null;
+        const activeItem = active && active.closest('[data-annotation-id]');
+        const restore = active && active.dataset.action
+            ? { id: activeItem ? activeItem.dataset.annotationId : null, action: active.dataset.action }
+            : null;
+
+        const annotations = store.list();
+        if (count) {
+            count.textContent = String(annotations.length);
+            count.hidden = annotations.length === 0;
+        }
+
+        panel.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'notes-panel-header';
+
+        const title = document.createElement('h2');
+        title.id = `${panel.id}-title`;
+        title.tabIndex = -1;
+        title.textContent = t('notes.title');
+        header.appendChild(title);
+        panel.setAttribute('aria-labelledby', title.id);
+
+        const closeButton = createIconButton('close', t('notes.close'), close);
+        closeButton.className = 'notes-panel-close';
+        closeButton.dataset.action = 'close';
+        header.appendChild(closeButton);
+        panel.appendChild(header);
+
+        const exportButton = createLabelledButton('download', t('notes.export'), () => {
+            download('notes.md', annotationsToMarkdown(store.list(), lessons, t('notes.exportTitle')), 'text/markdown');
+        });
+        exportButton.className = 'notes-export';
+        exportButton.dataset.action = 'export';
+        exportButton.disabled = annotations.length === 0;
+        panel.appendChild(exportButton);
+
+        if (annotations.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'notes-empty';
+            empty.textContent = t('notes.empty');
+            panel.appendChild(empty);
+        }
+
+        groupByLesson(annotations, lessons, lessonView && lessonView.slug).forEach(({ slug, lesson, items }) => {
+            const section = document.createElement('section');
+            section.className = 'notes-group';
+
+            const heading = document.createElement('h3');
+            const link = document.createElement('a');
+            link.href = lessonHref(slug);
+            link.textContent = lesson ? lesson.title : slug;
+            heading.appendChild(link);
+            section.appendChild(heading);
+
+            const list = document.createElement('ul');
+            list.className = 'notes-list';
+            items.forEach(annotation => list.appendChild(createNoteItem(annotation)));
+            section.appendChild(list);
+
+            panel.appendChild(section);
+        });
+
+        if (restore) {
+            const selector = restore.id
+                ? `[data-annotation-id="${restore.id}"] [data-action="${restore.action}"]`
+                : `[data-action="${restore.action}"]`;
+            const target = panel.querySelector(selector);
+            if (target && !target.disabled) {
+                target.focus();
+            } else {
+                title.focus();
+            }
+        }
+    }
+
+    function createNoteItem(annotation) {
+        const onLesson = !!lessonView && lessonView.slug === annotation.lessonSlug;
+        const orphaned = onLesson && lessonView.orphans.has(annotation.id);
+
+        const item = document.createElement('li');
+        item.className = 'notes-item';
+        item.dataset.annotationId = annotation.id;
+
+        const quote = document.createElement('blockquote');
+        quote.className = 'notes-quote';
+        quote.textContent = annotation.quote.exact;
+        item.appendChild(quote);
+
+        if (orphaned) {
+            const warning = document.createElement('p');
+            warning.className = 'notes-orphaned';
+            warning.textContent = t('notes.orphaned');
+            item.appendChild(warning);
+        }
+
+        const note = document.createElement('textarea');
+        note.className = 'notes-text';
+        note.rows = 2;
+        note.value = annotation.note;
+        note.placeholder = t('notes.placeholder');
+        note.setAttribute('aria-label', t('notes.noteLabel'));
+        note.dataset.action = 'note';
+        note.addEventListener('change', () => store.setNote(annotation.id, note.value.trim()));
+        item.appendChild(note);
+
+        const actions = document.createElement('div');
+        actions.className = 'notes-actions';
+
+        if (onLesson && !orphaned) {
+            const show = createIconButton('my_location', t('notes.show'), () => showPassage(annotation.id));
+            show.dataset.action = 'show';
+            actions.appendChild(show);
+        }
+
+        const remove = createIconButton('delete', t('notes.delete'), () => store.remove(annotation.id));
+        remove.dataset.action = 'delete';
+        actions.appendChild(remove);
+
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Open the panel, focusing an annotation's note or the panel heading
+     * @param {string} [id] - Annotation to focus
+     */
+    function open(id) {
+        panel.hidden = false;
+        toggle.setAttribute('aria-expanded', 'true');
+
+        const note = id ? panel.querySelector(`[data-annotation-id="${id}"] .notes-text`) : null;
+        if (note) {
+            note.scrollIntoView({ block: 'nearest' });
+            note.focus();
+        } else {
+            panel.querySelector('h2').focus();
+        }
+    }
+
+    function close() {
+        const hadFocus = panel.contains(document.activeElement);
+        panel.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+        if (hadFocus) {
+            toggle.focus();
+        }
+    }
+
+    toggle.addEventListener('click', () => {
+        if (panel.hidden) {
+            open();
+        } else {
+            close();
+        }
+    });
+
+    panel.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            close();
+        }
+    });
+
+    store.subscribe(render);
+    panelView = { render, open };
+    render();
+}
+
+/**
+ * Offer the toolbar for the current selection when it is lesson text
+ */
+function updateToolbar(view) {
+    const selection = document.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+        hideToolbar();
+        return;
+    }
+
+    const range = selection.getRangeAt(0);
+    if (!view.container.contains(range.commonAncestorContainer)) {
+        hideToolbar();
+        return;
+    }
+
+    pendingQuote = createTextQuote(view.container, range, { ignore: IGNORE_SELECTOR });
+    if (!pendingQuote) {
+        hideToolbar();
+        return;
+    }
+
+    const element = getToolbar();
+    element.innerHTML = '';
+    element.setAttribute('aria-label', t('notes.toolbar'));
+    element.append(
+        createLabelledButton('format_ink_highlighter', t('notes.highlight'), () => saveSelection(false)),
+        createLabelledButton('edit_note', t('notes.addNote'), () => saveSelection(true))
+    );
+    element.hidden = false;
+    placeFloating(element, range, { side: 'top', fallbacks: ['bottom'], offset: 8 });
+
+    if (stopTracking) {
+        stopTracking();
+    }
+    stopTracking = autoUpdate(() => placeFloating(element, range, { side: 'top', fallbacks: ['bottom'], offset: 8 }));
+}
+
+function hideToolbar() {
+    pendingQuote = null;
+    if (stopTracking) {
+        stopTracking();
+        stopTracking = null;
+    }
+    if (toolbar) {
+        toolbar.hidden = true;
+    }
+}
+
+function getToolbar() {
+    if (toolbar) {
+        return toolbar;
+    }
+
+    toolbar = document.createElement('div');
+    toolbar.className = 'annotation-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.hidden = true;
+
+    // Keep the text selected while pressing a button
+    toolbar.addEventListener('pointerdown', event => event.preventDefault());
+
+    document.body.appendChild(toolbar);
+    return toolbar;
+}
+
+/**
+ * Save the selected passage, then open its note when asked
+ */
+function saveSelection(withNote) {
+    if (!lessonView || !pendingQuote) {
+        return;
+    }
+
+    const annotation = lessonView.store.add(lessonView.slug, pendingQuote);
+    document.getSelection().removeAllRanges();
+    hideToolbar();
+
+    if (withNote && panelView) {
+        panelView.open(annotation.id);
+    }
+}
+
+/**
+ * Scroll a highlighted passage into view and flash it
+ */
+function showPassage(id) {
+    if (!lessonView) {
+        return;
+    }
+    const marks = lessonView.container.querySelectorAll(`${MARK_SELECTOR}[data-annotation-id="${id}"]`);
+    if (marks.length === 0) {
+        return;
+    }
+    marks[0].scrollIntoView({ block: 'center' });
+    marks.forEach(mark => mark.classList.add('is-flashing'));
+    setTimeout(() => marks.forEach(mark => mark.classList.remove('is-flashing')), FLASH_DURATION);
+}
+
+function createMark(annotation) {
+    const mark = document.createElement('mark');
+    mark.className = 'annotation-highlight';
+    mark.dataset.annotationId = annotation.id;
+    if (annotation.note) {
+        mark.classList.add('has-note');
+        mark.title = annotation.note;
+    }
+    return mark;
+}
+
+/**
+ * Group annotations by lesson: the lesson on screen first, then course order
+ */
+function groupByLesson(annotations, lessons, currentSlug) {
+    const order = new Map(lessons.map((lesson, index) => [lesson.slug, index]));
+    const groups = new Map();
+
+    annotations.forEach(annotation => {
+        if (!groups.has(annotation.lessonSlug)) {
+            groups.set(annotation.lessonSlug, []);
+        }
+        groups.get(annotation.lessonSlug).push(annotation);
+    });
+
+    const rank = slug => (slug === currentSlug ? -1 : order.get(slug) ?? Infinity);
+    return Array.from(groups.keys())
+        .sort((a, b) => rank(a) - rank(b))
+        .map(slug => ({ slug, lesson: lessons.find(item => item.slug === slug), items: groups.get(slug) }));
+}
+
+function createIconButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.appendChild(createIcon(icon));
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createLabelledButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.appendChild(createIcon(icon));
+    button.appendChild(document.createTextNode(label));
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createIcon(name) {
+    const icon = document.createElement('span');
+    icon.className = 'material-symbols-rounded';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = name;
+    return icon;
+}
+
+function download(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke after the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export { attachLessonAnnotations, detachLessonAnnotations, setupNotesPanel }
@@ -0,0 +1,244 @@
+/**
+ * Film Home School - Highlights and Notes
+ * Passages students highlight in lessons, optionally with a note. Each one is anchored by a
+ * text quote (see text-quote.js). Guests keep them in localStorage; signed-in students use the
+ * `annotations` table, and guest annotations are merged into the account on sign-in.
+ */
+
+import { createLogger } from './logger.js'
+import { syncGuestRecords } from './guest-sync.js'
+
+const log = createLogger('annotations');
+
+const STORAGE_KEY = 'annotations';
+
+/**
+ * Create an annotation store
+ * @param {object} client - Supabase client
+ * @returns {object} - Annotation store API
+ */
+function createAnnotationStore(client) {
+    // id -> { id, lessonSlug, quote: { prefix, exact, suffix }, note, createdAt, updatedAt }
+    let records = readLocal();
+    let user = null;
+    // Latest user passed to setUser(); user only follows once their annotations are loaded
+    let requestedUser = null;
+    const listeners = new Set();
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Save an annotation to wherever annotations currently live
+     */
+    async function persist(id) {
+        if (!user) {
+            writeLocal(records);
+            return;
+        }
+
+        const { error } = await client
+            .from('annotations')
+            .upsert(toRow(user.id, records[id]), { onConflict: 'id' });
+
+        if (error) {
+            log.error('Failed to save annotation', error);
+        }
+    }
+
+    return {
+        /**
+         * Switch between guest and account annotations
+         * On sign-in, guest annotations are added to the account and cleared locally
+         * @param {object|null} nextUser - Supabase user, or null when signed out
+         */
+        async setUser(nextUser) {
+            if ((nextUser && nextUser.id) === (requestedUser && requestedUser.id)) {
+                return;
+            }
+            requestedUser = nextUser;
+
+            if (!nextUser) {
+                user = null;
+                records = readLocal();
+                notify();
+                return;
+            }
+
+            await syncGuestRecords(client, 'annotations', {
+                userId: nextUser.id,
+                columns: 'id, lesson_slug, quote_prefix, quote_exact, quote_suffix, note, created_at, updated_at',
+                onConflict: 'id',
+                storageKey: STORAGE_KEY,
+                readGuest: readLocal,
+                fromRow: row => [row.id, fromRow(row)],
+                toRow: (userId, id, record) => toRow(userId, record),
+                apply: merged => {
+                    // Signed out or switched accounts while this one was loading
+                    if (requestedUser !== nextUser) {
+                        return false;
+                    }
+                    user = nextUser;
+                    records = merged;
+                    notify();
+                    return true;
+                },
+                log
+            });
+        },
+
+        /**
+         * @param {string} [lessonSlug] - Only this lesson's annotations
+         * @returns {Array<object>} - Annotations, oldest first
+         */
+        list(lessonSlug) {
+            return Object.values(records)
+                .filter(record => !lessonSlug || record.lessonSlug === lessonSlug)
+                .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        },
+
+        /**
+         * @param {string} id - Annotation id
+         * @returns {object|null} - The annotation, or null
+         */
+        get(id) {
+            return records[id] || null;
+        },
+
+        /**
+         * Highlight a passage
+         * @param {string} lessonSlug - Lesson slug
+         * @param {object} quote - { prefix, exact, suffix } from createTextQuote()
+         * @param {string} [note] - Note on the passage
+         * @returns {object} - The new annotation
+         */
+        add(lessonSlug, quote, note = '') {
+            const now = new Date().toISOString();
+            const id = crypto.randomUUID();
+            records[id] = { id, lessonSlug, quote, note, createdAt: now, updatedAt: now };
+            persist(id);
+            notify();
+            return records[id];
+        },
+
+        /**
+         * Change the note on an annotation
+         * @param {string} id - Annotation id
+         * @param {string} note - New note ('' for a plain highlight)
+         */
+        setNote(id, note) {
+            const record = records[id];
+            if (!record || record.note === note) {
+                return;
+            }
+            records[id] = { ...record, note, updatedAt: new Date().toISOString() };
+            persist(id);
+            notify();
+        },
+
+        /**
+         * Delete an annotation
+         * @param {string} id - Annotation id
+         */
+        async remove(id) {
+            if (!records[id]) {
+                return;
+            }
+            delete records[id];
+            notify();
+
+            if (!user) {
+                writeLocal(records);
+                return;
+            }
+
+            const { error } = await client.from('annotations').delete().eq('id', id);
+            if (error) {
+                log.error('Failed to delete annotation', error);
+            }
+        },
+
+        /**
+         * Listen for changes (sign-in, sign-out, edits)
+         * @param {Function} listener - Called with no arguments
+         * @returns {Function} - Unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * Write annotations out as Markdown, grouped by lesson in course order
+ * @param {Array<object>} annotations - Annotations from the store
+ * @param {Array<object>} lessons - All lessons, for titles and order
+ * @param {string} title - Document heading
+ * @returns {string} - Markdown text
+ */
+function annotationsToMarkdown(annotations, lessons, title) {
+    const order = new Map(lessons.map((lesson, index) => [lesson.slug, index]));
+    const groups = new Map();
+
+    annotations.forEach(annotation => {
+        if (!groups.has(annotation.lessonSlug)) {
+            groups.set(annotation.lessonSlug, []);
+        }
+        groups.get(annotation.lessonSlug).push(annotation);
+    });
+
+    const sections = Array.from(groups.keys())
+        .sort((a, b) => (order.get(a) ?? Infinity) - (order.get(b) ?? Infinity))
+        .map(slug => {
+            const lesson = lessons.find(item => item.slug === slug);
+            const entries = groups.get(slug).map(annotation => {
+                const quote = annotation.quote.exact.split(/\r?\n/).map(line => `> ${line}`).join('\n');
+                return annotation.note ? `${quote}\n\n${annotation.note.trim()}` : quote;
+            });
+            return [`## ${lesson ? lesson.title : slug}`, ...entries].join('\n\n');
+        });
+
+    return [`# ${title}`, ...sections].join('\n\n') + '\n';
+}
+
+function toRow(userId, record) {
+    return {
+        id: record.id,
+        user_id: userId,
+        lesson_slug: record.lessonSlug,
+        quote_prefix: record.quote.prefix,
+        quote_exact: record.quote.exact,
+        quote_suffix: record.quote.suffix,
+        note: record.note,
+        created_at: record.createdAt,
+        updated_at: record.updatedAt
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        lessonSlug: row.lesson_slug,
+        quote: { prefix: row.quote_prefix, exact: row.quote_exact, suffix: row.quote_suffix },
+        note: row.note || '',
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function readLocal() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        log.warn('Ignoring unreadable local annotations:', error);
+        return {};
+    }
+}
+
+function writeLocal(records) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+}
+
+export { createAnnotationStore, annotationsToMarkdown }
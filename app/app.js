@@ -4,200 +4,751 @@
  */
 
 import { createClient } from '@supabase/supabase-js'
+import { renderLesson, renderLessonMessage, renderTableOfContents, setActiveLesson } from './lessons.js'
+import { createRouter, lessonHref, glossaryHref, slugify } from './router.js'
+import { renderGlossaryPage } from './glossary-page.js'
+import { parseGlossaryCSV, hasProblems } from './csv.js'
+import { parseAliases, getTermLabel } from './glossary-terms.js'
+import { getGlossaryMatcher, clearGlossaryMatcher } from './glossary-matcher.js'
+import { staleWhileRevalidate, writeCache } from './offline-store.js'
+import { watchConnectivity } from './pwa.js'
+import { setupAccount } from './auth.js'
+import { createProgressStore } from './progress.js'
+import { attachLessonProgress, detachLessonProgress, markCompletedLessons, renderContinueLink } from './progress-ui.js'
+import { createQuizResultsStore } from './quiz.js'
+import { renderQuizIntro, startQuiz } from './quiz-ui.js'
+import { createFlashcardDeck } from './flashcards.js'
+import { renderFlashcards, stopFlashcards, createStudyButton, watchDueCount } from './flashcards-ui.js'
+import { placeFloating, autoUpdate } from './placement.js'
+import { createGlossaryEditor } from './glossary-admin.js'
+import { renderGlossaryAdmin } from './glossary-admin-ui.js'
+import { renderLinkedDefinition, getRelatedTerms, createTermResolver } from './glossary-relations.js'
+import { renderConceptMap } from './concept-map.js'
+import { getLocale, onLocaleChange, t, applyMessages, setupLanguageSwitcher, localizeLesson, localizeGlossary } from './i18n.js'
+import { createAnnotationStore } from './annotations.js'
+import { attachLessonAnnotations, detachLessonAnnotations, setupNotesPanel } from './annotations-ui.js'
+import { loadSearchIndex } from './search.js'
+import { setupCommandPalette } from './command-palette.js'
+import { setupPreferences } from './preferences.js'
+import { setupSettingsPanel } from './settings-ui.js'
+import { createLogger } from './logger.js'
+import { setupStatusBanner } from './status-banner.js'
 
-// Supabase Configuration
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
+// Site name used as the suffix of every document title
+const SITE_TITLE = 'film(home)school';
 
-// Initialize Supabase client
-export const supabase = createClient(supabaseUrl, supabaseAnonKey)
+const log = createLogger('app');
 
-// Application initialization
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('Film Home School application loaded');
-    init();
-});
+/**
+ * Create the Supabase client from VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY
+ * PKCE returns magic links as ?code=... so they don't collide with the hash router
+ * @returns {object} - Supabase client
+ */
+function createSupabaseClient() {
+    return createClient(import.meta.env.VITE_SUPABASE_URL, import.meta.env.VITE_SUPABASE_ANON_KEY, {
+        auth: { flowType: 'pkce' }
+    });
+}
 
 /**
  * Initialize the application
+ * @param {object} [options] - { client }: a Supabase client to use instead of createSupabaseClient()
  */
-async function init() {
-    console.log('Initializing Film Home School...');
-    console.log('Supabase URL:', import.meta.env.VITE_SUPABASE_URL);
-    console.log('Supabase Key exists:', !!import.meta.env.VITE_SUPABASE_ANON_KEY);
+async function init(options = {}) {
+    log.info('Initializing Film Home School');
+    
+    const client = options.client || createSupabaseClient();
     
     // Setup event listeners FIRST before any DOM manipulation
     setupEventListeners();
     
-    // Load glossary terms from Supabase
-    const glossaryMap = await loadGlossary();
-    console.log('Glossary loaded with', glossaryMap.size, 'terms');
+    // Translate the page shell now and whenever the language changes
+    document.documentElement.lang = getLocale();
+    applyMessages();
+    onLocaleChange(() => applyMessages());
+    
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) {
+        setupLanguageSwitcher(languageSelect);
+    }
+    
+    const offlineIndicator = document.getElementById('offline-indicator');
+    if (offlineIndicator) {
+        watchConnectivity(offlineIndicator);
+    }
     
-    // Highlight glossary terms in the main content
-    if (glossaryMap.size > 0) {
-        highlightGlossaryTerms('.main-content', glossaryMap);
+    // Progress, quiz results and notes live in localStorage for guests and in Supabase once signed in
+    const progress = createProgressStore(client);
+    const quizResults = createQuizResultsStore(client);
+    const annotations = createAnnotationStore(client);
+    // Instructors can edit the glossary
+    const glossaryEditor = createGlossaryEditor(client);
+    setupAccount(client, user => {
+        progress.setUser(user);
+        quizResults.setUser(user);
+        annotations.setUser(user);
+        glossaryEditor.setUser(user);
+    });
+    
+    // Load glossary terms and lessons in parallel (cached copies first, then Supabase)
+    // They are filled in place, so retrying after a failure, or a newer copy arriving in the
+    // background, updates every view that uses them
+    const sourceGlossary = new Map();
+    const sourceLessons = [];
+    let router = null;
+    const refreshViews = () => {
+        if (router) {
+            router.refresh();
+        }
+    };
+    const failed = await loadSources(client, sourceGlossary, sourceLessons, refreshViews);
+    
+    // Views get copies in the active language, refilled in place when it changes
+    const glossaryMap = new Map();
+    const lessons = [];
+    // The search index follows them; it is built (or read from the offline cache) on the first search
+    let searchIndex = null;
+    let palette = null;
+    function localize() {
+        const locale = getLocale();
+        glossaryMap.clear();
+        localizeGlossary(sourceGlossary, locale).forEach((data, term) => glossaryMap.set(term, data));
+        lessons.splice(0, lessons.length, ...sourceLessons.map(lesson => localizeLesson(lesson, locale)));
+        clearGlossaryMatcher(glossaryMap);
+        searchIndex = null;
+        if (palette) {
+            palette.reset();
+        }
+    }
+    localize();
+    
+    const paletteDialog = document.getElementById('command-palette');
+    if (paletteDialog) {
+        palette = setupCommandPalette(paletteDialog, {
+            getIndex: () => {
+                searchIndex = searchIndex || loadSearchIndex(lessons, glossaryMap, getLocale());
+                return searchIndex;
+            },
+            triggers: Array.from(document.querySelectorAll('[data-command-palette]'))
+        });
+    }
+    
+    // Flashcard review state stays on this device
+    const flashcards = createFlashcardDeck();
+    const dueBadge = document.getElementById('flashcards-due');
+    if (dueBadge) {
+        watchDueCount(dueBadge, flashcards, glossaryMap);
+    }
+    
+    // Set up tooltips before the first render so they get the "study this" button and cross-links
+    initializeGlossaryTooltips({ flashcards, glossaryMap });
+    
+    const toc = document.getElementById('course-toc');
+    if (toc) {
+        renderTableOfContents(toc, lessons);
+    }
+    
+    // The router renders the lesson from the URL and re-applies the glossary after every navigation
+    router = setupRouter({ lessons, glossaryMap, sourceGlossary, localize }, { progress, quizResults, annotations, flashcards, glossaryEditor });
+    
+    // Tell students when content could not be loaded, and let them try again
+    const bannerElement = document.getElementById('status-banner');
+    if (bannerElement && router) {
+        const banner = setupStatusBanner(bannerElement);
+        
+        async function retry() {
+            const stillFailed = await loadSources(client, sourceGlossary, sourceLessons, refreshViews);
+            router.refresh();
+            showFailures(stillFailed);
+        }
         
-        // Initialize tooltip functionality
-        initializeGlossaryTooltips();
+        function showFailures(sources) {
+            if (sources.length === 0) {
+                banner.hide();
+                return;
+            }
+            const message = sources.length > 1 ? 'errors.content' : `errors.${sources[0]}`;
+            banner.show({ message, onRetry: retry });
+        }
+        
+        showFailures(failed);
+    }
+}
+
+/**
+ * Load the glossary and lessons into a Map and an array, leaving either as it was if it can't be loaded
+ * When either came from the offline cache, a newer copy from Supabase replaces it later
+ * @param {object} client - Supabase client
+ * @param {Map} glossaryMap - Filled with the glossary
+ * @param {Array} lessons - Filled with the lessons
+ * @param {Function} [onUpdate] - Called after a newer copy has replaced a cached one
+ * @returns {Promise<Array<string>>} - What could not be loaded: 'glossary' and/or 'lessons'
+ */
+async function loadSources(client, glossaryMap, lessons, onUpdate = () => {}) {
+    const fillGlossary = glossary => {
+        glossaryMap.clear();
+        glossary.forEach((data, term) => glossaryMap.set(term, data));
+    };
+    const fillLessons = content => lessons.splice(0, lessons.length, ...content);
+    
+    // A newer copy that arrives before the other source has loaded waits, so the cached copy can't replace it
+    let loaded = false;
+    const pending = [];
+    function whenLoaded(fill) {
+        return value => {
+            const update = () => {
+                fill(value);
+                onUpdate();
+            };
+            if (loaded) {
+                update();
+            } else {
+                pending.push(update);
+            }
+        };
+    }
+    
+    const [glossary, content] = await Promise.allSettled([
+        loadGlossary(client, whenLoaded(fillGlossary)),
+        loadContent(client, whenLoaded(fillLessons))
+    ]);
+    const failed = [];
+    
+    if (glossary.status === 'fulfilled') {
+        fillGlossary(glossary.value);
     } else {
-        console.error('No glossary terms loaded!');
+        log.error('Glossary could not be loaded', glossary.reason);
+        failed.push('glossary');
     }
     
-    loadContent();
+    if (content.status === 'fulfilled') {
+        fillLessons(content.value);
+    } else {
+        log.error('Lessons could not be loaded', content.reason);
+        failed.push('lessons');
+    }
+    
+    loaded = true;
+    pending.forEach(update => update());
+    return failed;
 }
 
 /**
- * Setup event listeners for interactive elements
+ * Create the router and render the current route
+ * @param {object} content - { lessons, glossaryMap, sourceGlossary, localize }: lessons and glossary in the
+ *   active language, the glossary as loaded (for the editor) and a function that refills the localized copies
+ * @param {object} stores - { progress, quizResults, annotations, flashcards, glossaryEditor } from createProgressStore(),
+ *   createQuizResultsStore(), createAnnotationStore(), createFlashcardDeck() and createGlossaryEditor()
+ * @returns {object|null} - { refresh } to re-render the sidebar and current view after the content changes
+ *   (null without a content container)
  */
-function setupEventListeners() {
-    // Theme toggle functionality
-    const themeToggle = document.getElementById('theme-toggle');
+function setupRouter(content, stores) {
+    const { lessons, glossaryMap, sourceGlossary, localize } = content;
+    const { progress, quizResults, annotations, flashcards, glossaryEditor } = stores;
+    const container = document.querySelector('.main-content');
+    const toc = document.getElementById('course-toc');
+    const continueReading = document.getElementById('continue-reading');
+    const adminLink = document.getElementById('glossary-admin-link');
+    let currentLesson = null;
+    let currentRoute = null;
     
-    if (themeToggle) {
-        themeToggle.addEventListener('click', () => {
-            const root = document.documentElement;
-            const currentTheme = root.getAttribute('data-theme');
-            
-            // Toggle between light and dark
-            // If currentTheme is 'dark', switch to light
-            // Otherwise (light, null, or undefined), switch to dark
-            if (currentTheme === 'dark') {
-                root.setAttribute('data-theme', 'light');
-                localStorage.setItem('theme', 'light');
-                console.log('Switched to light mode');
+    if (!container) {
+        log.error('Main content container not found');
+        return null;
+    }
+    
+    function renderProgress() {
+        if (toc) {
+            markCompletedLessons(toc, progress);
+        }
+        if (continueReading) {
+            renderContinueLink(continueReading, lessons, progress, currentLesson);
+        }
+    }
+    
+    // Sign-in, sign-out and completion change what the sidebar shows
+    progress.subscribe(renderProgress);
+    
+    const notesPanel = document.getElementById('notes-panel');
+    const notesToggle = document.getElementById('notes-toggle');
+    if (notesPanel && notesToggle) {
+        setupNotesPanel(notesPanel, notesToggle, annotations, lessons);
+    }
+    
+    /**
+     * Swap in a view: render it, update the title and navigation, then re-apply the glossary
+     * @param {object} view - { title, lesson, route, render, highlight }
+     *   render() may return an element to focus instead of the heading (it is then also kept in view)
+     * @param {object} context - Router context ({ initial, path })
+     */
+    function showView(view, context) {
+        detachLessonProgress();
+        detachLessonAnnotations();
+        stopFlashcards();
+        currentLesson = view.lesson || null;
+        currentRoute = view.route || null;
+        container.removeAttribute('lang');
+        
+        const focusTarget = view.render();
+        document.title = view.title ? `${view.title} · ${SITE_TITLE}` : SITE_TITLE;
+        
+        if (toc) {
+            setActiveLesson(toc, view.lesson || null);
+        }
+        document.querySelectorAll('a[data-route]').forEach(link => {
+            if (link.dataset.route === view.route) {
+                link.setAttribute('aria-current', 'page');
             } else {
-                root.setAttribute('data-theme', 'dark');
-                localStorage.setItem('theme', 'dark');
-                console.log('Switched to dark mode');
+                link.removeAttribute('aria-current');
+            }
+        });
+        
+        if (view.highlight !== false) {
+            applyGlossary(glossaryMap);
+        } else {
+            initializeGlossaryTooltips();
+        }
+        
+        // Move focus to the new heading on in-app navigation so screen readers announce it
+        if (!context.initial || focusTarget) {
+            const heading = focusTarget || container.querySelector('h2');
+            if (heading) {
+                heading.setAttribute('tabindex', '-1');
+                heading.focus({ preventScroll: !!focusTarget });
             }
+            if (!focusTarget) {
+                window.scrollTo(0, 0);
+            }
+        }
+        
+        renderProgress();
+    }
+    
+    function showLesson(lesson, context) {
+        showView({
+            title: lesson.title,
+            lesson: lesson.slug,
+            render: () => {
+                renderLesson(container, lesson);
+                
+                // Untranslated lessons fall back to English; say so, and mark the language for screen readers
+                if (lesson.locale !== getLocale()) {
+                    container.lang = lesson.locale;
+                    const notice = document.createElement('p');
+                    notice.className = 'lesson-translation-notice';
+                    notice.lang = getLocale();
+                    notice.textContent = t('lesson.untranslated');
+                    const heading = container.querySelector('h2');
+                    container.insertBefore(notice, heading ? heading.nextSibling : container.firstChild);
+                }
+            }
+        }, context);
+        
+        // Added after highlighting so the button label and quiz are never treated as lesson text
+        attachLessonProgress(container, lesson.slug, progress);
+        attachLessonQuiz(lesson);
+        attachLessonAnnotations(container, lesson.slug, annotations);
+    }
+    
+    /**
+     * Offer a quiz on the glossary terms that appear in the lesson
+     */
+    function attachLessonQuiz(lesson) {
+        const terms = Array.from(new Set(
+            Array.from(container.querySelectorAll('.glossary-term[data-term]'), span => span.dataset.term)
+        ));
+        
+        if (terms.length === 0) {
+            return;
+        }
+        
+        const section = document.createElement('section');
+        section.className = 'lesson-quiz';
+        section.setAttribute('aria-label', t('lesson.quizLabel'));
+        container.appendChild(section);
+        
+        renderQuizIntro(section, {
+            title: t('lesson.quizTitle'),
+            description: t('lesson.quizDescription', { count: terms.length }),
+            terms,
+            glossaryMap,
+            quizId: `lesson:${lesson.slug}`,
+            results: quizResults
         });
+    }
+    
+    /**
+     * Quiz on a list of glossary slugs, or on the whole glossary when there are none
+     */
+    function showQuiz(slugList, context) {
+        const bySlug = new Map(Array.from(glossaryMap.keys(), term => [slugify(term), term]));
+        const terms = slugList
+            ? slugList.split(',').map(slug => bySlug.get(slug)).filter(Boolean)
+            : Array.from(glossaryMap.keys());
         
-        console.log('Theme toggle button found and listener attached');
+        showView({
+            title: t('view.quiz'),
+            route: '/quiz',
+            highlight: false,
+            render: () => {
+                container.innerHTML = '';
+                delete container.dataset.lesson;
+                
+                const heading = document.createElement('h2');
+                heading.textContent = slugList ? t('view.quiz') : t('view.glossaryQuiz');
+                container.appendChild(heading);
+                
+                const section = document.createElement('section');
+                container.appendChild(section);
+                
+                startQuiz(section, terms, {
+                    terms,
+                    glossaryMap,
+                    quizId: slugList ? `terms:${slugList}` : 'glossary',
+                    results: quizResults
+                });
+            }
+        }, context);
+    }
+    
+    function showFlashcards(context) {
+        showView({
+            title: t('view.flashcards'),
+            route: '/flashcards',
+            highlight: false,
+            render: () => renderFlashcards(container, flashcards, glossaryMap)
+        }, context);
+    }
+    
+    /**
+     * Instructor view for editing the glossary; edits update sourceGlossary in place
+     */
+    function showGlossaryAdmin(context) {
+        showView({
+            title: t('view.editGlossary'),
+            route: '/admin/glossary',
+            highlight: false,
+            render: () => renderGlossaryAdmin(container, {
+                glossaryMap: sourceGlossary,
+                editor: glossaryEditor,
+                lessons,
+                onChange: () => {
+                    // Keep the offline copy current and rebuild the localized glossary (and its matcher)
+                    clearGlossaryMatcher(sourceGlossary);
+                    writeCache('glossary', sourceGlossary);
+                    localize();
+                }
+            })
+        }, context);
+    }
+    
+    function showConceptMap(context) {
+        showView({
+            title: t('view.conceptMap'),
+            route: '/concept-map',
+            highlight: false,
+            render: () => renderConceptMap(container, glossaryMap)
+        }, context);
+    }
+    
+    function showGlossary(slug, context) {
+        showView({
+            title: t('view.glossary'),
+            route: '/glossary',
+            highlight: false,
+            render: () => {
+                const target = renderGlossaryPage(container, glossaryMap, lessons, slug);
+                return target ? container.querySelector('.glossary-entry.is-targeted h4') : null;
+            }
+        }, context);
+        
+        // Keep the entry name in the title for deep links
+        const targeted = container.querySelector('.glossary-entry.is-targeted h4');
+        if (targeted) {
+            document.title = `${targeted.textContent} · ${t('view.glossary')} · ${SITE_TITLE}`;
+        }
+    }
+    
+    function showNotFound(path, context) {
+        showView({
+            title: t('view.notFound'),
+            render: () => {
+                renderLessonMessage(
+                    container,
+                    t('view.notFound'),
+                    t('view.notFoundMessage', { path }),
+                    lessons.length > 0 ? { href: lessonHref(lessons[0].slug), label: t('view.firstLesson') } : null
+                );
+            }
+        }, context);
+    }
+    
+    const router = createRouter([
+        {
+            path: '/',
+            handler: (params, context) => {
+                if (lessons.length === 0) {
+                    showView({
+                        render: () => {
+                            renderLessonMessage(container, t('view.noLessons'), t('view.noLessonsMessage'));
+                        }
+                    }, context);
+                    return;
+                }
+                showLesson(lessons[0], context);
+            }
+        },
+        {
+            path: '/lessons/:slug',
+            handler: (params, context) => {
+                const lesson = lessons.find(item => item.slug === params.slug);
+                if (lesson) {
+                    showLesson(lesson, context);
+                } else {
+                    showNotFound(context.path, context);
+                }
+            }
+        },
+        {
+            path: '/glossary',
+            handler: (params, context) => showGlossary(null, context)
+        },
+        {
+            path: '/glossary/:slug',
+            handler: (params, context) => showGlossary(params.slug, context)
+        },
+        {
+            path: '/concept-map',
+            handler: (params, context) => showConceptMap(context)
+        },
+        {
+            path: '/quiz',
+            handler: (params, context) => showQuiz(null, context)
+        },
+        {
+            path: '/quiz/:terms',
+            handler: (params, context) => showQuiz(params.terms, context)
+        },
+        {
+            path: '/flashcards',
+            handler: (params, context) => showFlashcards(context)
+        },
+        {
+            path: '/admin/glossary',
+            handler: (params, context) => showGlossaryAdmin(context)
+        }
+    ], showNotFound);
+    
+    // Show the editor link to instructors, and re-check access when the account changes on the editor page
+    glossaryEditor.subscribe(() => {
+        if (adminLink) {
+            adminLink.hidden = !glossaryEditor.canEdit();
+        }
+        if (currentRoute === '/admin/glossary') {
+            router.resolve({ initial: false });
+        }
+    });
+    if (adminLink) {
+        adminLink.hidden = !glossaryEditor.canEdit();
+    }
+    
+    // Re-render the sidebar and the current view with the localized content
+    function refresh() {
+        localize();
+        if (toc) {
+            renderTableOfContents(toc, lessons);
+        }
+        router.resolve({ initial: true });
+    }
+    
+    // The new language needs new copies
+    onLocaleChange(refresh);
+    
+    router.start();
+    
+    return { refresh };
+}
+
+/**
+ * Highlight glossary terms in the current lesson and wire up the tooltips
+ * Safe to call after every navigation
+ * @param {Map} glossaryMap - Map of glossary terms and definitions
+ */
+function applyGlossary(glossaryMap) {
+    if (glossaryMap.size === 0) {
+        return;
+    }
+    
+    // Video annotations name their entry; link them first so the highlighter leaves them alone
+    linkNamedTerms('.main-content', glossaryMap);
+    highlightGlossaryTerms('.main-content', glossaryMap);
+    initializeGlossaryTooltips();
+}
+
+/**
+ * Setup event listeners for interactive elements
+ */
+function setupEventListeners() {
+    // Theme and reading mode: apply the saved choices, follow OS changes and open the settings panel
+    setupPreferences();
+    
+    const settingsToggle = document.getElementById('settings-toggle');
+    const settingsPanel = document.getElementById('settings-panel');
+    
+    if (settingsToggle && settingsPanel) {
+        setupSettingsPanel(settingsPanel, settingsToggle);
     } else {
-        console.error('Theme toggle button not found');
+        log.warn('Display settings button not found');
     }
     
-    console.log('Event listeners initialized');
+    log.debug('Event listeners initialized');
+}
+
+/**
+ * Load lessons, from the offline cache when available (refreshed from Supabase in the background)
+ * @param {object} client - Supabase client
+ * @param {Function} [onUpdate] - Called with newer lessons when the background refresh finds changes
+ * @returns {Promise<Array>} - Lessons ordered by position (empty if the course has none yet)
+ */
+async function loadContent(client, onUpdate) {
+    return staleWhileRevalidate('lessons', () => fetchLessons(client), {
+        isEmpty: lessons => lessons.length === 0,
+        onUpdate
+    });
 }
 
 /**
- * Load initial content
+ * Fetch lessons from Supabase
+ * @param {object} client - Supabase client
+ * @returns {Promise<Array>} - Lessons ordered by position (empty if the course has none yet)
+ * @throws When Supabase can't be reached or returns an error
  */
-async function loadContent() {
-    console.log('Loading initial content...');
-    // Add content loading logic here
-    // Example: Fetch data from Supabase
-    // const { data, error } = await supabase.from('your_table').select('*')
+async function fetchLessons(client) {
+    log.debug('Fetching lessons from Supabase');
+    
+    const { data, error } = await client
+        .from('lessons')
+        .select('slug, title, body, module, position, translations')
+        .order('position', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    if (!data || data.length === 0) {
+        log.warn('No lessons found in Supabase');
+        return [];
+    }
+
+    log.info(`Loaded ${data.length} lessons from Supabase`);
+    return data;
 }
 
 /**
- * Load glossary terms and definitions from Supabase
+ * Load the glossary, from the offline cache when available (refreshed from Supabase in the background)
+ * Without a cached copy, falls back to the local CSV file when Supabase has no terms or can't be reached
+ * @param {object} client - Supabase client
+ * @param {Function} [onUpdate] - Called with a newer glossary when the background refresh finds changes
  * @returns {Promise<Map>} - A Map with terms as keys and definitions as values
+ * @throws When neither Supabase nor the CSV file has any terms
  */
-async function loadGlossary() {
-    try {
-        console.log('Attempting to fetch glossary from Supabase...');
-        
-        // Fetch term, definition, and wikipedia_url columns from the glossary table
-        const { data, error } = await supabase
-            .from('glossary')
-            .select('term, definition, wikipedia_url')
-            .order('term', { ascending: true });
+async function loadGlossary(client, onUpdate) {
+    return staleWhileRevalidate('glossary', () => fetchGlossary(client), {
+        isEmpty: glossaryMap => glossaryMap.size === 0,
+        // The CSV file only stands in for Supabase, so it is never cached
+        fallback: loadGlossaryFromCSV,
+        onUpdate
+    });
+}
 
-        if (error) {
-            console.error('Supabase error:', error);
-            console.error('Error details:', JSON.stringify(error, null, 2));
-        }
+/**
+ * Fetch glossary terms and definitions from Supabase
+ * @param {object} client - Supabase client
+ * @returns {Promise<Map>} - A Map with terms as keys and definitions as values (empty if there are none)
+ * @throws When Supabase can't be reached or returns an error
+ */
+async function fetchGlossary(client) {
+    log.debug('Fetching glossary from Supabase');
+    
+    const { data, error } = await client
+        .from('glossary')
+        .select('term, definition, wikipedia_url, aliases, related_terms, translations')
+        .order('term', { ascending: true });
 
-        console.log('Raw data from Supabase:', data);
-        console.log('Number of records:', data ? data.length : 0);
+    if (error) {
+        throw error;
+    }
 
-        // If no data from Supabase, try loading from CSV
-        if (!data || data.length === 0) {
-            console.warn('No data in Supabase. Loading from local CSV file...');
-            return await loadGlossaryFromCSV();
-        }
+    if (!data || data.length === 0) {
+        log.warn('No glossary terms found in Supabase');
+        return new Map();
+    }
 
-        // Create a new Map to store the glossary
-        const glossaryMap = new Map();
+    // Create a new Map to store the glossary
+    const glossaryMap = new Map();
 
-        // Populate the Map with term as key and object with definition and wikipedia_url as value
-        if (data && data.length > 0) {
-            data.forEach(entry => {
-                if (entry.term && entry.definition) {
-                    glossaryMap.set(entry.term, {
-                        definition: entry.definition,
-                        wikipedia_url: entry.wikipedia_url || null
-                    });
-                }
+    // Populate the Map with term as key and object with definition and wikipedia_url as value
+    data.forEach(entry => {
+        if (entry.term && entry.definition) {
+            glossaryMap.set(entry.term, {
+                definition: entry.definition,
+                wikipedia_url: entry.wikipedia_url || null,
+                aliases: parseAliases(entry.aliases),
+                related_terms: parseAliases(entry.related_terms),
+                translations: entry.translations || {}
             });
         }
+    });
 
-        console.log(`Loaded ${glossaryMap.size} glossary terms from Supabase`);
-        return glossaryMap;
-
-    } catch (error) {
-        console.error('Exception loading glossary:', error);
-        console.error('Stack trace:', error.stack);
-        console.warn('Falling back to CSV file...');
-        return await loadGlossaryFromCSV();
-    }
+    log.info(`Loaded ${glossaryMap.size} glossary terms from Supabase`);
+    return glossaryMap;
 }
 
 /**
  * Load glossary from local CSV file as fallback
  * @returns {Promise<Map>} - A Map with terms as keys and objects with definition and wikipedia_url
+ * @throws When the file can't be fetched or has no terms
  */
 async function loadGlossaryFromCSV() {
-    try {
-        const response = await fetch('/local_files/glossary.csv');
-        if (!response.ok) {
-            console.error('Failed to load CSV file');
-            return new Map();
-        }
-        
-        const csvText = await response.text();
-        const lines = csvText.split('\n');
-        const glossaryMap = new Map();
-        
-        // Parse header to find column indices
-        const header = lines[0].toLowerCase().split(',');
-        const termIndex = header.indexOf('term');
-        const definitionIndex = header.indexOf('definition');
-        const wikiIndex = header.findIndex(col => col.includes('wiki'));
-        
-        // Skip header row, start from line 1
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            // Simple CSV parsing (note: this won't handle commas within quoted fields perfectly)
-            // For production, consider using a proper CSV parser library
-            const values = line.split(',');
-            
-            if (values.length > definitionIndex) {
-                const term = values[termIndex]?.replace(/^"|"$/g, '').trim();
-                let definition = values[definitionIndex]?.replace(/^"|"$/g, '').trim();
-                const wikipedia_url = wikiIndex >= 0 ? values[wikiIndex]?.replace(/^"|"$/g, '').trim() : null;
-                
-                if (term && definition) {
-                    // Clean up escaped quotes
-                    definition = definition.replace(/""/g, '"');
-                    
-                    glossaryMap.set(term, {
-                        definition: definition,
-                        wikipedia_url: wikipedia_url || null
-                    });
-                }
-            }
-        }
-        
-        console.log(`Loaded ${glossaryMap.size} glossary terms from CSV file`);
-        return glossaryMap;
-        
-    } catch (error) {
-        console.error('Error loading CSV:', error);
-        return new Map();
+    const response = await fetch('/local_files/glossary.csv');
+    if (!response.ok) {
+        throw new Error(`Glossary CSV request failed with status ${response.status}`);
+    }
+    
+    const csvText = await response.text();
+    const { glossaryMap, report } = parseGlossaryCSV(csvText);
+    
+    // Surface skipped rows, duplicates and missing columns while developing
+    if (log.isEnabled('warn') && hasProblems(report)) {
+        logCSVReport(report);
+    }
+    
+    if (glossaryMap.size === 0) {
+        throw new Error('Glossary CSV has no terms');
+    }
+    
+    log.info(`Loaded ${glossaryMap.size} glossary terms from CSV file`);
+    return glossaryMap;
+}
+
+/**
+ * Log a glossary CSV validation report (only called when warnings are logged)
+ * @param {object} report - Report from parseGlossaryCSV
+ */
+function logCSVReport(report) {
+    log.warn(`Glossary CSV: loaded ${report.loaded} of ${report.rows} rows`);
+    
+    if (report.missingColumns.length > 0) {
+        log.warn('Missing columns:', report.missingColumns.join(', '));
+    }
+    if (report.malformed.length > 0) {
+        log.warn('Malformed rows:', report.malformed);
+    }
+    if (report.skipped.length > 0) {
+        log.warn('Skipped rows:', report.skipped);
+    }
+    if (report.duplicates.length > 0) {
+        log.warn('Duplicate terms (first occurrence kept):', report.duplicates);
     }
 }
 
@@ -210,36 +761,36 @@ function highlightGlossaryTerms(selector, glossaryMap) {
     const containers = document.querySelectorAll(selector);
     
     if (containers.length === 0) {
-        console.warn(`No elements found for selector: ${selector}`);
+        log.warn(`No elements found for selector: ${selector}`);
         return;
     }
 
-    console.log(`Found ${containers.length} container(s) to scan for glossary terms`);
+    log.debug(`Found ${containers.length} container(s) to scan for glossary terms`);
     
-    // Convert Map to array and sort by length (longest first to avoid partial matches)
-    const terms = Array.from(glossaryMap.entries()).sort((a, b) => b[0].length - a[0].length);
+    // Compile the glossary (terms, aliases, plurals) into a single matcher, once per glossary
+    const matcher = getGlossaryMatcher(glossaryMap);
     
     containers.forEach(container => {
-        highlightInElement(container, terms);
+        highlightInElement(container, matcher);
     });
 
-    console.log(`Glossary highlighting complete`);
+    log.debug('Glossary highlighting complete');
 }
 
 /**
  * Highlight glossary terms within a specific element
  * @param {Element} element - The element to process
- * @param {Array} terms - Array of [term, definition] pairs
+ * @param {object} matcher - Matcher from createGlossaryMatcher()
  */
-function highlightInElement(element, terms) {
+function highlightInElement(element, matcher) {
     // Get all text nodes
     const walker = document.createTreeWalker(
         element,
         NodeFilter.SHOW_TEXT,
         {
             acceptNode: function(node) {
-                // Skip if parent is already a glossary term
-                if (node.parentElement && node.parentElement.classList.contains('glossary-term')) {
+                // Skip text inside a glossary term, also when it is wrapped in other markup (e.g., <mark>)
+                if (node.parentElement && node.parentElement.closest('.glossary-term')) {
                     return NodeFilter.FILTER_REJECT;
                 }
                 // Skip if text is only whitespace
@@ -260,64 +811,24 @@ function highlightInElement(element, terms) {
     // Process each text node
     textNodes.forEach(textNode => {
         const text = textNode.textContent;
-        const matches = [];
 
-        // Find all term matches in this text node
-        terms.forEach(([term, data]) => {
-            // Escape special regex characters in the term
-            const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            
-            // Create case-insensitive regex with word boundaries
-            const regex = new RegExp(`\\b${escapedTerm}\\b`, 'gi');
-            let match;
-
-            while ((match = regex.exec(text)) !== null) {
-                matches.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: match[0], // Preserve original capitalization from the text
-                    definition: typeof data === 'string' ? data : data.definition,
-                    wikipedia_url: typeof data === 'object' ? data.wikipedia_url : null,
-                    term: term
-                });
-            }
-        });
+        // One pass over the text: leftmost, longest, non-overlapping matches
+        const matches = matcher.findMatches(text);
 
         // If we have matches, rebuild the node
         if (matches.length > 0) {
-            // Sort matches by position and remove overlaps (keep first occurrence)
-            matches.sort((a, b) => a.start - b.start);
-            const nonOverlapping = [];
-            
-            matches.forEach(match => {
-                const overlaps = nonOverlapping.some(existing => 
-                    (match.start >= existing.start && match.start < existing.end) ||
-                    (match.end > existing.start && match.end <= existing.end)
-                );
-                if (!overlaps) {
-                    nonOverlapping.push(match);
-                }
-            });
-
             // Create document fragment with highlighted terms
             const fragment = document.createDocumentFragment();
             let lastIndex = 0;
 
-            nonOverlapping.forEach(match => {
+            matches.forEach(match => {
                 // Add text before the match
                 if (match.start > lastIndex) {
                     fragment.appendChild(document.createTextNode(text.substring(lastIndex, match.start)));
                 }
 
-                // Add the glossary term span
-                const span = document.createElement('span');
-                span.className = 'glossary-term';
-                span.setAttribute('data-definition', match.definition);
-                if (match.wikipedia_url) {
-                    span.setAttribute('data-wikipedia-url', match.wikipedia_url);
-                }
-                span.textContent = match.text; // Use the actual text from the document (preserves capitalization)
-                fragment.appendChild(span);
+                // Add the glossary term span, keeping the text from the document (preserves capitalization)
+                fragment.appendChild(createTermElement(match.term, match.data, match.text));
 
                 lastIndex = match.end;
             });
@@ -333,32 +844,120 @@ function highlightInElement(element, terms) {
     });
 }
 
+/**
+ * Create the span for a glossary term, a disclosure button for the tooltip
+ * @param {string} term - Glossary key the text matched
+ * @param {object|string} data - Entry data from the glossary map
+ * @param {string} text - Text to show
+ * @returns {HTMLElement} - The glossary term span
+ */
+function createTermElement(term, data, text) {
+    const definition = typeof data === 'string' ? data : data.definition;
+    const wikipediaUrl = typeof data === 'object' ? data.wikipedia_url : null;
+
+    const span = document.createElement('span');
+    span.className = 'glossary-term';
+    span.setAttribute('tabindex', '0');
+    span.setAttribute('role', 'button');
+    span.setAttribute('aria-expanded', 'false');
+    span.setAttribute('aria-controls', 'glossary-tooltip');
+    span.setAttribute('data-term', term);
+    span.setAttribute('data-definition', definition);
+    if (wikipediaUrl) {
+        span.setAttribute('data-wikipedia-url', wikipediaUrl);
+    }
+    span.textContent = text;
+    return span;
+}
+
+/**
+ * Turn elements that name a glossary term (data-glossary-term, e.g., video annotations) into glossary terms
+ * Names are resolved like related terms, so aliases work; unknown names stay plain text
+ * @param {string} selector - CSS selector for the content to scan (e.g., '.main-content')
+ * @param {Map} glossaryMap - Map of glossary terms and definitions
+ */
+function linkNamedTerms(selector, glossaryMap) {
+    const placeholders = document.querySelectorAll(`${selector} [data-glossary-term]:not(.glossary-term)`);
+    if (placeholders.length === 0) {
+        return;
+    }
+
+    const resolve = createTermResolver(glossaryMap);
+    placeholders.forEach(placeholder => {
+        const term = resolve(placeholder.dataset.glossaryTerm);
+        if (!term) {
+            return;
+        }
+        const data = glossaryMap.get(term);
+        const span = createTermElement(term, data, getTermLabel(term, data));
+        span.classList.add(...placeholder.classList);
+        placeholder.replaceWith(span);
+    });
+}
+
 /**
  * Initialize glossary tooltip functionality
- * Handles both desktop (hover) and mobile (click) interactions
+ * Handles desktop (hover), mobile (click) and keyboard interactions. Terms are disclosure
+ * buttons for the tooltip, which is a non-modal dialog because it contains links
+ * @param {object} [options] - { flashcards, glossaryMap } deck for the "study this" button and glossary
+ *   for linking other terms in the definition; only the first call sets it up
  */
-function initializeGlossaryTooltips() {
+function initializeGlossaryTooltips(options = {}) {
+    // Listeners are delegated to the document, so after a navigation only the open tooltip needs closing
+    const existingTooltip = document.getElementById('glossary-tooltip');
+    if (existingTooltip) {
+        existingTooltip.classList.remove('show');
+        return;
+    }
+    
     // Create a single tooltip div and append it to the body
     const tooltip = document.createElement('div');
     tooltip.id = 'glossary-tooltip';
     tooltip.className = 'glossary-tooltip';
+    tooltip.setAttribute('role', 'dialog');
     document.body.appendChild(tooltip);
 
-    let currentTerm = null; // Track the currently active term for mobile
+    let currentTerm = null; // The term the tooltip is open for
     let hideTimeout = null; // Timeout for delayed hiding
+    let pointerDown = false; // Focus from a mouse or touch press is left to the click listener
+    let restoringFocus = false; // Returning focus to the term shouldn't reopen the tooltip
+    let stopTracking = null; // Stops repositioning on scroll and resize
 
     /**
-     * Build tooltip content with definition and optional Wikipedia link
+     * Build tooltip content with definition, a link to the full glossary entry and optional Wikipedia link
      */
-    function buildTooltipContent(definition, wikipediaUrl) {
+    function buildTooltipContent(definition, wikipediaUrl, termKey) {
         tooltip.innerHTML = ''; // Clear existing content
         
-        // Add definition text
+        // Add definition text (also the accessible description of the open term)
         const defText = document.createElement('p');
+        defText.id = 'glossary-tooltip-definition';
         defText.className = 'tooltip-definition';
-        defText.textContent = definition;
+        if (termKey && options.glossaryMap) {
+            renderLinkedDefinition(defText, termKey, definition, options.glossaryMap);
+        } else {
+            defText.textContent = definition;
+        }
         tooltip.appendChild(defText);
         
+        // Explicit "see also" links
+        const related = termKey && options.glossaryMap ? getRelatedTerms(termKey, options.glossaryMap) : [];
+        if (related.length > 0) {
+            const relatedText = document.createElement('p');
+            relatedText.className = 'tooltip-related';
+            relatedText.appendChild(document.createTextNode(`${t('tooltip.related')} `));
+            related.forEach((name, index) => {
+                if (index > 0) {
+                    relatedText.appendChild(document.createTextNode(', '));
+                }
+                const link = document.createElement('a');
+                link.href = glossaryHref(name);
+                link.textContent = getTermLabel(name, options.glossaryMap.get(name));
+                relatedText.appendChild(link);
+            });
+            tooltip.appendChild(relatedText);
+        }
+        
         // Add Wikipedia link if available
         if (wikipediaUrl) {
             const wikiLink = document.createElement('a');
@@ -370,37 +969,145 @@ function initializeGlossaryTooltips() {
             // Wikipedia logo using inline SVG
             wikiLink.innerHTML = `
                 <span class="wiki-icon-container">
-                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 128 128" class="wiki-icon" aria-label="Wikipedia">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 128 128" class="wiki-icon" aria-hidden="true" focusable="false">
                         <path d="M 120.85,29.21 C 120.85,29.62 120.72,29.99 120.47,30.33 C 120.21,30.66 119.94,30.83 119.63,30.83 C 117.14,31.07 115.09,31.87 113.51,33.24 C 111.92,34.6 110.29,37.21 108.6,41.05 L 82.8,99.19 C 82.63,99.73 82.16,100 81.38,100 C 80.77,100 80.3,99.73 79.96,99.19 L 65.49,68.93 L 48.85,99.19 C 48.51,99.73 48.04,100 47.43,100 C 46.69,100 46.2,99.73 45.96,99.19 L 20.61,41.05 C 19.03,37.44 17.36,34.92 15.6,33.49 C 13.85,32.06 11.4,31.17 8.27,30.83 C 8,30.83 7.74,30.69 7.51,30.4 C 7.27,30.12 7.15,29.79 7.15,29.42 C 7.15,28.47 7.42,28 7.96,28 C 10.22,28 12.58,28.1 15.05,28.3 C 17.34,28.51 19.5,28.61 21.52,28.61 C 23.58,28.61 26.01,28.51 28.81,28.3 C 31.74,28.1 34.34,28 36.6,28 C 37.14,28 37.41,28.47 37.41,29.42 C 37.41,30.36 37.24,30.83 36.91,30.83 C 34.65,31 32.87,31.58 31.57,32.55 C 30.27,33.53 29.62,34.81 29.62,36.4 C 29.62,37.21 29.89,38.22 30.43,39.43 L 51.38,86.74 L 63.27,64.28 L 52.19,41.05 C 50.2,36.91 48.56,34.23 47.28,33.03 C 46,31.84 44.06,31.1 41.46,30.83 C 41.22,30.83 41,30.69 40.78,30.4 C 40.56,30.12 40.45,29.79 40.45,29.42 C 40.45,28.47 40.68,28 41.16,28 C 43.42,28 45.49,28.1 47.38,28.3 C 49.2,28.51 51.14,28.61 53.2,28.61 C 55.22,28.61 57.36,28.51 59.62,28.3 C 61.95,28.1 64.24,28 66.5,28 C 67.04,28 67.31,28.47 67.31,29.42 C 67.31,30.36 67.15,30.83 66.81,30.83 C 62.29,31.14 60.03,32.42 60.03,34.68 C 60.03,35.69 60.55,37.26 61.6,39.38 L 68.93,54.26 L 76.22,40.65 C 77.23,38.73 77.74,37.11 77.74,35.79 C 77.74,32.69 75.48,31.04 70.96,30.83 C 70.55,30.83 70.35,30.36 70.35,29.42 C 70.35,29.08 70.45,28.76 70.65,28.46 C 70.86,28.15 71.06,28 71.26,28 C 72.88,28 74.87,28.1 77.23,28.3 C 79.49,28.51 81.35,28.61 82.8,28.61 C 83.84,28.61 85.38,28.52 87.4,28.35 C 89.96,28.12 92.11,28 93.83,28 C 94.23,28 94.43,28.4 94.43,29.21 C 94.43,30.29 94.06,30.83 93.32,30.83 C 90.69,31.1 88.57,31.83 86.97,33.01 C 85.37,34.19 83.37,36.87 80.98,41.05 L 71.26,59.02 L 84.42,85.83 L 103.85,40.65 C 104.52,39 104.86,37.48 104.86,36.1 C 104.86,32.79 102.6,31.04 98.08,30.83 C 97.67,30.83 97.47,30.36 97.47,29.42 C 97.47,28.47 97.77,28 98.38,28 C 100.03,28 101.99,28.1 104.25,28.3 C 106.34,28.51 108.1,28.61 109.51,28.61 C 111,28.61 112.72,28.51 114.67,28.3 C 116.7,28.1 118.52,28 120.14,28 C 120.61,28 120.85,28.4 120.85,29.21 z" />
                     </svg>
                 </span>
-                <span>Read more on Wikipedia</span>
             `;
             
+            const wikiLabel = document.createElement('span');
+            wikiLabel.textContent = t('tooltip.wikipedia');
+            const newTabNote = document.createElement('span');
+            newTabNote.className = 'sr-only';
+            newTabNote.textContent = t('tooltip.newTab');
+            wikiLink.append(wikiLabel, newTabNote);
+            
             tooltip.appendChild(wikiLink);
         }
+        
+        // Link to the term's entry on the glossary page
+        if (termKey) {
+            const entryLink = document.createElement('a');
+            entryLink.href = glossaryHref(termKey);
+            entryLink.className = 'tooltip-entry-link';
+            entryLink.textContent = t('tooltip.fullEntry');
+            tooltip.appendChild(entryLink);
+        }
+        
+        // Add the term to the flashcard deck
+        if (termKey && options.flashcards) {
+            const studyButton = createStudyButton(termKey, options.flashcards);
+            // Keep the tooltip open (the document click handler would close it)
+            studyButton.addEventListener('click', event => event.stopPropagation());
+            tooltip.appendChild(studyButton);
+        }
     }
 
-    // Desktop: Mouseover event listener
-    document.addEventListener('mouseover', (event) => {
-        const term = event.target.closest('.glossary-term');
+    /**
+     * Open the tooltip for a term
+     * @param {Element} term - The glossary term
+     * @param {object} [point] - Pointer position ({ x, y }), so a term wrapped across lines gets the line under it
+     * @returns {boolean} - Whether the term has a definition to show
+     */
+    function showTooltip(term, point) {
+        const definition = term.getAttribute('data-definition');
+        if (!definition) {
+            return false;
+        }
         
-        if (term) {
-            // Clear any pending hide timeout
-            if (hideTimeout) {
-                clearTimeout(hideTimeout);
-                hideTimeout = null;
+        // Clear any pending hide timeout
+        if (hideTimeout) {
+            clearTimeout(hideTimeout);
+            hideTimeout = null;
+        }
+        
+        if (currentTerm !== term || !tooltip.classList.contains('show')) {
+            if (currentTerm && currentTerm !== term) {
+                collapseTerm(currentTerm);
             }
             
-            const definition = term.getAttribute('data-definition');
-            const wikipediaUrl = term.getAttribute('data-wikipedia-url');
+            buildTooltipContent(definition, term.getAttribute('data-wikipedia-url'), term.getAttribute('data-term'));
+            tooltip.setAttribute('aria-label', term.textContent);
+            trackTerm(term, point);
+            tooltip.classList.add('show');
             
-            if (definition) {
-                buildTooltipContent(definition, wikipediaUrl);
-                positionTooltip(tooltip, term);
-                tooltip.classList.add('show');
+            term.setAttribute('aria-expanded', 'true');
+            term.setAttribute('aria-describedby', 'glossary-tooltip-definition');
+            currentTerm = term;
+        }
+        return true;
+    }
+    
+    /**
+     * Close the tooltip, optionally moving focus back to its term
+     */
+    function hideTooltip(returnFocus = false) {
+        if (hideTimeout) {
+            clearTimeout(hideTimeout);
+            hideTimeout = null;
+        }
+        tooltip.classList.remove('show');
+        
+        if (stopTracking) {
+            stopTracking();
+            stopTracking = null;
+        }
+        
+        if (currentTerm) {
+            collapseTerm(currentTerm);
+            if (returnFocus && currentTerm.isConnected) {
+                restoringFocus = true;
+                currentTerm.focus();
+                restoringFocus = false;
             }
         }
+        currentTerm = null;
+    }
+    
+    /**
+     * Position the tooltip at a term and keep it there while the page or a container scrolls
+     */
+    function trackTerm(term, point) {
+        if (stopTracking) {
+            stopTracking();
+        }
+        
+        // Stay on the same line of a wrapped term when repositioning
+        const placement = placeFloating(tooltip, term, { point });
+        const line = placement ? placement.line : null;
+        
+        stopTracking = autoUpdate(() => {
+            // The term is gone after a navigation
+            if (!term.isConnected) {
+                hideTooltip();
+                return;
+            }
+            placeFloating(tooltip, term, { line });
+        });
+    }
+    
+    function collapseTerm(term) {
+        term.setAttribute('aria-expanded', 'false');
+        term.removeAttribute('aria-describedby');
+    }
+    
+    // Keyboard focus on the term or inside the tooltip keeps it open
+    function hasFocus() {
+        const active = document.activeElement;
+        return !!active && (active === currentTerm || tooltip.contains(active));
+    }
+    
+    function getFocusable() {
+        return Array.from(tooltip.querySelectorAll('a[href], button:not([disabled])'));
+    }
+
+    // Desktop: Mouseover event listener
+    document.addEventListener('mouseover', (event) => {
+        const term = event.target.closest('.glossary-term');
+        
+        if (term) {
+            showTooltip(term, { x: event.clientX, y: event.clientY });
+        }
         
         // Also check if hovering over tooltip itself - keep it visible
         if (event.target.closest('.glossary-tooltip')) {
@@ -413,28 +1120,17 @@ function initializeGlossaryTooltips() {
 
     // Desktop: Mouseout event listener
     document.addEventListener('mouseout', (event) => {
-        const term = event.target.closest('.glossary-term');
-        
-        if (term) {
-            // Clear any existing timeout
+        // Leaving the term or the tooltip hides it after a delay (300ms gives time to move cursor to tooltip)
+        if (event.target.closest('.glossary-term') || event.target.closest('.glossary-tooltip')) {
             if (hideTimeout) {
                 clearTimeout(hideTimeout);
             }
             
-            // Set a delay before hiding (300ms gives time to move cursor to tooltip)
             hideTimeout = setTimeout(() => {
-                tooltip.classList.remove('show');
-            }, 300);
-        }
-        
-        // If leaving the tooltip, hide it with delay
-        if (event.target.closest('.glossary-tooltip')) {
-            if (hideTimeout) {
-                clearTimeout(hideTimeout);
-            }
-            
-            hideTimeout = setTimeout(() => {
-                tooltip.classList.remove('show');
+                hideTimeout = null;
+                if (!hasFocus()) {
+                    hideTooltip();
+                }
             }, 300);
         }
     });
@@ -452,61 +1148,79 @@ function initializeGlossaryTooltips() {
             event.preventDefault();
             
             if (currentTerm === term && tooltip.classList.contains('show')) {
-                tooltip.classList.remove('show');
-                currentTerm = null;
+                hideTooltip();
             } else {
-                const definition = term.getAttribute('data-definition');
-                const wikipediaUrl = term.getAttribute('data-wikipedia-url');
-                
-                if (definition) {
-                    buildTooltipContent(definition, wikipediaUrl);
-                    positionTooltip(tooltip, term);
-                    tooltip.classList.add('show');
-                    currentTerm = term;
-                }
+                showTooltip(term, { x: event.clientX, y: event.clientY });
             }
-        } else {
+        } else if (tooltip.classList.contains('show')) {
             // User clicked anywhere else - hide the tooltip
-            if (tooltip.classList.contains('show')) {
-                tooltip.classList.remove('show');
-                currentTerm = null;
-            }
+            hideTooltip();
         }
     });
 
-    console.log('Glossary tooltips initialized');
-}
-
-/**
- * Position the tooltip relative to the target element
- * @param {HTMLElement} tooltip - The tooltip element
- * @param {HTMLElement} target - The target element (glossary term)
- */
-function positionTooltip(tooltip, target) {
-    const rect = target.getBoundingClientRect();
-    const tooltipRect = tooltip.getBoundingClientRect();
-    
-    // Position above the term by default
-    let top = rect.top + window.scrollY - tooltipRect.height - 12;
-    let left = rect.left + window.scrollX;
+    // Keyboard: focusing a term previews its definition
+    document.addEventListener('pointerdown', () => {
+        pointerDown = true;
+    });
     
-    // If tooltip would go off the top of the screen, position it below instead
-    if (rect.top - tooltipRect.height - 12 < 0) {
-        top = rect.bottom + window.scrollY + 12;
-    }
+    document.addEventListener('pointerup', () => {
+        pointerDown = false;
+    });
     
-    // Ensure tooltip doesn't go off the right edge of the screen
-    if (left + tooltipRect.width > window.innerWidth) {
-        left = window.innerWidth - tooltipRect.width - 20;
-    }
+    document.addEventListener('focusin', (event) => {
+        const term = event.target.closest('.glossary-term');
+        if (term && !pointerDown && !restoringFocus) {
+            showTooltip(term);
+        }
+    });
     
-    // Ensure tooltip doesn't go off the left edge
-    if (left < 10) {
-        left = 10;
-    }
+    document.addEventListener('focusout', (event) => {
+        const next = event.relatedTarget;
+        if (!currentTerm || !next) {
+            return;
+        }
+        
+        // Focus moved somewhere other than the term or the tooltip
+        if (next !== currentTerm && !tooltip.contains(next) && !next.closest('.glossary-term')) {
+            hideTooltip();
+        }
+    });
     
-    tooltip.style.top = `${top}px`;
-    tooltip.style.left = `${left}px`;
+    document.addEventListener('keydown', (event) => {
+        const term = event.target.closest('.glossary-term');
+        const inTooltip = tooltip.contains(event.target);
+        
+        // Escape always dismisses the tooltip, returning focus to the term if it was inside
+        if (event.key === 'Escape' && tooltip.classList.contains('show')) {
+            event.preventDefault();
+            hideTooltip(inTooltip || event.target === currentTerm);
+            return;
+        }
+        
+        // Enter or Space on a term opens the tooltip and moves focus into it
+        if (term && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            if (showTooltip(term)) {
+                const [first] = getFocusable();
+                if (first) {
+                    first.focus();
+                }
+            }
+            return;
+        }
+        
+        // Tabbing past either end of the tooltip returns to the term, so reading order continues from there
+        if (inTooltip && event.key === 'Tab') {
+            const focusable = getFocusable();
+            const edge = event.shiftKey ? focusable[0] : focusable[focusable.length - 1];
+            if (event.target === edge || focusable.length === 0) {
+                event.preventDefault();
+                hideTooltip(true);
+            }
+        }
+    });
+
+    log.debug('Glossary tooltips initialized');
 }
 
 /**
@@ -523,10 +1237,10 @@ async function fetchData(url, options = {}) {
         }
         return await response.json();
     } catch (error) {
-        console.error('Fetch error:', error);
+        log.warn('Fetch failed:', error);
         throw error;
     }
 }
 
 // Export functions if using modules
-export { init, fetchData, loadGlossary, highlightGlossaryTerms, initializeGlossaryTooltips }
+export { init, createSupabaseClient, fetchData, loadContent, loadGlossary, loadGlossaryFromCSV, highlightGlossaryTerms, highlightInElement, initializeGlossaryTooltips }
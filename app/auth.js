@@ -0,0 +1,130 @@
+/**
+ * Film Home School - Accounts
+ * Supabase Auth sign-in (email magic link or password) and the session-aware header
+ */
+
+import { createLogger } from './logger.js'
+import { onLocaleChange, t } from './i18n.js'
+
+const log = createLogger('auth');
+
+/**
+ * Wire up the account controls in the header and the sign-in dialog
+ * @param {object} client - Supabase client
+ * @param {Function} onUserChange - Called with the Supabase user (or null) whenever the session changes
+ */
+function setupAccount(client, onUserChange) {
+    const signInButton = document.getElementById('sign-in-button');
+    const signedIn = document.getElementById('account-signed-in');
+    const emailLabel = document.getElementById('account-email');
+    const signOutButton = document.getElementById('sign-out-button');
+    const dialog = document.getElementById('auth-dialog');
+    const form = document.getElementById('auth-form');
+    const message = document.getElementById('auth-message');
+
+    if (!signInButton || !dialog || !form) {
+        log.error('Account controls not found');
+        return;
+    }
+
+    let currentUserId;
+    // Message on screen ({ key, params, text, isError }), kept so it can be re-rendered in another language
+    let shown = null;
+
+    function renderSession(session) {
+        const user = session ? session.user : null;
+
+        signInButton.hidden = !!user;
+        signedIn.hidden = !user;
+        emailLabel.textContent = user ? user.email : '';
+        document.documentElement.classList.toggle('is-signed-in', !!user);
+
+        // Token refreshes fire too; only report real sign-in/sign-out changes
+        const userId = user ? user.id : null;
+        if (userId !== currentUserId) {
+            currentUserId = userId;
+            onUserChange(user);
+        }
+    }
+
+    function renderMessage() {
+        message.textContent = shown ? shown.text || t(shown.key, shown.params) : '';
+        message.classList.toggle('is-error', !!(shown && shown.isError));
+    }
+
+    /**
+     * @param {object|null} next - { key, params, text, isError }: a message key, or text as is
+     *   (Supabase error messages), with the key as fallback
+     */
+    function showMessage(next) {
+        shown = next;
+        renderMessage();
+    }
+
+    onLocaleChange(renderMessage);
+
+    signInButton.addEventListener('click', () => {
+        showMessage(null);
+        dialog.showModal();
+        form.elements.email.focus();
+    });
+
+    document.getElementById('auth-cancel').addEventListener('click', () => dialog.close());
+
+    signOutButton.addEventListener('click', async () => {
+        const { error } = await client.auth.signOut();
+        if (error) {
+            log.error('Sign out failed', error);
+        }
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const method = event.submitter ? event.submitter.value : 'magic-link';
+        const email = form.elements.email.value.trim();
+        const password = form.elements.password.value;
+        const buttons = form.querySelectorAll('button');
+
+        if (method === 'password' && !password) {
+            showMessage({ key: 'auth.passwordMissing', isError: true });
+            form.elements.password.focus();
+            return;
+        }
+
+        buttons.forEach(button => { button.disabled = true; });
+        showMessage({ key: method === 'password' ? 'auth.signingIn' : 'auth.sending' });
+
+        try {
+            if (method === 'password') {
+                const { error } = await client.auth.signInWithPassword({ email, password });
+                if (error) throw error;
+                form.reset();
+                dialog.close();
+            } else {
+                // Redirect without the hash: the router owns it, and the PKCE code comes back as ?code=
+                const { error } = await client.auth.signInWithOtp({
+                    email,
+                    options: { emailRedirectTo: `${window.location.origin}${window.location.pathname}` }
+                });
+                if (error) throw error;
+                showMessage({ key: 'auth.checkEmail', params: { email } });
+            }
+        } catch (error) {
+            log.error('Sign in failed', error);
+            showMessage({ key: 'auth.failed', text: error.message, isError: true });
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    });
+
+    client.auth.onAuthStateChange((event, session) => {
+        renderSession(session);
+    });
+
+    client.auth.getSession().then(({ data }) => {
+        renderSession(data ? data.session : null);
+    });
+}
+
+export { setupAccount }
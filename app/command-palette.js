@@ -0,0 +1,270 @@
+/**
+ * Film Home School - Command Palette
+ * Ctrl+K (Cmd+K) or "/" opens a search over lessons and the glossary. The input is a combobox:
+ * arrow keys move through the ranked results, Enter opens one, Escape closes the palette.
+ */
+
+import { search } from './search.js'
+import { t } from './i18n.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('search');
+
+const RESULT_LIMIT = 20;
+
+/**
+ * Wire up the command palette
+ * @param {HTMLDialogElement} dialog - Empty palette dialog
+ * @param {object} options - { getIndex, triggers }: getIndex returns a promise of the search index
+ *   (from loadSearchIndex()); triggers are extra elements that open the palette when clicked
+ */
+function setupCommandPalette(dialog, options) {
+    let results = [];
+    let activeIndex = -1;
+    let index = null;
+    let returnFocus = null;
+
+    dialog.innerHTML = '';
+
+    const form = document.createElement('form');
+    form.className = 'command-palette-form';
+    form.setAttribute('role', 'search');
+
+    const label = document.createElement('label');
+    label.className = 'sr-only';
+    label.htmlFor = `${dialog.id}-input`;
+    form.appendChild(label);
+
+    const icon = document.createElement('span');
+    icon.className = 'material-symbols-rounded';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = 'search';
+    form.appendChild(icon);
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.id = `${dialog.id}-input`;
+    input.className = 'command-palette-input';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', `${dialog.id}-results`);
+    input.setAttribute('aria-expanded', 'false');
+    form.appendChild(input);
+
+    const status = document.createElement('p');
+    status.className = 'command-palette-status';
+    status.setAttribute('role', 'status');
+
+    const list = document.createElement('ul');
+    list.id = `${dialog.id}-results`;
+    list.className = 'command-palette-results';
+    list.setAttribute('role', 'listbox');
+
+    dialog.append(form, status, list);
+
+    function open() {
+        if (dialog.open) {
+            input.select();
+            return;
+        }
+        returnFocus = document.activeElement;
+
+        // Texts follow the active language
+        label.textContent = t('search.label');
+        input.placeholder = t('search.placeholder');
+        list.setAttribute('aria-label', t('search.results'));
+
+        dialog.showModal();
+        input.select();
+        update();
+        loadIndex();
+    }
+
+    function loadIndex() {
+        options.getIndex().then(loaded => {
+            index = loaded;
+            update();
+        }).catch(error => {
+            log.error('Failed to load the search index', error);
+        });
+    }
+
+    function update() {
+        const query = input.value.trim();
+        results = index && query ? search(index, query, { limit: RESULT_LIMIT }) : [];
+        activeIndex = results.length > 0 ? 0 : -1;
+
+        list.innerHTML = '';
+        results.forEach((result, position) => list.appendChild(createOption(result, position)));
+
+        input.setAttribute('aria-expanded', String(results.length > 0));
+        if (!query) {
+            status.textContent = t('search.hint');
+        } else if (!index) {
+            status.textContent = t('search.loading');
+        } else if (results.length === 0) {
+            status.textContent = t('search.noResults', { query });
+        } else {
+            status.textContent = t('search.resultCount', { count: results.length });
+        }
+
+        setActive(activeIndex);
+    }
+
+    function createOption(result, position) {
+        const option = document.createElement('li');
+        option.id = `${dialog.id}-option-${position}`;
+        option.className = 'command-palette-option';
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const type = document.createElement('span');
+        type.className = 'command-palette-type';
+        type.textContent = result.doc.type === 'lesson' ? t('search.lesson') : t('search.term');
+        option.appendChild(type);
+
+        const title = document.createElement('span');
+        title.className = 'command-palette-title';
+        appendHighlighted(title, result.title);
+        option.appendChild(title);
+
+        if (result.snippet.text) {
+            const snippet = document.createElement('span');
+            snippet.className = 'command-palette-snippet';
+            appendHighlighted(snippet, result.snippet);
+            option.appendChild(snippet);
+        }
+
+        // Keep focus in the input; choose on click
+        option.addEventListener('mousedown', event => event.preventDefault());
+        option.addEventListener('click', () => choose(position));
+        option.addEventListener('mousemove', () => {
+            if (activeIndex !== position) setActive(position);
+        });
+        return option;
+    }
+
+    function setActive(position) {
+        activeIndex = position;
+        Array.from(list.children).forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === position));
+        });
+
+        const active = list.children[position];
+        if (active) {
+            input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function choose(position) {
+        const result = results[position];
+        if (!result) {
+            return;
+        }
+        returnFocus = null;
+        dialog.close();
+        window.location.hash = result.doc.href.slice(1);
+    }
+
+    input.addEventListener('input', update);
+
+    input.addEventListener('keydown', event => {
+        if (results.length === 0) {
+            return;
+        }
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                setActive((activeIndex + 1) % results.length);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                setActive((activeIndex - 1 + results.length) % results.length);
+                break;
+            case 'Home':
+            case 'End':
+                if (!event.ctrlKey) return;
+                event.preventDefault();
+                setActive(event.key === 'Home' ? 0 : results.length - 1);
+                break;
+        }
+    });
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        choose(activeIndex);
+    });
+
+    // A click on the backdrop lands on the dialog itself
+    dialog.addEventListener('click', event => {
+        if (event.target === dialog) {
+            dialog.close();
+        }
+    });
+
+    dialog.addEventListener('close', () => {
+        if (returnFocus && document.contains(returnFocus)) {
+            returnFocus.focus();
+        }
+        returnFocus = null;
+    });
+
+    document.addEventListener('keydown', event => {
+        const shortcut = (event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k';
+        const slash = event.key === '/' && !event.ctrlKey && !event.metaKey && !event.altKey && !isTyping(event.target);
+        if (shortcut || slash) {
+            event.preventDefault();
+            open();
+        }
+    });
+
+    (options.triggers || []).forEach(trigger => trigger.addEventListener('click', open));
+
+    /**
+     * Forget the loaded index (after the content or language changes)
+     */
+    function reset() {
+        index = null;
+        if (dialog.open) {
+            update();
+            loadIndex();
+        }
+    }
+
+    return { open, reset };
+}
+
+/**
+ * Append text with its matches wrapped in <mark>
+ * @param {Element} element - Where to append
+ * @param {object} highlighted - { text, matches } with matches as [start, end] ranges
+ */
+function appendHighlighted(element, highlighted) {
+    let last = 0;
+    highlighted.matches.forEach(([start, end]) => {
+        if (start > last) {
+            element.appendChild(document.createTextNode(highlighted.text.slice(last, start)));
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = highlighted.text.slice(start, end);
+        element.appendChild(mark);
+        last = end;
+    });
+    if (last < highlighted.text.length) {
+        element.appendChild(document.createTextNode(highlighted.text.slice(last)));
+    }
+}
+
+/**
+ * Whether a key press is going into a text field (so "/" should be typed, not open the palette)
+ */
+function isTyping(target) {
+    return !!(target && target.closest && target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+}
+
+export { setupCommandPalette }
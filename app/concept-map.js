@@ -0,0 +1,585 @@
+/**
+ * Film Home School - Concept Map
+ * An interactive SVG graph of how glossary terms relate: explicit related_terms
+ * and terms mentioned in each other's definitions
+ */
+
+import { buildConceptGraph } from './glossary-relations.js'
+import { glossaryHref } from './router.js'
+import { getTermLabel } from './glossary-terms.js'
+import { t } from './i18n.js'
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// viewBox size; the layout fits inside it
+const WIDTH = 800;
+const HEIGHT = 600;
+const MARGIN = 40;
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 4;
+const ZOOM_STEP = 1.25;
+
+// A press that moves further than this (in pixels) is a drag, not a click
+const DRAG_THRESHOLD = 4;
+
+// Layout repulsion is quadratic in the number of nodes, so the map draws only the most connected
+// terms and settles over several frames instead of blocking the page
+const MAX_NODES = 150;
+const LAYOUT_ROUNDS_PER_FRAME = 20;
+
+/**
+ * Render the concept map into a container
+ * @param {Element} container - The element to render into
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ */
+function renderConceptMap(container, glossaryMap) {
+    container.innerHTML = '';
+    delete container.dataset.lesson;
+
+    const heading = document.createElement('h2');
+    heading.textContent = t('view.conceptMap');
+    container.appendChild(heading);
+
+    const intro = document.createElement('p');
+    intro.className = 'concept-map-intro';
+    intro.textContent = t('conceptMap.intro');
+    container.appendChild(intro);
+
+    const controls = document.createElement('div');
+    controls.className = 'concept-map-controls';
+    container.appendChild(controls);
+
+    const mentionsLabel = document.createElement('label');
+    mentionsLabel.className = 'concept-map-toggle';
+    const mentionsToggle = document.createElement('input');
+    mentionsToggle.type = 'checkbox';
+    mentionsToggle.checked = true;
+    mentionsLabel.append(mentionsToggle, ` ${t('conceptMap.showMentions')}`);
+    controls.appendChild(mentionsLabel);
+
+    const zoomControls = document.createElement('div');
+    zoomControls.className = 'concept-map-zoom';
+    zoomControls.setAttribute('role', 'group');
+    zoomControls.setAttribute('aria-label', t('conceptMap.zoom'));
+    const zoomIn = createZoomButton('add', t('conceptMap.zoomIn'));
+    const zoomOut = createZoomButton('remove', t('conceptMap.zoomOut'));
+    const zoomReset = createZoomButton('fit_screen', t('conceptMap.reset'));
+    zoomControls.append(zoomIn, zoomOut, zoomReset);
+    controls.appendChild(zoomControls);
+
+    const legend = document.createElement('ul');
+    legend.className = 'concept-map-legend';
+    legend.setAttribute('aria-label', t('conceptMap.legend'));
+    [['is-related', t('conceptMap.related')], ['is-mention', t('conceptMap.mention')]].forEach(([kind, label]) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = `concept-map-swatch ${kind}`;
+        swatch.setAttribute('aria-hidden', 'true');
+        item.append(swatch, label);
+        legend.appendChild(item);
+    });
+    container.appendChild(legend);
+
+    const truncated = document.createElement('p');
+    truncated.className = 'concept-map-note';
+    container.appendChild(truncated);
+
+    const empty = document.createElement('p');
+    empty.className = 'concept-map-empty';
+    empty.textContent = t('conceptMap.empty');
+    container.appendChild(empty);
+
+    // The same connections as a list, for screen readers and small screens
+    const details = document.createElement('details');
+    details.className = 'concept-map-list';
+    const summary = document.createElement('summary');
+    summary.textContent = t('conceptMap.list');
+    const list = document.createElement('ul');
+    details.append(summary, list);
+    container.appendChild(details);
+
+    let graph = null;
+
+    function render() {
+        const full = buildConceptGraph(glossaryMap, { mentions: mentionsToggle.checked });
+        const shown = limitGraph(full, MAX_NODES);
+        const next = createGraphView(shown, glossaryMap);
+        if (graph) {
+            graph.stop();
+            graph.svg.replaceWith(next.svg);
+        } else {
+            container.insertBefore(next.svg, details);
+        }
+        graph = next;
+        // The list keeps every connection, including those of terms left off the map
+        renderConnectionList(list, full.edges, glossaryMap);
+
+        truncated.hidden = shown.nodes.length === full.nodes.length;
+        truncated.textContent = t('conceptMap.truncated', { shown: shown.nodes.length, total: full.nodes.length });
+
+        const hasNodes = graph.nodes.size > 0;
+        empty.hidden = hasNodes;
+        graph.svg.toggleAttribute('hidden', !hasNodes);
+        details.hidden = !hasNodes;
+        zoomControls.hidden = !hasNodes;
+    }
+
+    mentionsToggle.addEventListener('change', render);
+    zoomIn.addEventListener('click', () => graph.zoom(ZOOM_STEP));
+    zoomOut.addEventListener('click', () => graph.zoom(1 / ZOOM_STEP));
+    zoomReset.addEventListener('click', () => graph.reset());
+
+    render();
+}
+
+/**
+ * Keep the most connected nodes of a graph (ties broken by name) and the edges between them
+ * @param {object} graph - { nodes, edges } from buildConceptGraph()
+ * @param {number} max - Most nodes to keep
+ * @returns {object} - { nodes, edges }, the graph itself when it is small enough
+ */
+function limitGraph(graph, max) {
+    if (graph.nodes.length <= max) {
+        return graph;
+    }
+
+    const degree = new Map(graph.nodes.map(term => [term, 0]));
+    graph.edges.forEach(({ source, target }) => {
+        degree.set(source, degree.get(source) + 1);
+        degree.set(target, degree.get(target) + 1);
+    });
+
+    const kept = new Set(graph.nodes.slice()
+        .sort((a, b) => degree.get(b) - degree.get(a) || (a < b ? -1 : 1))
+        .slice(0, max));
+
+    return {
+        nodes: graph.nodes.filter(term => kept.has(term)),
+        edges: graph.edges.filter(({ source, target }) => kept.has(source) && kept.has(target))
+    };
+}
+
+/**
+ * Draw a graph as SVG and wire up highlighting, dragging, panning and zooming
+ * The layout runs a few rounds per animation frame; with reduced motion the nodes move only once
+ * it has settled
+ * @param {object} graph - { nodes, edges } from buildConceptGraph()
+ * @param {Map} glossaryMap - Map of glossary terms to entry data, for the labels
+ * @returns {object} - { svg, nodes, edges, zoom(factor), reset(), stop() } stop() ends the layout where it is
+ */
+function createGraphView(graph, glossaryMap) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'concept-map');
+    svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+    svg.setAttribute('aria-label', t('conceptMap.label'));
+
+    const layout = createLayout(graph.nodes, graph.edges, { width: WIDTH, height: HEIGHT });
+    const positions = layout.positions;
+    const view = { x: 0, y: 0, scale: 1 };
+    const neighbours = new Map(graph.nodes.map(term => [term, new Set()]));
+    graph.edges.forEach(({ source, target }) => {
+        neighbours.get(source).add(target);
+        neighbours.get(target).add(source);
+    });
+
+    const viewport = document.createElementNS(SVG_NS, 'g');
+    viewport.setAttribute('class', 'concept-map-viewport');
+    svg.appendChild(viewport);
+
+    const edgeLayer = document.createElementNS(SVG_NS, 'g');
+    edgeLayer.setAttribute('aria-hidden', 'true');
+    viewport.appendChild(edgeLayer);
+
+    const nodeLayer = document.createElementNS(SVG_NS, 'g');
+    viewport.appendChild(nodeLayer);
+
+    const edges = graph.edges.map(edge => {
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('class', `concept-edge is-${edge.kind}`);
+        edgeLayer.appendChild(line);
+        return { ...edge, line };
+    });
+
+    const nodes = new Map();
+    graph.nodes.forEach(term => {
+        const link = document.createElementNS(SVG_NS, 'a');
+        link.setAttribute('href', glossaryHref(term));
+        link.setAttribute('class', 'concept-node');
+        link.dataset.term = term;
+
+        const name = getTermLabel(term, glossaryMap.get(term));
+        const count = neighbours.get(term).size;
+        link.setAttribute('aria-label', t('conceptMap.node', { term: name, count }));
+
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('r', String(5 + Math.min(count, 6)));
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('dy', '-14');
+        label.setAttribute('text-anchor', 'middle');
+        label.textContent = name;
+        link.append(circle, label);
+
+        nodeLayer.appendChild(link);
+        nodes.set(term, link);
+    });
+
+    function drawNode(term) {
+        const { x, y } = positions.get(term);
+        nodes.get(term).setAttribute('transform', `translate(${x.toFixed(1)} ${y.toFixed(1)})`);
+    }
+
+    function drawEdge(edge) {
+        const from = positions.get(edge.source);
+        const to = positions.get(edge.target);
+        edge.line.setAttribute('x1', from.x.toFixed(1));
+        edge.line.setAttribute('y1', from.y.toFixed(1));
+        edge.line.setAttribute('x2', to.x.toFixed(1));
+        edge.line.setAttribute('y2', to.y.toFixed(1));
+    }
+
+    function drawView() {
+        viewport.setAttribute('transform', `translate(${view.x.toFixed(1)} ${view.y.toFixed(1)}) scale(${view.scale.toFixed(3)})`);
+    }
+
+    function drawGraph() {
+        graph.nodes.forEach(drawNode);
+        edges.forEach(drawEdge);
+    }
+
+    drawGraph();
+    drawView();
+
+    const animate = !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    let frame = null;
+
+    function settle() {
+        frame = null;
+        // The view has been left or replaced
+        if (!svg.isConnected) return;
+
+        const running = layout.step(LAYOUT_ROUNDS_PER_FRAME);
+        if (animate || !running) {
+            drawGraph();
+        }
+        if (running) {
+            frame = requestAnimationFrame(settle);
+        }
+    }
+
+    function stop() {
+        if (frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+    }
+
+    if (layout.step(0)) {
+        frame = requestAnimationFrame(settle);
+    }
+
+    /**
+     * Highlight a term and its neighbours, dimming the rest (null clears the highlight)
+     */
+    function setActive(term) {
+        svg.classList.toggle('has-active', !!term);
+        nodes.forEach((node, name) => {
+            node.classList.toggle('is-active', name === term);
+            node.classList.toggle('is-neighbour', !!term && neighbours.get(term).has(name));
+        });
+        edges.forEach(edge => {
+            edge.line.classList.toggle('is-active', !!term && (edge.source === term || edge.target === term));
+        });
+    }
+
+    /**
+     * Pointer position in viewBox units (the SVG keeps the viewBox's aspect ratio)
+     */
+    function toViewBox(event) {
+        const rect = svg.getBoundingClientRect();
+        const ratio = rect.width > 0 ? WIDTH / rect.width : 1;
+        return { x: (event.clientX - rect.left) * ratio, y: (event.clientY - rect.top) * ratio };
+    }
+
+    /**
+     * Zoom around a point in viewBox units (the centre by default)
+     */
+    function zoom(factor, origin = { x: WIDTH / 2, y: HEIGHT / 2 }) {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+        view.x = origin.x - (origin.x - view.x) * (scale / view.scale);
+        view.y = origin.y - (origin.y - view.y) * (scale / view.scale);
+        view.scale = scale;
+        drawView();
+    }
+
+    // Dragging a node moves it; dragging the background pans
+    let drag = null;
+    let suppressClick = false;
+
+    svg.addEventListener('pointerdown', event => {
+        if (event.button !== 0) return;
+        const node = event.target.closest('.concept-node');
+        const point = toViewBox(event);
+        // Moving a node by hand ends the layout, which would otherwise pull it back
+        if (node) {
+            stop();
+            drawGraph();
+        }
+        drag = {
+            term: node ? node.dataset.term : null,
+            pointerId: event.pointerId,
+            start: point,
+            origin: node ? { ...positions.get(node.dataset.term) } : { x: view.x, y: view.y },
+            moved: false
+        };
+        suppressClick = false;
+        if (svg.setPointerCapture && event.pointerId !== undefined) {
+            svg.setPointerCapture(event.pointerId);
+        }
+    });
+
+    svg.addEventListener('pointermove', event => {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        const point = toViewBox(event);
+        const dx = point.x - drag.start.x;
+        const dy = point.y - drag.start.y;
+
+        if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+        drag.moved = true;
+        svg.classList.add('is-dragging');
+
+        if (drag.term) {
+            positions.set(drag.term, { x: drag.origin.x + dx / view.scale, y: drag.origin.y + dy / view.scale });
+            drawNode(drag.term);
+            edges.filter(edge => edge.source === drag.term || edge.target === drag.term).forEach(drawEdge);
+        } else {
+            view.x = drag.origin.x + dx;
+            view.y = drag.origin.y + dy;
+            drawView();
+        }
+    });
+
+    function endDrag(event) {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        suppressClick = drag.moved;
+        drag = null;
+        svg.classList.remove('is-dragging');
+    }
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+
+    // A drag that ends on a node shouldn't follow its link
+    svg.addEventListener('click', event => {
+        if (suppressClick && event.target.closest('.concept-node')) {
+            event.preventDefault();
+        }
+        suppressClick = false;
+    });
+
+    // Ctrl + wheel (or a trackpad pinch) zooms; a plain wheel keeps scrolling the page
+    svg.addEventListener('wheel', event => {
+        if (!event.ctrlKey && !event.metaKey) return;
+        event.preventDefault();
+        zoom(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, toViewBox(event));
+    });
+
+    function highlight(event) {
+        const node = event.target.closest('.concept-node');
+        if (node && !drag) setActive(node.dataset.term);
+    }
+
+    function unhighlight(event) {
+        const next = event.relatedTarget && event.relatedTarget.closest ? event.relatedTarget.closest('.concept-node') : null;
+        if (!next && !drag) setActive(null);
+    }
+
+    svg.addEventListener('pointerover', highlight);
+    svg.addEventListener('focusin', highlight);
+    svg.addEventListener('pointerout', unhighlight);
+    svg.addEventListener('focusout', unhighlight);
+
+    return {
+        svg,
+        nodes,
+        edges,
+        zoom,
+        stop,
+        reset() {
+            view.x = 0;
+            view.y = 0;
+            view.scale = 1;
+            drawView();
+        }
+    };
+}
+
+/**
+ * List each term with its connections
+ * @param {Element} list - The <ul> to fill
+ * @param {Array} edges - Graph edges ({ source, target, kind })
+ * @param {Map} glossaryMap - Map of glossary terms to entry data, for the labels
+ */
+function renderConnectionList(list, edges, glossaryMap) {
+    const label = term => getTermLabel(term, glossaryMap.get(term));
+    const byLabel = (a, b) => label(a).localeCompare(label(b), undefined, { sensitivity: 'base' });
+    const connections = new Map();
+
+    edges.forEach(({ source, target, kind }) => {
+        [[source, target], [target, source]].forEach(([term, other]) => {
+            if (!connections.has(term)) {
+                connections.set(term, { related: [], mention: [] });
+            }
+            connections.get(term)[kind].push(other);
+        });
+    });
+
+    list.innerHTML = '';
+    Array.from(connections.keys())
+        .sort(byLabel)
+        .forEach(term => {
+            const { related, mention } = connections.get(term);
+            const item = document.createElement('li');
+
+            const link = document.createElement('a');
+            link.href = glossaryHref(term);
+            link.textContent = label(term);
+            item.appendChild(link);
+
+            const parts = [];
+            if (related.length > 0) parts.push(t('conceptMap.relatedTo', { terms: related.sort(byLabel).map(label).join(', ') }));
+            if (mention.length > 0) parts.push(t('conceptMap.mentionedWith', { terms: mention.sort(byLabel).map(label).join(', ') }));
+            item.appendChild(document.createTextNode(`: ${parts.join('; ')}`));
+
+            list.appendChild(item);
+        });
+}
+
+/**
+ * Lay out a graph with a force-directed (Fruchterman–Reingold) simulation
+ * Starts from a circle rather than random positions, so the same glossary always gets the same map
+ * @param {Array<string>} nodes - Node names
+ * @param {Array} edges - Edges ({ source, target })
+ * @param {object} [options] - { width, height, iterations }
+ * @returns {Map} - Node name to { x, y }
+ */
+function layoutGraph(nodes, edges, options = {}) {
+    const layout = createLayout(nodes, edges, options);
+    layout.step(Infinity);
+    return layout.positions;
+}
+
+/**
+ * The simulation behind layoutGraph(), run a number of rounds at a time
+ * @param {Array<string>} nodes - Node names
+ * @param {Array} edges - Edges ({ source, target })
+ * @param {object} [options] - { width, height, iterations }
+ * @returns {object} - { positions, step(rounds) } positions is updated in place;
+ *   step() returns whether any rounds are left
+ */
+function createLayout(nodes, edges, options = {}) {
+    const { width = WIDTH, height = HEIGHT } = options;
+    // Repulsion is quadratic in the number of nodes, so large graphs get fewer rounds
+    const iterations = options.iterations || (nodes.length > 150 ? 80 : 300);
+    const positions = new Map();
+
+    const radius = Math.min(width, height) / 2 - MARGIN;
+    nodes.forEach((node, index) => {
+        const angle = (2 * Math.PI * index) / nodes.length;
+        positions.set(node, {
+            x: width / 2 + radius * Math.cos(angle),
+            y: height / 2 + radius * Math.sin(angle)
+        });
+    });
+
+    if (nodes.length < 2) {
+        nodes.forEach(node => positions.set(node, { x: width / 2, y: height / 2 }));
+        return { positions, step: () => false };
+    }
+
+    // Ideal distance between nodes
+    const k = Math.sqrt(((width - 2 * MARGIN) * (height - 2 * MARGIN)) / nodes.length);
+    let temperature = width / 10;
+    const cooling = temperature / (iterations + 1);
+    const points = nodes.map(node => positions.get(node));
+    const indexOf = new Map(nodes.map((node, index) => [node, index]));
+    let round = 0;
+
+    function runRound() {
+        const moves = points.map(() => ({ x: 0, y: 0 }));
+
+        // Every pair of nodes pushes apart
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                const dx = points[i].x - points[j].x;
+                const dy = points[i].y - points[j].y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const force = (k * k) / distance;
+                moves[i].x += (dx / distance) * force;
+                moves[i].y += (dy / distance) * force;
+                moves[j].x -= (dx / distance) * force;
+                moves[j].y -= (dy / distance) * force;
+            }
+        }
+
+        // Connected nodes pull together
+        edges.forEach(({ source, target }) => {
+            const i = indexOf.get(source);
+            const j = indexOf.get(target);
+            const dx = points[i].x - points[j].x;
+            const dy = points[i].y - points[j].y;
+            const distance = Math.max(Math.hypot(dx, dy), 0.01);
+            const force = (distance * distance) / k;
+            moves[i].x -= (dx / distance) * force;
+            moves[i].y -= (dy / distance) * force;
+            moves[j].x += (dx / distance) * force;
+            moves[j].y += (dy / distance) * force;
+        });
+
+        // Move each node at most the current temperature, staying inside the margins
+        points.forEach((point, index) => {
+            const { x, y } = moves[index];
+            const length = Math.hypot(x, y);
+            if (length > 0) {
+                const step = Math.min(length, temperature);
+                point.x += (x / length) * step;
+                point.y += (y / length) * step;
+            }
+            point.x = Math.min(width - MARGIN, Math.max(MARGIN, point.x));
+            point.y = Math.min(height - MARGIN, Math.max(MARGIN, point.y));
+        });
+
+        temperature -= cooling;
+        round++;
+    }
+
+    function step(rounds) {
+        const end = Math.min(iterations, round + rounds);
+        while (round < end) {
+            runRound();
+        }
+        return round < iterations;
+    }
+
+    return { positions, step };
+}
+
+/**
+ * Icon button for the zoom controls
+ */
+function createZoomButton(icon, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'concept-map-zoom-button';
+    button.setAttribute('aria-label', label);
+    button.title = label;
+
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'material-symbols-rounded';
+    iconSpan.setAttribute('aria-hidden', 'true');
+    iconSpan.textContent = icon;
+    button.appendChild(iconSpan);
+
+    return button;
+}
+
+export { renderConceptMap, layoutGraph, limitGraph }
@@ -0,0 +1,275 @@
+/**
+ * Film Home School - CSV Parsing
+ * RFC 4180 parser used for the local glossary fallback (/local_files/glossary.csv)
+ * and glossary import, plus the writer used for export
+ */
+
+import { parseAliases } from './glossary-terms.js'
+
+/**
+ * Parse CSV text into records
+ * Handles quoted fields (with commas and newlines), escaped quotes (""), CRLF/LF/CR
+ * line endings and a leading BOM. Blank lines are ignored.
+ * @param {string} text - Raw CSV text
+ * @returns {object} - { records: [{ line, fields, malformed }], errors: [{ line, message }] }
+ */
+function parseCSV(text) {
+    const records = [];
+    const errors = [];
+
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let fieldWasQuoted = false;
+    let malformed = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    function reportError(message) {
+        errors.push({ line, message });
+        malformed = true;
+    }
+
+    function endField() {
+        fields.push(field);
+        field = '';
+        fieldWasQuoted = false;
+    }
+
+    function endRecord() {
+        endField();
+        // A line with nothing on it is not a record
+        const isBlank = fields.length === 1 && fields[0] === '' && !malformed;
+        if (!isBlank) {
+            records.push({ line: recordLine, fields, malformed });
+        }
+        fields = [];
+        malformed = false;
+    }
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    // Escaped quote
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+                i++;
+                const next = text[i];
+                if (next !== undefined && next !== ',' && next !== '\n' && next !== '\r') {
+                    reportError('Unexpected character after closing quote');
+                }
+                continue;
+            }
+
+            // Newlines inside quoted fields are kept, normalized to \n
+            if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                field += '\n';
+                line++;
+                i++;
+                continue;
+            }
+
+            field += char;
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            if (field === '' && !fieldWasQuoted) {
+                inQuotes = true;
+                fieldWasQuoted = true;
+            } else {
+                // Keep the quote as text, but flag the row
+                reportError('Unexpected quote in unquoted field');
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === ',') {
+            endField();
+            i++;
+            continue;
+        }
+
+        if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+            i++;
+            line++;
+            recordLine = line;
+            continue;
+        }
+
+        field += char;
+        i++;
+    }
+
+    if (inQuotes) {
+        errors.push({ line: recordLine, message: 'Unterminated quoted field' });
+        malformed = true;
+    }
+
+    // Last record when the file doesn't end with a newline
+    if (field !== '' || fieldWasQuoted || fields.length > 0) {
+        endRecord();
+    }
+
+    return { records, errors };
+}
+
+/**
+ * Parse a glossary CSV into a Map and a validation report
+ * Expects a header row with "term" and "definition" columns, an optional
+ * Wikipedia column (any header containing "wiki") and an optional "aliases"
+ * column ("ELS | extreme wide shot"). Columns may be in any order.
+ * @param {string} text - Raw CSV text
+ * @returns {object} - { glossaryMap, report }
+ *   report: { rows, loaded, skipped, malformed, duplicates, missingColumns }
+ */
+function parseGlossaryCSV(text) {
+    const glossaryMap = new Map();
+    const report = {
+        rows: 0,
+        loaded: 0,
+        skipped: [],
+        malformed: [],
+        duplicates: [],
+        missingColumns: []
+    };
+
+    const { records, errors } = parseCSV(text);
+    report.malformed.push(...errors);
+
+    if (records.length === 0) {
+        report.missingColumns.push('term', 'definition');
+        return { glossaryMap, report };
+    }
+
+    const [headerRecord, ...dataRecords] = records;
+    const header = headerRecord.fields.map(column => column.trim().toLowerCase());
+    const termIndex = header.indexOf('term');
+    const definitionIndex = header.indexOf('definition');
+    const wikiIndex = header.findIndex(column => column.includes('wiki'));
+    const aliasesIndex = header.indexOf('aliases');
+    const relatedIndex = header.findIndex(column => column.startsWith('related'));
+
+    if (termIndex === -1) report.missingColumns.push('term');
+    if (definitionIndex === -1) report.missingColumns.push('definition');
+    if (wikiIndex === -1) report.missingColumns.push('wikipedia_url');
+
+    report.rows = dataRecords.length;
+
+    // Without the required columns no row can be loaded
+    if (termIndex === -1 || definitionIndex === -1) {
+        return { glossaryMap, report };
+    }
+
+    // Track the first line of each term (case-insensitive) to report duplicates
+    const firstLines = new Map();
+
+    dataRecords.forEach(record => {
+        if (record.malformed) {
+            report.skipped.push({ line: record.line, reason: 'Malformed row' });
+            return;
+        }
+
+        if (record.fields.length !== header.length) {
+            report.malformed.push({
+                line: record.line,
+                message: `Expected ${header.length} fields but found ${record.fields.length}`
+            });
+        }
+
+        const term = (record.fields[termIndex] || '').trim();
+        const definition = (record.fields[definitionIndex] || '').trim();
+        const wikipedia_url = wikiIndex >= 0 ? (record.fields[wikiIndex] || '').trim() : '';
+        const aliases = aliasesIndex >= 0 ? parseAliases(record.fields[aliasesIndex]) : [];
+        const related_terms = relatedIndex >= 0 ? parseAliases(record.fields[relatedIndex]) : [];
+
+        if (!term) {
+            report.skipped.push({ line: record.line, reason: 'Missing term' });
+            return;
+        }
+
+        if (!definition) {
+            report.skipped.push({ line: record.line, reason: `Missing definition for "${term}"` });
+            return;
+        }
+
+        const key = term.toLowerCase();
+        if (firstLines.has(key)) {
+            report.duplicates.push({ line: record.line, term, firstLine: firstLines.get(key) });
+            return;
+        }
+        firstLines.set(key, record.line);
+
+        glossaryMap.set(term, {
+            definition,
+            wikipedia_url: wikipedia_url || null,
+            aliases,
+            related_terms
+        });
+    });
+
+    report.loaded = glossaryMap.size;
+    return { glossaryMap, report };
+}
+
+/**
+ * Whether a report contains anything worth looking at
+ * @param {object} report - Report from parseGlossaryCSV
+ * @returns {boolean}
+ */
+function hasProblems(report) {
+    return report.skipped.length > 0 ||
+        report.malformed.length > 0 ||
+        report.duplicates.length > 0 ||
+        report.missingColumns.length > 0;
+}
+
+/**
+ * Write a glossary as CSV in the same format parseGlossaryCSV reads
+ * Aliases and related terms are joined with " | "; lines end with CRLF as RFC 4180 asks
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {string} - CSV text
+ */
+function glossaryToCSV(glossaryMap) {
+    const lines = [['term', 'definition', 'wikipedia_url', 'aliases', 'related_terms']];
+
+    glossaryMap.forEach((data, term) => {
+        const entry = typeof data === 'string' ? { definition: data } : data;
+        lines.push([
+            term,
+            entry.definition,
+            entry.wikipedia_url || '',
+            parseAliases(entry.aliases).join(' | '),
+            parseAliases(entry.related_terms).join(' | ')
+        ]);
+    });
+
+    return lines.map(fields => fields.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a field when it contains a comma, quote or line break
+ */
+function formatField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export { parseCSV, parseGlossaryCSV, glossaryToCSV, hasProblems }
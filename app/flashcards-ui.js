@@ -0,0 +1,309 @@
+/**
+ * Film Home School - Flashcards UI
+ * Review session for the flashcard deck (keys 1–4 grade a card), the
+ * "study this" button and the due-count badge in the header
+ */
+
+import { scheduleCard, GRADES } from './flashcards.js'
+import { glossaryHref } from './router.js'
+import { getTermLabel } from './glossary-terms.js'
+import { onLocaleChange, t } from './i18n.js'
+
+// Cleanup for the keyboard shortcuts of the session currently shown
+let stopShortcuts = null;
+
+/**
+ * Render a review session of the cards that are due
+ * @param {Element} container - Element to render into
+ * @param {object} deck - Deck from createFlashcardDeck()
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ */
+function renderFlashcards(container, deck, glossaryMap) {
+    stopFlashcards();
+
+    container.innerHTML = '';
+    delete container.dataset.lesson;
+
+    const heading = document.createElement('h2');
+    heading.textContent = t('view.flashcards');
+    container.appendChild(heading);
+
+    const section = document.createElement('section');
+    section.className = 'flashcards';
+    container.appendChild(section);
+
+    // Cards graded "again" go to the back of the queue and come up again this session
+    const queue = deck.due(glossaryMap);
+    let revealed = false;
+    let reviewed = 0;
+    let showAnswer = null;
+
+    function showCard() {
+        const term = queue[0];
+        const data = glossaryMap.get(term);
+        revealed = false;
+        section.innerHTML = '';
+
+        const status = document.createElement('p');
+        status.className = 'flashcards-status';
+        status.textContent = t('flashcards.cardsLeft', { count: queue.length });
+        section.appendChild(status);
+
+        const card = document.createElement('div');
+        card.className = 'flashcard';
+
+        const front = document.createElement('p');
+        front.className = 'flashcard-term';
+        front.tabIndex = -1;
+        front.textContent = getTermLabel(term, data);
+        card.appendChild(front);
+
+        const back = document.createElement('div');
+        back.className = 'flashcard-back';
+        back.hidden = true;
+
+        const definition = document.createElement('p');
+        definition.className = 'flashcard-definition';
+        definition.textContent = typeof data === 'string' ? data : data.definition;
+        back.appendChild(definition);
+
+        const entryLink = document.createElement('a');
+        entryLink.href = glossaryHref(term);
+        entryLink.textContent = t('flashcards.fullEntry');
+        back.appendChild(entryLink);
+
+        card.appendChild(back);
+        section.appendChild(card);
+
+        const reveal = document.createElement('button');
+        reveal.type = 'button';
+        reveal.className = 'quiz-button quiz-button-primary';
+        reveal.textContent = t('flashcards.showAnswer');
+        reveal.setAttribute('aria-keyshortcuts', 'Space');
+        section.appendChild(reveal);
+
+        const grades = document.createElement('div');
+        grades.className = 'flashcard-grades';
+        grades.setAttribute('role', 'group');
+        grades.setAttribute('aria-label', t('flashcards.gradePrompt'));
+        grades.hidden = true;
+
+        const current = deck.get(term);
+        GRADES.forEach((grade, index) => {
+            const next = scheduleCard(current, grade, Date.now());
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `flashcard-grade flashcard-grade-${grade}`;
+            button.setAttribute('aria-keyshortcuts', String(index + 1));
+            button.addEventListener('click', () => gradeCard(grade));
+
+            const label = document.createElement('span');
+            label.className = 'flashcard-grade-label';
+            label.textContent = t(`flashcards.grade.${grade}`);
+            button.appendChild(label);
+
+            const hint = document.createElement('span');
+            hint.className = 'flashcard-grade-hint';
+            hint.textContent = `${index + 1} · ${formatInterval(Date.parse(next.due) - Date.now())}`;
+            button.appendChild(hint);
+
+            grades.appendChild(button);
+        });
+        section.appendChild(grades);
+
+        showAnswer = () => {
+            revealed = true;
+            back.hidden = false;
+            reveal.hidden = true;
+            grades.hidden = false;
+            grades.querySelector('.flashcard-grade-good').focus();
+        };
+
+        reveal.addEventListener('click', showAnswer);
+
+        if (reviewed > 0) {
+            front.focus();
+        }
+    }
+
+    function gradeCard(grade) {
+        const term = queue.shift();
+        deck.grade(term, grade);
+        reviewed++;
+
+        if (grade === 'again') {
+            queue.push(term);
+        }
+
+        if (queue.length > 0) {
+            showCard();
+        } else {
+            showSummary();
+        }
+    }
+
+    function showSummary() {
+        section.innerHTML = '';
+
+        const message = document.createElement('p');
+        message.className = 'flashcards-summary';
+        message.tabIndex = -1;
+
+        if (deck.size() === 0) {
+            message.textContent = t('flashcards.empty');
+        } else {
+            const nextDue = deck.nextDue();
+            const prefix = reviewed > 0
+                ? t('flashcards.reviewed', { count: reviewed })
+                : t('flashcards.noneDue');
+            message.textContent = nextDue
+                ? `${prefix} ${t('flashcards.nextReview', { when: formatWhen(nextDue.getTime() - Date.now()) })}`
+                : prefix;
+        }
+        section.appendChild(message);
+
+        const link = document.createElement('a');
+        link.href = '#/glossary';
+        link.textContent = t('flashcards.browse');
+        section.appendChild(link);
+
+        if (reviewed > 0) {
+            message.focus();
+        }
+    }
+
+    function handleKeydown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented || queue.length === 0) {
+            return;
+        }
+        // Leave typing and native button activation alone
+        if (event.target.closest('input, textarea, select, [contenteditable="true"], dialog[open]')) {
+            return;
+        }
+
+        if (!revealed && event.key === ' ' && !event.target.closest('button, a')) {
+            event.preventDefault();
+            showAnswer();
+            return;
+        }
+
+        const grade = GRADES[Number(event.key) - 1];
+        if (revealed && grade) {
+            event.preventDefault();
+            gradeCard(grade);
+        }
+    }
+
+    document.addEventListener('keydown', handleKeydown);
+    stopShortcuts = () => document.removeEventListener('keydown', handleKeydown);
+
+    if (queue.length > 0) {
+        showCard();
+    } else {
+        showSummary();
+    }
+}
+
+/**
+ * Remove the keyboard shortcuts of the review session (called when navigating away)
+ */
+function stopFlashcards() {
+    if (stopShortcuts) {
+        stopShortcuts();
+        stopShortcuts = null;
+    }
+}
+
+/**
+ * Create the "study this" toggle that adds a term to the deck
+ * @param {string} term - Glossary term
+ * @param {object} deck - Deck from createFlashcardDeck()
+ * @returns {HTMLButtonElement} - The button
+ */
+function createStudyButton(term, deck) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'study-button';
+
+    function render() {
+        const inDeck = deck.has(term);
+        button.setAttribute('aria-pressed', String(inDeck));
+        button.innerHTML = '';
+
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-rounded';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = inDeck ? 'check' : 'add';
+        button.appendChild(icon);
+
+        const label = document.createElement('span');
+        label.textContent = inDeck ? t('flashcards.inDeck') : t('flashcards.study');
+        button.appendChild(label);
+    }
+
+    button.addEventListener('click', () => {
+        if (deck.has(term)) {
+            deck.remove(term);
+        } else {
+            deck.add(term);
+        }
+        render();
+    });
+
+    render();
+    return button;
+}
+
+/**
+ * Keep the header badge in step with the number of due cards
+ * @param {Element} badge - Badge element (hidden when nothing is due)
+ * @param {object} deck - Deck from createFlashcardDeck()
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ */
+function watchDueCount(badge, deck, glossaryMap) {
+    const count = badge.querySelector('.flashcards-due-count');
+    const label = badge.querySelector('.sr-only');
+
+    function render() {
+        const due = deck.due(glossaryMap).length;
+        badge.hidden = due === 0;
+        count.textContent = due > 99 ? '99+' : String(due);
+        label.textContent = ` ${t('flashcards.due', { count: due })}`;
+    }
+
+    deck.subscribe(render);
+    onLocaleChange(render);
+
+    // Cards also fall due while the page is open
+    setInterval(render, 60 * 1000);
+    render();
+}
+
+/**
+ * "now", "in 10 min", "in 6 days" in the active locale
+ */
+function formatWhen(ms) {
+    return ms <= 0 ? t('flashcards.now') : t('flashcards.in', { interval: formatInterval(ms) });
+}
+
+/**
+ * "10 min", "1 day", "3 mo" in the active locale
+ */
+function formatInterval(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return t('flashcards.minutes', { count: Math.max(minutes, 1) });
+
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return t('flashcards.hours', { count: hours });
+
+    const days = Math.round(hours / 24);
+    if (days < 31) return t('flashcards.days', { count: days });
+
+    const months = Math.round(days / 30);
+    if (months < 12) return t('flashcards.months', { count: months });
+
+    return t('flashcards.years', { count: Math.round(days / 365) });
+}
+
+export { renderFlashcards, stopFlashcards, createStudyButton, watchDueCount }
@@ -0,0 +1,220 @@
+/**
+ * Film Home School - Flashcards
+ * Spaced-repetition deck of glossary terms, scheduled with an SM-2 style algorithm
+ * and kept in localStorage
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('flashcards');
+
+const STORAGE_KEY = 'flashcards';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Cards graded "again" come back within the same study session
+const RELEARN_DELAY = 10 * 60 * 1000;
+
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// SM-2 quality for each grade button
+const GRADE_QUALITY = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+const GRADES = Object.keys(GRADE_QUALITY);
+
+/**
+ * Work out the next review of a card
+ * @param {object} card - { ease, interval, repetitions, lapses }
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @param {number} now - Current time in ms
+ * @returns {object} - Updated card with a new due date
+ */
+function scheduleCard(card, grade, now) {
+    const quality = GRADE_QUALITY[grade];
+    if (quality === undefined) {
+        throw new Error(`Unknown grade: ${grade}`);
+    }
+
+    const ease = Math.max(
+        MIN_EASE,
+        card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    if (quality < 3) {
+        return {
+            ...card,
+            ease,
+            interval: 0,
+            repetitions: 0,
+            lapses: card.lapses + 1,
+            due: new Date(now + RELEARN_DELAY).toISOString()
+        };
+    }
+
+    const repetitions = card.repetitions + 1;
+    let interval;
+
+    if (repetitions === 1) {
+        interval = grade === 'easy' ? 4 : 1;
+    } else if (repetitions === 2) {
+        interval = grade === 'hard' ? 3 : 6;
+    } else if (grade === 'hard') {
+        interval = Math.max(card.interval + 1, Math.round(card.interval * 1.2));
+    } else {
+        interval = Math.round(card.interval * ease * (grade === 'easy' ? 1.3 : 1));
+    }
+
+    return {
+        ...card,
+        ease,
+        interval,
+        repetitions,
+        due: new Date(now + interval * DAY).toISOString()
+    };
+}
+
+/**
+ * Create the flashcard deck
+ * @returns {object} - Deck API
+ */
+function createFlashcardDeck() {
+    // term -> { ease, interval, repetitions, lapses, due, addedAt }
+    let cards = readCards();
+    const listeners = new Set();
+
+    function hasCard(term) {
+        return Object.prototype.hasOwnProperty.call(cards, term);
+    }
+
+    function save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
+        listeners.forEach(listener => listener());
+    }
+
+    // Decks changed in another tab
+    window.addEventListener('storage', event => {
+        if (event.key === STORAGE_KEY) {
+            cards = readCards();
+            listeners.forEach(listener => listener());
+        }
+    });
+
+    return {
+        /**
+         * Add a term to the deck (due right away)
+         * @param {string} term - Glossary term
+         */
+        add(term) {
+            if (hasCard(term)) return;
+            const now = new Date().toISOString();
+            cards[term] = {
+                ease: DEFAULT_EASE,
+                interval: 0,
+                repetitions: 0,
+                lapses: 0,
+                due: now,
+                addedAt: now
+            };
+            save();
+        },
+
+        /**
+         * @param {string} term - Glossary term
+         */
+        remove(term) {
+            if (!hasCard(term)) return;
+            delete cards[term];
+            save();
+        },
+
+        /**
+         * @param {string} term - Glossary term
+         * @returns {boolean}
+         */
+        has(term) {
+            return hasCard(term);
+        },
+
+        /**
+         * @param {string} term - Glossary term
+         * @returns {object|null} - The card's review state, or null when it isn't in the deck
+         */
+        get(term) {
+            return hasCard(term) ? cards[term] : null;
+        },
+
+        /**
+         * Grade a review and reschedule the card
+         * @param {string} term - Glossary term
+         * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+         */
+        grade(term, grade) {
+            if (!hasCard(term)) return;
+            cards[term] = scheduleCard(cards[term], grade, Date.now());
+            save();
+        },
+
+        /**
+         * Terms due for review, most overdue first
+         * @param {Map} [glossaryMap] - When given, terms no longer in the glossary are left out
+         * @returns {Array<string>} - Due terms
+         */
+        due(glossaryMap) {
+            const now = new Date().toISOString();
+            return Object.entries(cards)
+                .filter(([term, card]) => card.due <= now && (!glossaryMap || glossaryMap.has(term)))
+                .sort((a, b) => a[1].due.localeCompare(b[1].due))
+                .map(([term]) => term);
+        },
+
+        /**
+         * When the next card becomes due
+         * @returns {Date|null} - The date, or null for an empty deck
+         */
+        nextDue() {
+            const dates = Object.values(cards).map(card => card.due).sort();
+            return dates.length > 0 ? new Date(dates[0]) : null;
+        },
+
+        /**
+         * @returns {number} - Number of cards in the deck
+         */
+        size() {
+            return Object.keys(cards).length;
+        },
+
+        /**
+         * Listen for changes to the deck
+         * @param {Function} listener - Called with no arguments
+         * @returns {Function} - Unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * The saved deck, without a prototype so that terms like "constructor" or "__proto__" are plain keys
+ */
+function readCards() {
+    const cards = Object.create(null);
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            Object.assign(cards, saved);
+        }
+    } catch (error) {
+        log.warn('Ignoring unreadable flashcards:', error);
+    }
+    return cards;
+}
+
+export { createFlashcardDeck, scheduleCard, GRADES }
@@ -0,0 +1,565 @@
+/**
+ * Film Home School - Glossary Admin UI
+ * Instructor view for adding, editing, deleting, importing and exporting glossary terms,
+ * with a live preview of how the term highlights in lesson text
+ */
+
+import { PERMISSION_DENIED, validateEntry, toData, findConflicts, parseGlossaryImport, glossaryToJSON } from './glossary-admin.js'
+import { glossaryToCSV, hasProblems } from './csv.js'
+import { createGlossaryMatcher } from './glossary-matcher.js'
+import { getLessonText } from './lessons.js'
+import { glossaryHref } from './router.js'
+import { createLogger } from './logger.js'
+import { t } from './i18n.js'
+
+const log = createLogger('glossary-admin');
+
+// Length of the lesson excerpt used as the default preview text
+const SAMPLE_LENGTH = 600;
+
+const PREVIEW_DELAY = 150;
+
+/**
+ * Render the glossary admin view
+ * @param {Element} container - Element to render into
+ * @param {object} options - { glossaryMap, editor, lessons, onChange }
+ *   onChange is called after the glossary Map has been updated in place
+ */
+function renderGlossaryAdmin(container, options) {
+    const { glossaryMap, editor, lessons, onChange } = options;
+
+    container.innerHTML = '';
+    delete container.dataset.lesson;
+
+    const heading = document.createElement('h2');
+    heading.textContent = t('view.editGlossary');
+    container.appendChild(heading);
+
+    if (!editor.canEdit()) {
+        const message = document.createElement('p');
+        message.className = 'lesson-status';
+        message.textContent = t('admin.instructorsOnly');
+        container.appendChild(message);
+        return;
+    }
+
+    // Term being edited, or null when adding a new one
+    let editing = null;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'admin-toolbar';
+    toolbar.appendChild(createButton(t('admin.exportCSV'), () => download('glossary.csv', glossaryToCSV(sortedMap(glossaryMap)), 'text/csv')));
+    toolbar.appendChild(createButton(t('admin.exportJSON'), () => download('glossary.json', glossaryToJSON(glossaryMap), 'application/json')));
+    container.appendChild(toolbar);
+
+    // ----- Term form -----
+    const formSection = createSection('admin-form-title', t('admin.addTitle'));
+    const formTitle = formSection.querySelector('h3');
+    const form = document.createElement('form');
+    form.className = 'admin-form';
+    form.noValidate = true;
+
+    const fields = {
+        term: createField(form, 'admin-term', t('admin.term'), 'input'),
+        definition: createField(form, 'admin-definition', t('admin.definition'), 'textarea'),
+        wikipedia_url: createField(form, 'admin-wikipedia-url', t('admin.wikipedia'), 'input', 'url'),
+        aliases: createField(form, 'admin-aliases', t('admin.aliases'), 'input'),
+        related_terms: createField(form, 'admin-related-terms', t('admin.relatedTerms'), 'input')
+    };
+    fields.term.required = true;
+    fields.definition.required = true;
+    fields.definition.rows = 4;
+    fields.wikipedia_url.placeholder = 'https://en.wikipedia.org/wiki/…';
+    fields.aliases.placeholder = t('admin.aliasesPlaceholder');
+    fields.related_terms.placeholder = t('admin.relatedTermsPlaceholder');
+
+    const conflictList = document.createElement('ul');
+    conflictList.className = 'admin-conflicts';
+    conflictList.hidden = true;
+    form.appendChild(conflictList);
+
+    const formActions = document.createElement('div');
+    formActions.className = 'quiz-actions';
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'quiz-button quiz-button-primary';
+    saveButton.textContent = t('admin.add');
+    formActions.appendChild(saveButton);
+    const cancelButton = createButton(t('admin.cancel'), () => resetForm());
+    cancelButton.hidden = true;
+    formActions.appendChild(cancelButton);
+    form.appendChild(formActions);
+
+    const formMessage = document.createElement('p');
+    formMessage.className = 'admin-message';
+    formMessage.setAttribute('role', 'status');
+    form.appendChild(formMessage);
+
+    formSection.appendChild(form);
+    container.appendChild(formSection);
+
+    // ----- Live preview -----
+    const previewSection = createSection('admin-preview-title', t('admin.preview'));
+    const sampleField = createField(previewSection, 'admin-sample', t('admin.sample'), 'textarea');
+    sampleField.rows = 4;
+    sampleField.value = getSampleText(lessons);
+
+    const preview = document.createElement('div');
+    preview.className = 'admin-preview';
+    preview.setAttribute('aria-label', t('admin.previewLabel'));
+    previewSection.appendChild(preview);
+
+    const previewStatus = document.createElement('p');
+    previewStatus.className = 'admin-preview-status';
+    previewSection.appendChild(previewStatus);
+    container.appendChild(previewSection);
+
+    // ----- Bulk import -----
+    const importSection = createSection('admin-import-title', t('admin.import'));
+    const importHint = document.createElement('p');
+    importHint.className = 'admin-hint';
+    importHint.textContent = t('admin.importHint');
+    importSection.appendChild(importHint);
+
+    const fileInput = createField(importSection, 'admin-import-file', t('admin.importFile'), 'input', 'file');
+    fileInput.accept = '.csv,.json,text/csv,application/json';
+
+    const importReport = document.createElement('div');
+    importReport.className = 'admin-import-report';
+    importReport.setAttribute('role', 'status');
+    importSection.appendChild(importReport);
+    container.appendChild(importSection);
+
+    // ----- Term list -----
+    const listSection = createSection('admin-list-title', t('admin.terms'));
+    const listTitle = listSection.querySelector('h3');
+    const filter = createField(listSection, 'admin-filter', t('admin.filter'), 'input', 'search');
+    filter.placeholder = t('admin.filterPlaceholder');
+
+    const table = document.createElement('table');
+    table.className = 'admin-table';
+    table.appendChild(createTableHead([t('admin.term'), t('admin.aliasesColumn'), t('admin.definition'), t('admin.actions')]));
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    listSection.appendChild(table);
+    container.appendChild(listSection);
+
+    /**
+     * Current form values as a checked entry, with conflicts against the rest of the glossary
+     */
+    function readForm() {
+        const { entry, errors } = validateEntry({
+            term: fields.term.value,
+            definition: fields.definition.value,
+            wikipedia_url: fields.wikipedia_url.value,
+            aliases: fields.aliases.value,
+            related_terms: fields.related_terms.value
+        });
+        const conflicts = entry.term ? findConflicts(glossaryMap, entry, editing) : [];
+        return { entry, errors, conflicts };
+    }
+
+    function renderConflicts(conflicts) {
+        conflictList.innerHTML = '';
+        conflictList.hidden = conflicts.length === 0;
+
+        conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            item.className = conflict.kind === 'term' ? 'is-error' : '';
+            item.appendChild(document.createTextNode(`${conflict.kind === 'term'
+                ? t('admin.termConflict', { form: conflict.form })
+                : t('admin.aliasConflict', { form: conflict.form })} `));
+
+            const link = document.createElement('a');
+            link.href = glossaryHref(conflict.term);
+            link.textContent = conflict.term;
+            item.appendChild(link);
+            conflictList.appendChild(item);
+        });
+    }
+
+    let previewTimer = null;
+
+    function schedulePreview() {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(updatePreview, PREVIEW_DELAY);
+    }
+
+    /**
+     * Highlight the sample text with the glossary as it would be after saving the form
+     */
+    function updatePreview() {
+        const { entry, conflicts } = readForm();
+        renderConflicts(conflicts);
+
+        const draftMap = new Map(glossaryMap);
+        if (editing) {
+            draftMap.delete(editing);
+        }
+        if (entry.term) {
+            draftMap.set(entry.term, { ...toData(entry), definition: entry.definition || t('admin.noDefinition') });
+        }
+
+        const text = sampleField.value;
+        const matches = createGlossaryMatcher(draftMap).findMatches(text);
+        const draftMatches = matches.filter(match => match.term === entry.term).length;
+
+        preview.innerHTML = '';
+        let lastIndex = 0;
+        matches.forEach(match => {
+            if (match.start > lastIndex) {
+                preview.appendChild(document.createTextNode(text.slice(lastIndex, match.start)));
+            }
+            const span = document.createElement('span');
+            span.className = match.term === entry.term ? 'glossary-term is-draft' : 'glossary-term';
+            span.dataset.term = match.term;
+            span.dataset.definition = match.data.definition;
+            span.textContent = match.text;
+            preview.appendChild(span);
+            lastIndex = match.end;
+        });
+        preview.appendChild(document.createTextNode(text.slice(lastIndex)));
+
+        previewStatus.textContent = entry.term
+            ? t('admin.draftMatches', { term: entry.term, count: draftMatches })
+            : t('admin.matches', { count: matches.length });
+    }
+
+    function resetForm() {
+        editing = null;
+        form.reset();
+        formTitle.textContent = t('admin.addTitle');
+        saveButton.textContent = t('admin.add');
+        cancelButton.hidden = true;
+        schedulePreview();
+    }
+
+    function editTerm(term) {
+        const data = glossaryMap.get(term);
+        editing = term;
+        fields.term.value = term;
+        fields.definition.value = data.definition;
+        fields.wikipedia_url.value = data.wikipedia_url || '';
+        fields.aliases.value = (data.aliases || []).join(' | ');
+        fields.related_terms.value = (data.related_terms || []).join(' | ');
+        formTitle.textContent = t('admin.editTitle', { term });
+        saveButton.textContent = t('admin.save');
+        cancelButton.hidden = false;
+        formMessage.textContent = '';
+        updatePreview();
+        formSection.scrollIntoView({ block: 'start' });
+        fields.term.focus({ preventScroll: true });
+    }
+
+    function showMessage(element, text, isError = false) {
+        element.textContent = text;
+        element.classList.toggle('is-error', isError);
+    }
+
+    form.addEventListener('input', schedulePreview);
+    sampleField.addEventListener('input', schedulePreview);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const { entry, errors, conflicts } = readForm();
+        renderConflicts(conflicts);
+
+        if (errors.length > 0) {
+            showMessage(formMessage, errors.join(' '), true);
+            return;
+        }
+        if (conflicts.some(conflict => conflict.kind === 'term')) {
+            showMessage(formMessage, t('admin.duplicate', { term: entry.term }), true);
+            return;
+        }
+
+        saveButton.disabled = true;
+        showMessage(formMessage, t('admin.saving'));
+
+        // The form only edits English; keep the entry's translations
+        const previous = editing ? glossaryMap.get(editing) : null;
+        if (previous && previous.translations) {
+            entry.translations = previous.translations;
+        }
+
+        try {
+            await editor.save(entry, editing);
+
+            if (editing && editing !== entry.term) {
+                glossaryMap.delete(editing);
+            }
+            glossaryMap.set(entry.term, toData(entry));
+            onChange();
+
+            const done = editing ? 'admin.saved' : 'admin.added';
+            resetForm();
+            showMessage(formMessage, t(done, { term: entry.term }));
+            renderList();
+        } catch (error) {
+            log.error('Failed to save glossary term', error);
+            showMessage(formMessage, describeError(error, 'admin.saveFailed'), true);
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+
+    async function deleteTerm(term) {
+        if (!window.confirm(t('admin.confirmDelete', { term }))) {
+            return;
+        }
+
+        try {
+            await editor.remove(term);
+            glossaryMap.delete(term);
+            onChange();
+            if (editing === term) {
+                resetForm();
+            }
+            showMessage(formMessage, t('admin.deleted', { term }));
+            renderList();
+            schedulePreview();
+        } catch (error) {
+            log.error('Failed to delete glossary term', error);
+            showMessage(formMessage, describeError(error, 'admin.deleteFailed'), true);
+        }
+    }
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        importReport.innerHTML = '';
+        if (!file) return;
+
+        const { glossaryMap: imported, report } = parseGlossaryImport(await file.text(), file.name);
+        const entries = matchExistingTerms(imported, glossaryMap);
+        const updated = Array.from(entries.keys()).filter(term => glossaryMap.has(term)).length;
+
+        const summary = document.createElement('p');
+        summary.textContent = t('admin.importSummary', {
+            file: file.name,
+            loaded: report.loaded,
+            rows: report.rows,
+            added: report.loaded - updated,
+            updated
+        });
+        importReport.appendChild(summary);
+
+        if (hasProblems(report)) {
+            importReport.appendChild(createReportList(report));
+        }
+
+        if (entries.size === 0) {
+            return;
+        }
+
+        const importButton = createButton(t('admin.importButton', { count: entries.size }), async () => {
+            importButton.disabled = true;
+            showMessage(summary, t('admin.importing'));
+            try {
+                await editor.importEntries(entries);
+                // CSV imports have no translations; the database keeps them, so keep them here too
+                entries.forEach((data, term) => {
+                    const previous = glossaryMap.get(term);
+                    glossaryMap.set(term, !data.translations && previous && previous.translations
+                        ? { ...data, translations: previous.translations }
+                        : data);
+                });
+                onChange();
+                showMessage(summary, t('admin.imported', { count: entries.size, file: file.name }));
+                importButton.remove();
+                fileInput.value = '';
+                renderList();
+                schedulePreview();
+            } catch (error) {
+                log.error('Glossary import failed', error);
+                showMessage(summary, describeError(error, 'admin.importFailed'), true);
+                importButton.disabled = false;
+            }
+        }, true);
+        importReport.appendChild(importButton);
+    });
+
+    function renderList() {
+        const query = filter.value.trim().toLowerCase();
+        const terms = Array.from(glossaryMap.keys())
+            .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+            .filter(term => !query || term.toLowerCase().includes(query) ||
+                (glossaryMap.get(term).aliases || []).some(alias => alias.toLowerCase().includes(query)));
+
+        listTitle.textContent = t('admin.termCount', { count: glossaryMap.size });
+        tbody.innerHTML = '';
+
+        terms.forEach(term => {
+            const data = glossaryMap.get(term);
+            const row = document.createElement('tr');
+
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = term;
+            row.appendChild(name);
+
+            const aliases = document.createElement('td');
+            aliases.textContent = (data.aliases || []).join(', ');
+            row.appendChild(aliases);
+
+            const definition = document.createElement('td');
+            definition.className = 'admin-table-definition';
+            definition.textContent = data.definition;
+            row.appendChild(definition);
+
+            const actions = document.createElement('td');
+            actions.className = 'admin-table-actions';
+            const edit = createButton(t('admin.edit'), () => editTerm(term));
+            edit.setAttribute('aria-label', t('admin.editLabel', { term }));
+            actions.appendChild(edit);
+            const remove = createButton(t('admin.delete'), () => deleteTerm(term));
+            remove.setAttribute('aria-label', t('admin.deleteLabel', { term }));
+            actions.appendChild(remove);
+            row.appendChild(actions);
+
+            tbody.appendChild(row);
+        });
+    }
+
+    filter.addEventListener('input', renderList);
+
+    renderList();
+    updatePreview();
+}
+
+/**
+ * Use the existing spelling of terms that only differ in case, so imports update them
+ */
+function matchExistingTerms(entries, glossaryMap) {
+    const existing = new Map(Array.from(glossaryMap.keys(), term => [term.toLowerCase(), term]));
+    const matched = new Map();
+    entries.forEach((data, term) => {
+        matched.set(existing.get(term.toLowerCase()) || term, data);
+    });
+    return matched;
+}
+
+/**
+ * The start of the first lesson, as sample text for the preview
+ */
+function getSampleText(lessons) {
+    const text = lessons.length > 0 ? getLessonText(lessons[0]) : '';
+    if (!text) {
+        return t('admin.sampleText');
+    }
+    return text.length > SAMPLE_LENGTH ? `${text.slice(0, text.lastIndexOf(' ', SAMPLE_LENGTH))}…` : text;
+}
+
+function sortedMap(glossaryMap) {
+    return new Map(Array.from(glossaryMap).sort(([a], [b]) => a.localeCompare(b, undefined, { sensitivity: 'base' })));
+}
+
+/**
+ * List the skipped, malformed and duplicate rows of an import report
+ */
+function createReportList(report) {
+    const list = document.createElement('ul');
+    list.className = 'admin-conflicts';
+
+    const add = text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    };
+    const atRow = (line, problem) => (line ? t('admin.rowProblem', { line, problem }) : problem);
+
+    report.missingColumns.forEach(column => add(t('admin.missingColumn', { column })));
+    report.malformed.forEach(problem => add(atRow(problem.line, problem.message)));
+    report.skipped.forEach(problem => add(atRow(problem.line, problem.reason)));
+    report.duplicates.forEach(problem => add(atRow(problem.line, t('admin.repeatedRow', { term: problem.term, line: problem.firstLine }))));
+
+    return list;
+}
+
+/**
+ * Message for a failed write: translated when the editor knows what went wrong,
+ * otherwise the Supabase message, or the fallback message
+ */
+function describeError(error, fallbackKey) {
+    if (error.code === PERMISSION_DENIED) {
+        return t('admin.permissionDenied', { action: t(`admin.action.${error.action}`) });
+    }
+    return error.message || t(fallbackKey);
+}
+
+/**
+ * Column headings; the last one (the row actions) is only read out
+ */
+function createTableHead(labels) {
+    const head = document.createElement('thead');
+    const row = document.createElement('tr');
+    labels.forEach((label, index) => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        if (index === labels.length - 1) {
+            const hidden = document.createElement('span');
+            hidden.className = 'sr-only';
+            hidden.textContent = label;
+            cell.appendChild(hidden);
+        } else {
+            cell.textContent = label;
+        }
+        row.appendChild(cell);
+    });
+    head.appendChild(row);
+    return head;
+}
+
+function createSection(titleId, title) {
+    const section = document.createElement('section');
+    section.className = 'admin-section';
+    section.setAttribute('aria-labelledby', titleId);
+
+    const heading = document.createElement('h3');
+    heading.id = titleId;
+    heading.textContent = title;
+    section.appendChild(heading);
+    return section;
+}
+
+function createField(parent, id, labelText, tagName, type = 'text') {
+    const label = document.createElement('label');
+    label.className = 'admin-label';
+    label.htmlFor = id;
+    label.textContent = labelText;
+    parent.appendChild(label);
+
+    const field = document.createElement(tagName);
+    field.id = id;
+    field.name = id;
+    field.className = 'admin-field';
+    if (tagName === 'input') {
+        field.type = type;
+        field.autocomplete = 'off';
+    }
+    parent.appendChild(field);
+    return field;
+}
+
+function createButton(label, onClick, primary = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = primary ? 'quiz-button quiz-button-primary' : 'quiz-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function download(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke after the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export { renderGlossaryAdmin }
@@ -0,0 +1,318 @@
+/**
+ * Film Home School - Glossary Admin
+ * Instructor-only editing of the glossary table: validation, duplicate detection,
+ * saving to Supabase, bulk import (CSV or JSON) and export
+ */
+
+import { parseAliases } from './glossary-terms.js'
+import { parseGlossaryCSV } from './csv.js'
+import { t } from './i18n.js'
+
+// Set in the user's app_metadata (see supabase/migrations/20251018000400_glossary_admin.sql)
+const INSTRUCTOR_ROLE = 'instructor';
+
+// Code of the error thrown when row-level security lets a write through without changing any rows
+const PERMISSION_DENIED = 'permission-denied';
+
+/**
+ * Whether a user may edit the glossary
+ * app_metadata can only be changed with the service role, so students can't grant it to themselves
+ * @param {object|null} user - Supabase user
+ * @returns {boolean}
+ */
+function isInstructor(user) {
+    return !!(user && user.app_metadata && user.app_metadata.role === INSTRUCTOR_ROLE);
+}
+
+/**
+ * Clean up a form or import entry and check it
+ * @param {object} input - { term, definition, wikipedia_url, aliases, related_terms, translations }
+ * @returns {object} - { entry, errors } with errors as a list of messages
+ */
+function validateEntry(input) {
+    const entry = {
+        term: String(input.term || '').trim().normalize('NFC'),
+        definition: String(input.definition || '').trim(),
+        wikipedia_url: String(input.wikipedia_url || '').trim() || null,
+        aliases: parseAliases(input.aliases).map(alias => alias.normalize('NFC')),
+        related_terms: parseAliases(input.related_terms).map(name => name.normalize('NFC'))
+    };
+    const errors = [];
+
+    if (!entry.term) {
+        errors.push(t('admin.errors.term'));
+    }
+    if (!entry.definition) {
+        errors.push(t('admin.errors.definition'));
+    }
+    if (entry.wikipedia_url && !/^https?:\/\/\S+$/i.test(entry.wikipedia_url)) {
+        errors.push(t('admin.errors.wikipedia'));
+    }
+
+    // Drop aliases that repeat the term or each other
+    const seen = new Set([foldForm(entry.term)]);
+    entry.aliases = entry.aliases.filter(alias => {
+        const key = foldForm(alias);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    // An entry isn't related to itself
+    entry.related_terms = Array.from(new Set(entry.related_terms))
+        .filter(name => foldForm(name) !== foldForm(entry.term));
+
+    // Translations are passed through from JSON imports: { es: { term, definition, wikipedia_url, aliases } }
+    if (input.translations && typeof input.translations === 'object' && !Array.isArray(input.translations)) {
+        entry.translations = input.translations;
+    }
+
+    return { entry, errors };
+}
+
+/**
+ * Find other entries that already use the term or one of its aliases (ignoring case)
+ * A clash with another term blocks saving; alias clashes make highlighting ambiguous and are warnings
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @param {object} entry - Entry from validateEntry()
+ * @param {string|null} [originalTerm] - Term being edited (not a conflict with itself)
+ * @returns {Array} - Conflicts: { form, term, kind } where kind is 'term' or 'alias'
+ */
+function findConflicts(glossaryMap, entry, originalTerm = null) {
+    const forms = [entry.term, ...entry.aliases].filter(Boolean);
+    const conflicts = [];
+
+    glossaryMap.forEach((data, term) => {
+        if (term === originalTerm) return;
+
+        const otherForms = new Map([[foldForm(term), 'term']]);
+        if (data && typeof data === 'object') {
+            parseAliases(data.aliases).forEach(alias => {
+                if (!otherForms.has(foldForm(alias))) otherForms.set(foldForm(alias), 'alias');
+            });
+        }
+
+        forms.forEach((form, index) => {
+            const kind = otherForms.get(foldForm(form));
+            if (kind) {
+                conflicts.push({ form, term, kind: index === 0 && kind === 'term' ? 'term' : 'alias' });
+            }
+        });
+    });
+
+    return conflicts;
+}
+
+function foldForm(form) {
+    return form.normalize('NFC').toLowerCase();
+}
+
+/**
+ * Parse a JSON glossary export: an array of entries or an object keyed by term
+ * @param {string} text - JSON text
+ * @returns {object} - { glossaryMap, report } in the same shape as parseGlossaryCSV()
+ */
+function parseGlossaryJSON(text) {
+    const glossaryMap = new Map();
+    const report = {
+        rows: 0,
+        loaded: 0,
+        skipped: [],
+        malformed: [],
+        duplicates: [],
+        missingColumns: []
+    };
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        report.malformed.push({ line: null, message: `Invalid JSON: ${error.message}` });
+        return { glossaryMap, report };
+    }
+
+    const items = Array.isArray(data)
+        ? data
+        : Object.entries(data && typeof data === 'object' ? data : {}).map(([term, value]) => (
+            typeof value === 'string' ? { term, definition: value } : { term, ...value }
+        ));
+
+    report.rows = items.length;
+    const firstRows = new Map();
+
+    items.forEach((item, index) => {
+        // Report positions as 1-based row numbers
+        const row = index + 1;
+
+        if (!item || typeof item !== 'object') {
+            report.skipped.push({ line: row, reason: 'Not an object' });
+            return;
+        }
+
+        const { entry, errors } = validateEntry(item);
+        if (errors.length > 0) {
+            report.skipped.push({ line: row, reason: entry.term ? `"${entry.term}": ${errors[0]}` : errors[0] });
+            return;
+        }
+
+        const key = foldForm(entry.term);
+        if (firstRows.has(key)) {
+            report.duplicates.push({ line: row, term: entry.term, firstLine: firstRows.get(key) });
+            return;
+        }
+        firstRows.set(key, row);
+
+        glossaryMap.set(entry.term, toData(entry));
+    });
+
+    report.loaded = glossaryMap.size;
+    return { glossaryMap, report };
+}
+
+/**
+ * Parse an import file, choosing the format from its name or content
+ * @param {string} text - File contents
+ * @param {string} [fileName] - e.g., 'glossary.csv'
+ * @returns {object} - { glossaryMap, report }
+ */
+function parseGlossaryImport(text, fileName = '') {
+    const isJSON = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(text));
+    return isJSON ? parseGlossaryJSON(text) : parseGlossaryCSV(text);
+}
+
+/**
+ * Write a glossary as JSON (an array sorted by term, readable by parseGlossaryJSON)
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {string} - JSON text
+ */
+function glossaryToJSON(glossaryMap) {
+    const entries = Array.from(glossaryMap, ([term, data]) => toRow(term, data))
+        .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+    return `${JSON.stringify(entries, null, 2)}\n`;
+}
+
+/**
+ * A glossary table row for a term
+ * translations is left out when the entry has none, so CSV imports don't clear them
+ */
+function toRow(term, data) {
+    const entry = typeof data === 'string' ? { definition: data } : data;
+    const row = {
+        term,
+        definition: entry.definition,
+        wikipedia_url: entry.wikipedia_url || null,
+        aliases: parseAliases(entry.aliases),
+        related_terms: parseAliases(entry.related_terms)
+    };
+    if (entry.translations) {
+        row.translations = entry.translations;
+    }
+    return row;
+}
+
+/**
+ * Glossary Map data for a checked entry
+ * @param {object} entry - Entry from validateEntry()
+ * @returns {object} - { definition, wikipedia_url, aliases, related_terms, translations }
+ */
+function toData(entry) {
+    const data = {
+        definition: entry.definition,
+        wikipedia_url: entry.wikipedia_url,
+        aliases: entry.aliases,
+        related_terms: entry.related_terms
+    };
+    if (entry.translations) {
+        data.translations = entry.translations;
+    }
+    return data;
+}
+
+/**
+ * Create the glossary editor, which writes to the Supabase glossary table
+ * Row-level security only lets instructors write; the checks here just keep the UI honest
+ * @param {object} client - Supabase client
+ * @returns {object} - { setUser, canEdit, save, remove, importEntries, subscribe }
+ */
+function createGlossaryEditor(client) {
+    let user = null;
+    const listeners = new Set();
+
+    /**
+     * Writes blocked by row-level security come back as zero rows rather than an error
+     * @param {object} result - { data, error } from Supabase
+     * @param {string} action - 'save', 'add', 'delete' or 'import', for the message shown
+     */
+    function checkWrite({ data, error }, action) {
+        if (error) {
+            throw error;
+        }
+        if (!data || data.length === 0) {
+            const denied = new Error(`Glossary ${action} changed no rows`);
+            denied.code = PERMISSION_DENIED;
+            denied.action = action;
+            throw denied;
+        }
+        return data;
+    }
+
+    return {
+        /**
+         * @param {object|null} nextUser - Supabase user, or null when signed out
+         */
+        setUser(nextUser) {
+            user = nextUser;
+            listeners.forEach(listener => listener());
+        },
+
+        /**
+         * @returns {boolean} - Whether the signed-in user is an instructor
+         */
+        canEdit() {
+            return isInstructor(user);
+        },
+
+        /**
+         * Add or update an entry
+         * @param {object} entry - Entry from validateEntry()
+         * @param {string|null} [originalTerm] - Term being edited, when the entry replaces it
+         */
+        async save(entry, originalTerm = null) {
+            const row = toRow(entry.term, entry);
+
+            if (originalTerm) {
+                checkWrite(await client.from('glossary').update(row).eq('term', originalTerm).select('term'), 'save');
+            } else {
+                checkWrite(await client.from('glossary').insert(row).select('term'), 'add');
+            }
+        },
+
+        /**
+         * @param {string} term - Term to delete
+         */
+        async remove(term) {
+            checkWrite(await client.from('glossary').delete().eq('term', term).select('term'), 'delete');
+        },
+
+        /**
+         * Add imported entries, updating terms that already exist
+         * @param {Map} entries - Map of terms to entry data (from an import parser)
+         */
+        async importEntries(entries) {
+            const rows = Array.from(entries, ([term, data]) => toRow(term, data));
+            checkWrite(await client.from('glossary').upsert(rows, { onConflict: 'term' }).select('term'), 'import');
+        },
+
+        /**
+         * Listen for sign-in changes
+         * @param {Function} listener - Called with no arguments
+         * @returns {Function} - Unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+export { PERMISSION_DENIED, isInstructor, validateEntry, toData, findConflicts, parseGlossaryJSON, parseGlossaryImport, glossaryToJSON, createGlossaryEditor }
@@ -0,0 +1,226 @@
+/**
+ * Film Home School - Glossary Matcher
+ * Compiles every glossary form (terms, aliases, plurals) into one Aho-Corasick
+ * automaton, so each text node is scanned once no matter how large the glossary is
+ */
+
+import { expandGlossary } from './glossary-terms.js'
+
+// Same word definition as termRegex(): letters, marks and digits from any script
+const WORD_CHAR_REGEX = /[\p{L}\p{M}\p{N}_]/u;
+
+// Compiled matchers, keyed by glossary Map
+const matchers = new WeakMap();
+
+// How many times each glossary Map has been changed in place (see clearGlossaryMatcher())
+const versions = new WeakMap();
+
+/**
+ * Compile a glossary into a matcher
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {object} - { findMatches(text), size }
+ */
+function createGlossaryMatcher(glossaryMap) {
+    const root = createNode();
+    let size = 0;
+
+    // Build the trie. Forms come longest first; when two entries share a form the first one wins
+    expandGlossary(glossaryMap).forEach(([form, term, data]) => {
+        let node = root;
+        for (let i = 0; i < form.length; i++) {
+            const char = foldChar(form[i]);
+            let next = node.children.get(char);
+            if (!next) {
+                next = createNode();
+                node.children.set(char, next);
+            }
+            node = next;
+        }
+        if (!node.output) {
+            node.output = { length: form.length, term, data };
+            size++;
+        }
+    });
+
+    buildFailureLinks(root);
+
+    /**
+     * Find the glossary matches in a string
+     * Matches are whole words, leftmost first, longest first, and never overlap
+     * @param {string} text - Text to scan
+     * @returns {Array} - Array of { start, end, text, term, data } sorted by start
+     */
+    function findMatches(text) {
+        // Longest match starting at each position
+        const longestAt = new Map();
+        let node = root;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = foldChar(text[i]);
+
+            while (node !== root && !node.children.has(char)) {
+                node = node.fail;
+            }
+            node = node.children.get(char) || root;
+
+            // Every pattern ending here: this node's own output plus its dictionary suffix links
+            for (let candidate = node.output ? node : node.dictionary; candidate; candidate = candidate.dictionary) {
+                const { length } = candidate.output;
+                const start = i - length + 1;
+                const end = i + 1;
+
+                if (!isBoundary(text, start, end)) continue;
+
+                const existing = longestAt.get(start);
+                if (!existing || existing.output.length < length) {
+                    longestAt.set(start, candidate);
+                }
+            }
+        }
+
+        if (longestAt.size === 0) {
+            return [];
+        }
+
+        // Walk left to right, taking the longest match at each start and skipping anything it covers
+        const starts = Array.from(longestAt.keys()).sort((a, b) => a - b);
+        const matches = [];
+        let lastEnd = 0;
+
+        starts.forEach(start => {
+            if (start < lastEnd) return;
+            const { length, term, data } = longestAt.get(start).output;
+            const end = start + length;
+            matches.push({
+                start,
+                end,
+                text: text.slice(start, end), // Preserve original capitalization from the text
+                term,
+                data
+            });
+            lastEnd = end;
+        });
+
+        return matches;
+    }
+
+    return { findMatches, size };
+}
+
+function createNode() {
+    return {
+        children: new Map(),
+        fail: null,
+        dictionary: null, // Nearest node along the failure chain that ends a pattern
+        output: null
+    };
+}
+
+/**
+ * Breadth-first pass that sets failure and dictionary links
+ * @param {object} root - Trie root
+ */
+function buildFailureLinks(root) {
+    const queue = [];
+    root.fail = root;
+
+    root.children.forEach(child => {
+        child.fail = root;
+        queue.push(child);
+    });
+
+    for (let index = 0; index < queue.length; index++) {
+        const node = queue[index];
+
+        node.children.forEach((child, char) => {
+            let fail = node.fail;
+            while (fail !== root && !fail.children.has(char)) {
+                fail = fail.fail;
+            }
+            child.fail = fail.children.get(char) || root;
+            if (child.fail === child) {
+                child.fail = root;
+            }
+            child.dictionary = child.fail.output ? child.fail : child.fail.dictionary;
+            queue.push(child);
+        });
+    }
+}
+
+/**
+ * Case-fold a single UTF-16 code unit
+ * Characters whose lowercase form has a different length are kept as they are,
+ * so positions in the folded text line up with the original
+ * @param {string} char - One code unit
+ * @returns {string} - Folded code unit
+ */
+function foldChar(char) {
+    const lower = char.toLowerCase();
+    return lower.length === 1 ? lower : char;
+}
+
+/**
+ * Whether text[start, end) stands alone as a word
+ * @param {string} text - The full text
+ * @param {number} start - Match start
+ * @param {number} end - Match end (exclusive)
+ * @returns {boolean}
+ */
+function isBoundary(text, start, end) {
+    return !isWordChar(charBefore(text, start)) && !isWordChar(charAt(text, end));
+}
+
+function charAt(text, index) {
+    if (index >= text.length) return '';
+    return String.fromCodePoint(text.codePointAt(index));
+}
+
+function charBefore(text, index) {
+    if (index <= 0) return '';
+    const code = text.charCodeAt(index - 1);
+    // Step back over a surrogate pair
+    if (code >= 0xDC00 && code <= 0xDFFF && index >= 2) {
+        return String.fromCodePoint(text.codePointAt(index - 2));
+    }
+    return text[index - 1];
+}
+
+function isWordChar(char) {
+    return char !== '' && WORD_CHAR_REGEX.test(char);
+}
+
+/**
+ * Get the compiled matcher for a glossary, building it on first use
+ * Navigation re-highlights every lesson, so the automaton is cached per glossary Map
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {object} - Matcher from createGlossaryMatcher()
+ */
+function getGlossaryMatcher(glossaryMap) {
+    let matcher = matchers.get(glossaryMap);
+    if (!matcher) {
+        matcher = createGlossaryMatcher(glossaryMap);
+        matchers.set(glossaryMap, matcher);
+    }
+    return matcher;
+}
+
+/**
+ * Drop the cached matcher after a glossary Map has been changed in place
+ * Also bumps the Map's version, so other caches built from it know they are stale
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ */
+function clearGlossaryMatcher(glossaryMap) {
+    matchers.delete(glossaryMap);
+    versions.set(glossaryMap, getGlossaryVersion(glossaryMap) + 1);
+}
+
+/**
+ * How many times a glossary Map has been changed in place
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {number} - 0 until clearGlossaryMatcher() is first called for the Map
+ */
+function getGlossaryVersion(glossaryMap) {
+    return versions.get(glossaryMap) || 0;
+}
+
+export { createGlossaryMatcher, getGlossaryMatcher, clearGlossaryMatcher, getGlossaryVersion }
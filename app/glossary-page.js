@@ -0,0 +1,394 @@
+/**
+ * Film Home School - Glossary Page
+ * Lists every glossary term A–Z with letter jump links, live fuzzy search
+ * and a deep link per term (e.g., #/glossary/rack-focus)
+ * Entries are shown and sorted by their label in the active language; slugs stay English
+ */
+
+import { getLessonText } from './lessons.js'
+import { glossaryHref, lessonHref, slugify } from './router.js'
+import { getTermLabel, parseAliases } from './glossary-terms.js'
+import { getGlossaryMatcher } from './glossary-matcher.js'
+import { renderLinkedDefinition, getRelatedTerms } from './glossary-relations.js'
+import { getLocale, t } from './i18n.js'
+
+// Search results beyond this many aren't added to the "quiz me" link
+const MAX_QUIZ_TERMS = 20;
+
+/**
+ * Render the glossary page into a container
+ * @param {Element} container - The element to render into
+ * @param {Map} glossaryMap - Map of glossary terms to { definition, wikipedia_url }
+ * @param {Array} lessons - Lessons, used to list where each term appears
+ * @param {string} [targetSlug] - Slug of the entry to scroll to
+ * @returns {object|null} - The targeted { term, data } entry, or null
+ */
+function renderGlossaryPage(container, glossaryMap, lessons, targetSlug) {
+    const entries = Array.from(glossaryMap.entries())
+        .map(([term, data]) => ({ term, label: getTermLabel(term, data), data, slug: slugify(term) }))
+        .sort((a, b) => a.label.localeCompare(b.label, getLocale(), { sensitivity: 'base' }));
+
+    // Terms like "Cut-in" and "Cut in" share a slug, so later entries get a numbered element id
+    const usedIds = new Set();
+    entries.forEach(entry => {
+        let id = entryId(entry.slug);
+        for (let number = 2; usedIds.has(id); number++) {
+            id = entryId(`${entry.slug}-${number}`);
+        }
+        usedIds.add(id);
+        entry.id = id;
+    });
+
+    // Where each term appears, found once per render rather than once per entry
+    const context = { glossaryMap, appearances: indexLessonsByTerm(lessons, glossaryMap) };
+
+    container.innerHTML = '';
+    delete container.dataset.lesson;
+
+    const heading = document.createElement('h2');
+    heading.textContent = t('view.glossary');
+    container.appendChild(heading);
+
+    // Search box
+    const searchLabel = document.createElement('label');
+    searchLabel.className = 'sr-only';
+    searchLabel.htmlFor = 'glossary-search';
+    searchLabel.textContent = t('glossary.search');
+    container.appendChild(searchLabel);
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.id = 'glossary-search';
+    search.className = 'glossary-search';
+    search.placeholder = t('glossary.searchPlaceholder');
+    search.autocomplete = 'off';
+    container.appendChild(search);
+
+    const status = document.createElement('p');
+    status.className = 'glossary-search-status';
+    status.setAttribute('role', 'status');
+    container.appendChild(status);
+
+    // Quiz on the whole glossary, or on the current search results
+    const quizLink = document.createElement('a');
+    quizLink.className = 'glossary-quiz-link';
+    quizLink.textContent = t('glossary.quizMe');
+    container.appendChild(quizLink);
+
+    const mapLink = document.createElement('a');
+    mapLink.className = 'glossary-map-link';
+    mapLink.href = '#/concept-map';
+    mapLink.textContent = t('glossary.conceptMap');
+    container.appendChild(mapLink);
+
+    const letterNav = document.createElement('nav');
+    letterNav.className = 'glossary-letters';
+    letterNav.setAttribute('aria-label', t('glossary.jumpToLetter'));
+    container.appendChild(letterNav);
+
+    const results = document.createElement('div');
+    results.className = 'glossary-entries';
+    container.appendChild(results);
+
+    /**
+     * Render the entries matching the current query
+     * An empty query shows the full A–Z list grouped by letter; otherwise results are ranked
+     */
+    function update() {
+        const query = search.value.trim();
+        results.innerHTML = '';
+
+        if (!query) {
+            renderAlphabetical(results, letterNav, entries, context);
+            letterNav.hidden = false;
+            status.textContent = t('glossary.termCount', { count: entries.length });
+            quizLink.href = '#/quiz';
+            quizLink.hidden = entries.length === 0;
+            return;
+        }
+
+        const ranked = entries
+            .map(entry => ({ entry, score: scoreEntry(query, entry) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label, getLocale()));
+
+        letterNav.hidden = true;
+        status.textContent = t('glossary.resultCount', { count: ranked.length });
+        quizLink.href = `#/quiz/${ranked.slice(0, MAX_QUIZ_TERMS).map(({ entry }) => encodeURIComponent(entry.slug)).join(',')}`;
+        quizLink.hidden = ranked.length === 0;
+
+        ranked.forEach(({ entry }) => {
+            results.appendChild(createEntryElement(entry, context));
+        });
+    }
+
+    search.addEventListener('input', update);
+    update();
+
+    if (!targetSlug) {
+        return null;
+    }
+
+    const target = entries.find(entry => entry.slug === targetSlug);
+    if (!target) {
+        return null;
+    }
+
+    const element = document.getElementById(target.id);
+    if (element) {
+        element.classList.add('is-targeted');
+        element.scrollIntoView({ block: 'start' });
+    }
+
+    return { term: target.term, data: target.data };
+}
+
+/**
+ * Render the A–Z list with one section per letter and the letter jump links
+ * @param {Element} results - Container for the entries
+ * @param {Element} letterNav - Container for the jump links
+ * @param {Array} entries - Sorted entries
+ * @param {object} context - { glossaryMap, appearances } with appearances from indexLessonsByTerm()
+ */
+function renderAlphabetical(results, letterNav, entries, context) {
+    const groups = new Map();
+
+    entries.forEach(entry => {
+        const letter = getInitial(entry.label);
+        if (!groups.has(letter)) {
+            groups.set(letter, []);
+        }
+        groups.get(letter).push(entry);
+    });
+
+    letterNav.innerHTML = '';
+
+    groups.forEach((groupEntries, letter) => {
+        const section = document.createElement('section');
+        section.className = 'glossary-letter-group';
+        section.id = `glossary-letter-${letter}`;
+
+        const letterHeading = document.createElement('h3');
+        letterHeading.className = 'glossary-letter-heading';
+        letterHeading.textContent = letter;
+        section.appendChild(letterHeading);
+
+        groupEntries.forEach(entry => {
+            section.appendChild(createEntryElement(entry, context));
+        });
+
+        results.appendChild(section);
+
+        // Buttons rather than #anchors, since the hash holds the current route
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'glossary-letter-link';
+        button.textContent = letter;
+        button.setAttribute('aria-label', t('glossary.jumpTo', { letter }));
+        button.addEventListener('click', () => {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            letterHeading.setAttribute('tabindex', '-1');
+            letterHeading.focus({ preventScroll: true });
+        });
+        letterNav.appendChild(button);
+    });
+}
+
+/**
+ * Create the element for a single glossary entry
+ * @param {object} entry - { term, label, data, slug, id }
+ * @param {object} context - { glossaryMap, appearances } with appearances from indexLessonsByTerm()
+ * @returns {HTMLElement} - The entry element
+ */
+function createEntryElement(entry, context) {
+    const { glossaryMap } = context;
+    const article = document.createElement('article');
+    article.className = 'glossary-entry';
+    article.id = entry.id;
+
+    const title = document.createElement('h4');
+    title.className = 'glossary-entry-term';
+    const permalink = document.createElement('a');
+    permalink.href = glossaryHref(entry.term);
+    permalink.textContent = entry.label;
+    title.appendChild(permalink);
+    article.appendChild(title);
+
+    const aliases = parseAliases(entry.data.aliases);
+    if (aliases.length > 0) {
+        const aliasList = document.createElement('p');
+        aliasList.className = 'glossary-entry-aliases';
+        aliasList.textContent = t('glossary.also', { aliases: aliases.join(', ') });
+        article.appendChild(aliasList);
+    }
+
+    const definition = document.createElement('p');
+    definition.className = 'glossary-entry-definition';
+    renderLinkedDefinition(definition, entry.term, entry.data.definition, glossaryMap);
+    article.appendChild(definition);
+
+    const related = getRelatedTerms(entry.term, glossaryMap);
+    if (related.length > 0) {
+        const relatedParagraph = document.createElement('p');
+        relatedParagraph.className = 'glossary-entry-related';
+        relatedParagraph.appendChild(document.createTextNode(`${t('glossary.related')} `));
+
+        related.forEach((name, index) => {
+            if (index > 0) {
+                relatedParagraph.appendChild(document.createTextNode(', '));
+            }
+            const link = document.createElement('a');
+            link.href = glossaryHref(name);
+            link.textContent = getTermLabel(name, glossaryMap.get(name));
+            relatedParagraph.appendChild(link);
+        });
+
+        article.appendChild(relatedParagraph);
+    }
+
+    if (entry.data.wikipedia_url) {
+        const wikiLink = document.createElement('a');
+        wikiLink.href = entry.data.wikipedia_url;
+        wikiLink.target = '_blank';
+        wikiLink.rel = 'noopener noreferrer';
+        wikiLink.className = 'glossary-entry-wiki';
+        wikiLink.textContent = t('glossary.wikipedia');
+        article.appendChild(wikiLink);
+    }
+
+    const appearances = context.appearances.get(entry.term) || [];
+    if (appearances.length > 0) {
+        const lessonsParagraph = document.createElement('p');
+        lessonsParagraph.className = 'glossary-entry-lessons';
+        lessonsParagraph.appendChild(document.createTextNode(`${t('glossary.appearsIn')} `));
+
+        appearances.forEach((lesson, index) => {
+            if (index > 0) {
+                lessonsParagraph.appendChild(document.createTextNode(', '));
+            }
+            const link = document.createElement('a');
+            link.href = lessonHref(lesson.slug);
+            link.textContent = lesson.title;
+            lessonsParagraph.appendChild(link);
+        });
+
+        article.appendChild(lessonsParagraph);
+    }
+
+    return article;
+}
+
+/**
+ * Find the lessons each term (or one of its aliases) appears in
+ * Scans each lesson once with the highlighter's matcher, so terms are found exactly where they get highlighted
+ * @param {Array} lessons - Lessons
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {Map} - Term -> lessons it appears in, in course order
+ */
+function indexLessonsByTerm(lessons, glossaryMap) {
+    const index = new Map();
+    if (glossaryMap.size === 0) {
+        return index;
+    }
+
+    const matcher = getGlossaryMatcher(glossaryMap);
+    lessons.forEach(lesson => {
+        const terms = new Set(matcher.findMatches(getLessonText(lesson)).map(match => match.term));
+        terms.forEach(term => {
+            if (!index.has(term)) {
+                index.set(term, []);
+            }
+            index.get(term).push(lesson);
+        });
+    });
+    return index;
+}
+
+/**
+ * Score how well an entry matches a search query
+ * Terms and aliases are matched fuzzily (characters in order); definitions need every query word
+ * The English term is searchable in every language
+ * @param {string} query - Search query
+ * @param {object} entry - { term, label, data }
+ * @returns {number} - 0 for no match, higher is better
+ */
+function scoreEntry(query, entry) {
+    const names = [entry.label, entry.term, ...parseAliases(entry.data.aliases)];
+    const termScore = Math.max(...names.map(name => fuzzyScore(query, name)));
+
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+    const definition = normalize(entry.data.definition || '');
+    const definitionScore = words.length > 0 && words.every(word => definition.includes(word)) ? 10 : 0;
+
+    return Math.max(termScore, definitionScore);
+}
+
+/**
+ * Fuzzy match a query against a string
+ * Exact prefix and substring matches rank highest, then in-order character matches
+ * with a bonus for consecutive characters
+ * @param {string} query - Search query
+ * @param {string} text - Text to match
+ * @returns {number} - 0 for no match, higher is better
+ */
+function fuzzyScore(query, text) {
+    const q = normalize(query);
+    const target = normalize(text);
+
+    if (!q) return 0;
+    if (target === q) return 100;
+    if (target.startsWith(q)) return 90;
+
+    const index = target.indexOf(q);
+    if (index > 0) {
+        return 70 - Math.min(index, 20);
+    }
+
+    let position = 0;
+    let score = 0;
+    let streak = 0;
+
+    for (const char of q) {
+        if (char === ' ') continue;
+        const found = target.indexOf(char, position);
+        if (found === -1) {
+            return 0;
+        }
+        streak = found === position ? streak + 1 : 0;
+        score += 1 + streak;
+        position = found + 1;
+    }
+
+    // Keep fuzzy matches below substring matches
+    return Math.min(score, 40);
+}
+
+/**
+ * Lowercase and strip accents for comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Get the letter a term is filed under (non-letters go under "#")
+ * @param {string} term - Glossary term
+ * @returns {string} - Uppercase letter or '#'
+ */
+function getInitial(term) {
+    const initial = normalize(term).charAt(0).toUpperCase();
+    return /\p{L}/u.test(initial) ? initial : '#';
+}
+
+/**
+ * Element id for an entry
+ * @param {string} slug - Entry slug
+ * @returns {string} - The id
+ */
+function entryId(slug) {
+    return `glossary-${slug}`;
+}
+
+export { renderGlossaryPage, fuzzyScore, indexLessonsByTerm }
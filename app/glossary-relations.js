@@ -0,0 +1,194 @@
+/**
+ * Film Home School - Glossary Relations
+ * Links between glossary entries: terms mentioned in a definition (found with the
+ * highlighting matcher) and explicit related_terms
+ */
+
+import { getTermLabel, parseAliases } from './glossary-terms.js'
+import { getGlossaryMatcher, getGlossaryVersion } from './glossary-matcher.js'
+import { glossaryHref } from './router.js'
+
+// Explicit relations per glossary Map, built once (see getRelationIndex())
+const relationIndexes = new WeakMap();
+
+/**
+ * Split a definition into plain text and mentions of other glossary terms
+ * @param {string} term - The entry the definition belongs to (never links to itself)
+ * @param {string} definition - Definition text
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {Array} - Segments: { text } or { text, term }
+ */
+function splitDefinition(term, definition, glossaryMap) {
+    const segments = [];
+    let lastIndex = 0;
+
+    getGlossaryMatcher(glossaryMap).findMatches(definition)
+        .filter(match => match.term !== term)
+        .forEach(match => {
+            if (match.start > lastIndex) {
+                segments.push({ text: definition.slice(lastIndex, match.start) });
+            }
+            segments.push({ text: match.text, term: match.term });
+            lastIndex = match.end;
+        });
+
+    if (lastIndex < definition.length) {
+        segments.push({ text: definition.slice(lastIndex) });
+    }
+    return segments;
+}
+
+/**
+ * Fill an element with a definition whose glossary terms link to their entries
+ * @param {Element} element - Element to fill (its content is replaced)
+ * @param {string} term - The entry the definition belongs to
+ * @param {string} definition - Definition text
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ */
+function renderLinkedDefinition(element, term, definition, glossaryMap) {
+    element.textContent = '';
+
+    splitDefinition(term, definition, glossaryMap).forEach(segment => {
+        if (!segment.term) {
+            element.appendChild(document.createTextNode(segment.text));
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = glossaryHref(segment.term);
+        link.className = 'glossary-cross-link';
+        link.textContent = segment.text;
+        element.appendChild(link);
+    });
+}
+
+/**
+ * Terms mentioned in an entry's definition
+ * @param {string} term - Glossary term
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {Array<string>} - Unique terms in order of first mention
+ */
+function findMentions(term, glossaryMap) {
+    const data = glossaryMap.get(term);
+    if (!data) {
+        return [];
+    }
+    const definition = typeof data === 'string' ? data : data.definition;
+    const terms = splitDefinition(term, definition, glossaryMap)
+        .filter(segment => segment.term)
+        .map(segment => segment.term);
+    return Array.from(new Set(terms));
+}
+
+/**
+ * Explicit relations, in both directions: the entry's related_terms and entries that list it
+ * related_terms may use any spelling of a term or one of its aliases
+ * @param {string} term - Glossary term
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {Array<string>} - Related terms, sorted by label
+ */
+function getRelatedTerms(term, glossaryMap) {
+    const related = getRelationIndex(glossaryMap).related.get(term);
+    return related ? related.slice() : [];
+}
+
+/**
+ * Build the graph of all relations between glossary entries
+ * Edges are undirected; an explicit relation wins over a mention between the same two terms
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @param {object} [options] - { mentions } include terms mentioned in definitions (default true)
+ * @returns {object} - { nodes: Array<string>, edges: Array<{ source, target, kind }> }
+ *   kind is 'related' or 'mention'
+ */
+function buildConceptGraph(glossaryMap, options = {}) {
+    const { mentions = true } = options;
+    const { related } = getRelationIndex(glossaryMap);
+    const edges = new Map();
+
+    function addEdge(a, b, kind) {
+        if (!a || !b || a === b) return;
+        const key = a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+        const existing = edges.get(key);
+        if (!existing || (existing.kind === 'mention' && kind === 'related')) {
+            edges.set(key, { source: a < b ? a : b, target: a < b ? b : a, kind });
+        }
+    }
+
+    glossaryMap.forEach((data, term) => {
+        (related.get(term) || []).forEach(other => addEdge(term, other, 'related'));
+        if (mentions) {
+            findMentions(term, glossaryMap).forEach(other => addEdge(term, other, 'mention'));
+        }
+    });
+
+    const nodes = new Set();
+    edges.forEach(edge => {
+        nodes.add(edge.source);
+        nodes.add(edge.target);
+    });
+
+    return { nodes: Array.from(nodes).sort(), edges: Array.from(edges.values()) };
+}
+
+/**
+ * The explicit relations (both directions) of a glossary, cached per Map
+ * Built from related_terms alone; a Map changed in place is re-indexed once
+ * clearGlossaryMatcher() has bumped its version
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {object} - { version, related } with related as term -> related terms sorted by label
+ */
+function getRelationIndex(glossaryMap) {
+    const version = getGlossaryVersion(glossaryMap);
+    let index = relationIndexes.get(glossaryMap);
+    if (index && index.version === version) {
+        return index;
+    }
+
+    const resolve = createTermResolver(glossaryMap);
+    const sets = new Map();
+    function link(a, b) {
+        if (!sets.has(a)) sets.set(a, new Set());
+        sets.get(a).add(b);
+    }
+
+    glossaryMap.forEach((data, term) => {
+        parseAliases(data && data.related_terms).forEach(name => {
+            const target = resolve(name);
+            if (target && target !== term) {
+                link(term, target);
+                link(target, term);
+            }
+        });
+    });
+
+    const label = name => getTermLabel(name, glossaryMap.get(name));
+    const related = new Map();
+    sets.forEach((terms, term) => {
+        related.set(term, Array.from(terms).sort((a, b) => label(a).localeCompare(label(b), undefined, { sensitivity: 'base' })));
+    });
+
+    index = { version, related };
+    relationIndexes.set(glossaryMap, index);
+    return index;
+}
+
+/**
+ * Look up glossary keys by any spelling of a term or alias (ignoring case)
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {Function} - name => glossary key, or null when nothing matches
+ */
+function createTermResolver(glossaryMap) {
+    const keys = new Map();
+
+    glossaryMap.forEach((data, term) => {
+        keys.set(term.toLowerCase(), term);
+    });
+    glossaryMap.forEach((data, term) => {
+        parseAliases(data && data.aliases).forEach(alias => {
+            if (!keys.has(alias.toLowerCase())) keys.set(alias.toLowerCase(), term);
+        });
+    });
+
+    return name => keys.get(String(name).trim().toLowerCase()) || null;
+}
+
+export { splitDefinition, renderLinkedDefinition, findMentions, getRelatedTerms, buildConceptGraph, createTermResolver }
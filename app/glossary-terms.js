@@ -0,0 +1,114 @@
+/**
+ * Film Home School - Glossary Term Forms
+ * Expands each glossary entry into the surface forms that should link to it:
+ * the term itself, its aliases (abbreviations, alternate names) and simple plurals
+ * Localized entries (see app/i18n.js) use their translated label instead of the term
+ */
+
+// Letters, marks and digits from any script count as part of a word,
+// so "plan-séquence" and "B-films" match as whole words
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+/**
+ * Parse an aliases value from Supabase (text[]) or CSV ("a | b; c") into an array
+ * @param {Array|string|null} value - Raw aliases value
+ * @returns {Array<string>} - Trimmed, non-empty aliases
+ */
+function parseAliases(value) {
+    if (!value) {
+        return [];
+    }
+
+    const list = Array.isArray(value) ? value : String(value).split(/[|;]/);
+    return list.map(alias => String(alias).trim()).filter(Boolean);
+}
+
+/**
+ * Get the simple English plural of a term
+ * Only the last word is inflected ("close-up" -> "close-ups", "dolly shot" -> "dolly shots")
+ * @param {string} form - A term or alias
+ * @returns {string|null} - The plural, or null when the form shouldn't be inflected
+ */
+function pluralize(form) {
+    // Abbreviations (ELS, CU, FX) and forms ending in punctuation are left alone
+    if (/^[\p{Lu}\p{N}\s-]+$/u.test(form) || !/\p{L}$/u.test(form)) {
+        return null;
+    }
+
+    if (/(s|x|z|ch|sh)$/i.test(form)) {
+        return `${form}es`;
+    }
+    if (/[^aeiou]y$/i.test(form)) {
+        return `${form.slice(0, -1)}ies`;
+    }
+    return `${form}s`;
+}
+
+/**
+ * Get the name to show for a glossary entry
+ * @param {string} term - The canonical term (Map key)
+ * @param {object|string} data - Entry data or a definition string
+ * @returns {string} - The localized label, or the term itself
+ */
+function getTermLabel(term, data) {
+    return (data && typeof data === 'object' && data.label) || term;
+}
+
+/**
+ * Get every surface form that should link to a glossary entry
+ * @param {string} term - The canonical term
+ * @param {object|string} data - Entry data ({ definition, wikipedia_url, aliases }) or a definition string
+ * @returns {Array<string>} - Unique forms (compared case-insensitively)
+ */
+function getTermForms(term, data) {
+    const aliases = data && typeof data === 'object' ? parseAliases(data.aliases) : [];
+    // Plurals are only generated for English
+    const english = !data || typeof data !== 'object' || !data.locale || data.locale === 'en';
+    const seen = new Set();
+    const forms = [];
+
+    [getTermLabel(term, data), ...aliases].forEach(base => {
+        [base, english ? pluralize(base) : null].forEach(form => {
+            if (!form) return;
+            const normalized = form.normalize('NFC');
+            const key = normalized.toLocaleLowerCase();
+            if (!seen.has(key)) {
+                seen.add(key);
+                forms.push(normalized);
+            }
+        });
+    });
+
+    return forms;
+}
+
+/**
+ * Build a case-insensitive, Unicode-aware regex that matches a form as a whole word
+ * Unlike \b, the boundaries work for accented letters and forms ending in punctuation
+ * @param {string} form - A term, alias or plural
+ * @param {string} [flags] - Extra regex flags (e.g., 'g')
+ * @returns {RegExp} - The regex
+ */
+function termRegex(form, flags = '') {
+    const escapedForm = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<!${WORD_CHAR})${escapedForm}(?!${WORD_CHAR})`, `iu${flags}`);
+}
+
+/**
+ * Expand a glossary Map into [form, term, data] triples, longest form first
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {Array} - Array of [form, term, data]
+ */
+function expandGlossary(glossaryMap) {
+    const expanded = [];
+
+    glossaryMap.forEach((data, term) => {
+        getTermForms(term, data).forEach(form => {
+            expanded.push([form, term, data]);
+        });
+    });
+
+    return expanded.sort((a, b) => b[0].length - a[0].length);
+}
+
+export { parseAliases, pluralize, getTermLabel, getTermForms, termRegex, expandGlossary }
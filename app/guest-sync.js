@@ -0,0 +1,66 @@
+/**
+ * Film Home School - Guest Sync
+ * Moving what a guest saved on this device into their account when they sign in
+ * (shared by the progress and annotation stores)
+ */
+
+/**
+ * Load an account's records, merge in the guest's records and copy those to the account
+ * The store stays on the guest records until apply() is called, so writes made while the account
+ * loads go to localStorage and are part of the merge. After apply(), writes go to the account.
+ * @param {object} client - Supabase client
+ * @param {string} table - Table with a user_id column
+ * @param {object} options
+ *   - userId: the account
+ *   - columns: columns to select
+ *   - onConflict: upsert conflict target
+ *   - storageKey: localStorage key of the guest records, cleared once the account has them
+ *   - readGuest(): the guest records (key -> record)
+ *   - fromRow(row): [key, record]
+ *   - toRow(userId, key, record): row to upsert
+ *   - merge(remote, guest): merged records (by default guest records replace remote ones)
+ *   - apply(records): switch the store to the account; return false when the sign-in is stale
+ *   - log: logger of the store
+ * @returns {Promise<void>}
+ */
+async function syncGuestRecords(client, table, options) {
+    const { userId, log } = options;
+    const merge = options.merge || ((remote, guest) => ({ ...remote, ...guest }));
+
+    const { data, error } = await client
+        .from(table)
+        .select(options.columns)
+        .eq('user_id', userId);
+
+    if (error) {
+        log.error(`Failed to load ${table}`, error);
+    }
+
+    const remote = Object.fromEntries((data || []).map(options.fromRow));
+    const guest = options.readGuest();
+    const records = merge(remote, guest);
+
+    if (options.apply(records) === false) {
+        return;
+    }
+
+    // Push guest records into the account, then forget them on this device
+    const guestKeys = Object.keys(guest);
+    if (guestKeys.length === 0 || error) {
+        return;
+    }
+
+    const rows = guestKeys.map(key => options.toRow(userId, key, records[key]));
+    const { error: upsertError } = await client
+        .from(table)
+        .upsert(rows, { onConflict: options.onConflict });
+
+    if (upsertError) {
+        log.error(`Failed to merge guest ${table}`, upsertError);
+    } else {
+        localStorage.removeItem(options.storageKey);
+        log.info(`Merged ${guestKeys.length} guest ${table} records into the account`);
+    }
+}
+
+export { syncGuestRecords }
@@ -0,0 +1,221 @@
+/**
+ * Film Home School - Internationalization
+ * The active locale (saved in localStorage like the theme), UI message catalogs with
+ * English fallback, and localized copies of lessons and glossary entries
+ */
+
+import { messages as en } from './locales/en.js'
+import { messages as es } from './locales/es.js'
+import { messages as hy } from './locales/hy.js'
+import { parseAliases } from './glossary-terms.js'
+import { createTermResolver } from './glossary-relations.js'
+
+const STORAGE_KEY = 'locale';
+const DEFAULT_LOCALE = 'en';
+
+// Locale codes with their names in their own language, for the switcher
+const LOCALES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' },
+    { code: 'hy', name: 'Հայերեն' }
+];
+
+const CATALOGS = { en, es, hy };
+
+const listeners = new Set();
+let currentLocale = readSavedLocale();
+
+/**
+ * The saved locale, or the browser's language when it is one we support
+ */
+function readSavedLocale() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        // Storage can be blocked; fall through to the browser language
+    }
+    if (isSupported(saved)) {
+        return saved;
+    }
+
+    const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+    const match = preferred
+        .map(language => String(language || '').split('-')[0].toLowerCase())
+        .find(isSupported);
+    return match || DEFAULT_LOCALE;
+}
+
+/**
+ * @param {string|null} code - Locale code
+ * @returns {boolean} - Whether there is a catalog for it
+ */
+function isSupported(code) {
+    return !!code && Object.prototype.hasOwnProperty.call(CATALOGS, code);
+}
+
+/**
+ * @returns {string} - The active locale code (e.g., 'es')
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Switch the active locale, save it and notify listeners
+ * @param {string} code - Locale code; unsupported codes are ignored
+ */
+function setLocale(code) {
+    if (!isSupported(code) || code === currentLocale) {
+        return;
+    }
+    currentLocale = code;
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+        // Still switch for this visit
+    }
+    document.documentElement.lang = code;
+    listeners.forEach(listener => listener(code));
+}
+
+/**
+ * Listen for locale changes
+ * @param {Function} listener - Called with the new locale code
+ * @returns {Function} - Unsubscribe
+ */
+function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Look up a UI message in the active locale, falling back to English
+ * With a numeric params.count, plural forms ('key.one', 'key.other', ...) are tried first
+ * @param {string} key - Message key (e.g., 'shell.glossary')
+ * @param {object} [params] - Values for {placeholders} in the message
+ * @returns {string} - The message, or the key itself when no catalog has it
+ */
+function t(key, params = {}) {
+    let message;
+    if (typeof params.count === 'number') {
+        const category = new Intl.PluralRules(currentLocale).select(params.count);
+        message = lookup(`${key}.${category}`) ?? lookup(`${key}.other`);
+    }
+    message = message ?? lookup(key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+function lookup(key) {
+    return CATALOGS[currentLocale][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+}
+
+/**
+ * Fill in the static text of the page shell
+ * Elements name their message with data-i18n (text) or data-i18n-attr ("attribute:key; attribute:key")
+ * @param {ParentNode} [root] - Where to look (the whole document by default)
+ */
+function applyMessages(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key));
+            }
+        });
+    });
+}
+
+/**
+ * Fill a <select> with the supported locales and switch locale when it changes
+ * @param {HTMLSelectElement} select - The language switcher
+ */
+function setupLanguageSwitcher(select) {
+    select.innerHTML = '';
+    LOCALES.forEach(({ code, name }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = currentLocale;
+
+    select.addEventListener('change', () => setLocale(select.value));
+    onLocaleChange(code => {
+        select.value = code;
+    });
+}
+
+/**
+ * A lesson in a locale, falling back to English for anything that isn't translated
+ * Translations live in lesson.translations: { es: { title, body, module } }
+ * @param {object} lesson - Lesson as loaded from Supabase
+ * @param {string} locale - Locale code
+ * @returns {object} - Lesson with title, body and module replaced; locale is the language the body is in
+ */
+function localizeLesson(lesson, locale) {
+    const translation = getTranslation(lesson, locale);
+    if (!translation) {
+        return { ...lesson, locale: DEFAULT_LOCALE };
+    }
+    return {
+        ...lesson,
+        title: translation.title || lesson.title,
+        body: translation.body || lesson.body,
+        module: translation.module || lesson.module,
+        locale: translation.body ? locale : DEFAULT_LOCALE
+    };
+}
+
+/**
+ * A glossary in a locale, keyed by the English terms so slugs, flashcards and quiz results stay the same
+ * Translations live in data.translations: { es: { term, definition, wikipedia_url, aliases } }
+ * Entries get a label (the term to show and highlight) and the locale their term is in
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @param {string} locale - Locale code
+ * @returns {Map} - Localized Map of glossary terms to entry data
+ */
+function localizeGlossary(glossaryMap, locale) {
+    // related_terms may name English aliases, which the localized entries no longer have
+    const resolve = createTermResolver(glossaryMap);
+    const localized = new Map();
+
+    glossaryMap.forEach((data, term) => {
+        const entry = typeof data === 'string' ? { definition: data } : data;
+        const translation = getTranslation(entry, locale);
+        const relatedTerms = parseAliases(entry.related_terms).map(name => resolve(name) || name);
+
+        if (!translation || !translation.term) {
+            localized.set(term, { ...entry, label: term, locale: DEFAULT_LOCALE, related_terms: relatedTerms });
+            return;
+        }
+
+        localized.set(term, {
+            ...entry,
+            label: translation.term,
+            locale,
+            definition: translation.definition || entry.definition,
+            wikipedia_url: translation.wikipedia_url || entry.wikipedia_url || null,
+            aliases: parseAliases(translation.aliases),
+            related_terms: relatedTerms
+        });
+    });
+
+    return localized;
+}
+
+/**
+ * The translation of a lesson or glossary entry, or null for English and missing translations
+ */
+function getTranslation(item, locale) {
+    if (locale === DEFAULT_LOCALE || !item.translations || typeof item.translations !== 'object') {
+        return null;
+    }
+    return item.translations[locale] || null;
+}
+
+export { LOCALES, DEFAULT_LOCALE, getLocale, setLocale, onLocaleChange, t, applyMessages, setupLanguageSwitcher, localizeLesson, localizeGlossary }
@@ -0,0 +1,269 @@
+/**
+ * Film Home School - Lesson Video
+ * The "video" lesson block: an HTML5 player for a clip served from the site's own
+ * static files (e.g., public/media/), with WebVTT tracks and timestamped annotations
+ * that name glossary terms and show up as chapter markers on a timeline
+ *
+ * Block shape:
+ *   {
+ *     "type": "video",
+ *     "src": "/media/rack-focus.mp4",
+ *     "poster": "/media/rack-focus.jpg",
+ *     "caption": "Rack focus in The Graduate (1967)",
+ *     "tracks": [{ "src": "/media/rack-focus.en.vtt", "srclang": "en", "label": "English", "kind": "captions", "default": true }],
+ *     "annotations": [{ "time": "0:12", "term": "rack focus", "note": "Focus pulls from Ben to Elaine." }]
+ *   }
+ */
+
+import { t } from './i18n.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('video');
+
+const TRACK_KINDS = ['subtitles', 'captions', 'descriptions', 'chapters', 'metadata'];
+
+/**
+ * Create the element for a video block
+ * Annotation terms are rendered as placeholders ([data-glossary-term]) that the app
+ * turns into glossary terms, so they open the usual tooltip
+ * @param {object} block - Video block (see the module comment)
+ * @returns {HTMLElement|null} - The figure, or null when the block has no usable source
+ */
+function createVideoBlock(block) {
+    const src = safeMediaUrl(block.src);
+    if (!src) {
+        log.warn('Video block skipped: missing or unsupported src', block.src);
+        return null;
+    }
+
+    const figure = document.createElement('figure');
+    figure.className = 'lesson-video';
+
+    const video = document.createElement('video');
+    video.src = src;
+    // A clip or tracks from another origin only load (and tracks only show) over CORS
+    if (!isSameOrigin(src)) {
+        video.crossOrigin = 'anonymous';
+    }
+    video.controls = true;
+    video.preload = 'metadata';
+    video.playsInline = true;
+    const poster = safeMediaUrl(block.poster);
+    if (poster) {
+        video.poster = poster;
+    }
+
+    (Array.isArray(block.tracks) ? block.tracks : []).forEach(item => {
+        const trackSrc = safeMediaUrl(item && item.src);
+        if (!trackSrc) return;
+
+        if (!isSameOrigin(trackSrc)) {
+            video.crossOrigin = 'anonymous';
+        }
+
+        const track = document.createElement('track');
+        track.src = trackSrc;
+        track.kind = TRACK_KINDS.includes(item.kind) ? item.kind : 'captions';
+        if (item.srclang) track.srclang = item.srclang;
+        if (item.label) track.label = item.label;
+        if (item.default) track.default = true;
+        video.appendChild(track);
+    });
+
+    const fallback = document.createElement('p');
+    fallback.textContent = t('video.unsupported');
+    video.appendChild(fallback);
+    figure.appendChild(video);
+
+    const annotations = normalizeAnnotations(block.annotations);
+    if (annotations.length > 0) {
+        figure.appendChild(createAnnotations(video, annotations));
+    }
+
+    if (block.caption) {
+        const caption = document.createElement('figcaption');
+        caption.textContent = block.caption;
+        figure.appendChild(caption);
+    }
+
+    return figure;
+}
+
+/**
+ * Timeline markers and the annotation list, both seeking the video
+ * The timeline is a visual shortcut; the list carries the same buttons for keyboard and screen reader users
+ */
+function createAnnotations(video, annotations) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'lesson-video-annotations';
+
+    const timeline = document.createElement('div');
+    timeline.className = 'lesson-video-timeline';
+    timeline.setAttribute('aria-hidden', 'true');
+    timeline.hidden = true;
+    wrapper.appendChild(timeline);
+
+    const heading = document.createElement('p');
+    heading.className = 'lesson-video-annotations-title';
+    heading.textContent = t('video.annotations');
+    wrapper.appendChild(heading);
+
+    const list = document.createElement('ol');
+    list.className = 'lesson-video-chapters';
+    wrapper.appendChild(list);
+
+    function seek(time) {
+        video.currentTime = time;
+    }
+
+    const markers = annotations.map(annotation => {
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = 'lesson-video-marker';
+        marker.tabIndex = -1;
+        marker.title = `${formatTimestamp(annotation.time)} · ${annotation.term || annotation.note}`;
+        marker.addEventListener('click', () => seek(annotation.time));
+        timeline.appendChild(marker);
+
+        const item = document.createElement('li');
+        item.className = 'lesson-video-chapter';
+
+        const time = document.createElement('button');
+        time.type = 'button';
+        time.className = 'lesson-video-time';
+        time.textContent = formatTimestamp(annotation.time);
+        time.setAttribute('aria-label', t('video.seek', { time: formatTimestamp(annotation.time) }));
+        time.addEventListener('click', () => seek(annotation.time));
+        item.appendChild(time);
+
+        if (annotation.term) {
+            const term = document.createElement('span');
+            term.className = 'lesson-video-term';
+            term.dataset.glossaryTerm = annotation.term;
+            term.textContent = annotation.term;
+            item.appendChild(term);
+        }
+
+        if (annotation.note) {
+            const note = document.createElement('span');
+            note.className = 'lesson-video-note';
+            note.textContent = annotation.note;
+            item.appendChild(note);
+        }
+
+        list.appendChild(item);
+        return { annotation, marker, item };
+    });
+
+    // Markers are placed once the duration is known
+    function placeMarkers() {
+        const { duration } = video;
+        if (!Number.isFinite(duration) || duration <= 0) {
+            timeline.hidden = true;
+            return;
+        }
+        markers.forEach(({ annotation, marker }) => {
+            marker.style.left = `${Math.min(annotation.time / duration, 1) * 100}%`;
+        });
+        timeline.hidden = false;
+    }
+
+    // Mark the chapter the playhead is in
+    function updateCurrent() {
+        const current = video.currentTime;
+        let active = null;
+        markers.forEach(entry => {
+            if (entry.annotation.time <= current + 0.25) {
+                active = entry;
+            }
+        });
+        markers.forEach(entry => {
+            const isActive = entry === active;
+            entry.marker.classList.toggle('is-current', isActive);
+            entry.item.classList.toggle('is-current', isActive);
+            if (isActive) {
+                entry.item.setAttribute('aria-current', 'time');
+            } else {
+                entry.item.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    video.addEventListener('loadedmetadata', placeMarkers);
+    video.addEventListener('durationchange', placeMarkers);
+    video.addEventListener('timeupdate', updateCurrent);
+    video.addEventListener('seeked', updateCurrent);
+
+    return wrapper;
+}
+
+/**
+ * Clean up annotations: parse times, drop entries without a time or text, sort by time
+ * @param {Array} annotations - Raw annotations from the block
+ * @returns {Array} - Array of { time, term, note } with time in seconds
+ */
+function normalizeAnnotations(annotations) {
+    if (!Array.isArray(annotations)) {
+        return [];
+    }
+    return annotations
+        .map(annotation => ({
+            time: parseTimestamp(annotation && annotation.time),
+            term: annotation && annotation.term ? String(annotation.term).trim() : '',
+            note: annotation && annotation.note ? String(annotation.note).trim() : ''
+        }))
+        .filter(annotation => annotation.time !== null && (annotation.term || annotation.note))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Parse a timestamp: seconds as a number, or "ss", "m:ss", "h:mm:ss" (with optional .fraction)
+ * @param {number|string} value - Timestamp
+ * @returns {number|null} - Seconds, or null when it can't be parsed
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+        return null;
+    }
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Format seconds as "m:ss" (or "h:mm:ss" past an hour)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Formatted time
+ */
+function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Resolve a media URL, allowing only http(s) so lesson data can't inject other schemes
+ * Relative paths resolve against the site, which is where public/ files are served
+ * @param {string} value - URL from the block
+ * @returns {string|null} - Absolute URL, or null
+ */
+function safeMediaUrl(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    try {
+        const url = new URL(value, window.location.href);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isSameOrigin(url) {
+    return new URL(url).origin === window.location.origin;
+}
+
+export { createVideoBlock, parseTimestamp, formatTimestamp }
@@ -0,0 +1,301 @@
+/**
+ * Film Home School - Lesson Rendering
+ * Turns rows from the `lessons` table into DOM content
+ */
+
+import { lessonHref } from './router.js'
+import { createVideoBlock } from './lesson-video.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('lessons');
+
+/**
+ * Render a lesson into a container, replacing its current content
+ * @param {Element} container - The element to render into (e.g., '.main-content')
+ * @param {object} lesson - Lesson row with title and body
+ */
+function renderLesson(container, lesson) {
+    const fragment = document.createDocumentFragment();
+
+    const heading = document.createElement('h2');
+    heading.textContent = lesson.title;
+    fragment.appendChild(heading);
+
+    normalizeBlocks(lesson.body).forEach(block => {
+        const element = createBlockElement(block);
+        if (element) {
+            fragment.appendChild(element);
+        }
+    });
+
+    container.innerHTML = '';
+    container.appendChild(fragment);
+    container.dataset.lesson = lesson.slug;
+}
+
+/**
+ * Get the plain text of a lesson (title and all block text)
+ * Used to find which lessons mention a glossary term
+ * @param {object} lesson - Lesson row
+ * @returns {string} - Plain text
+ */
+function getLessonText(lesson) {
+    const parts = [lesson.title];
+
+    normalizeBlocks(lesson.body).forEach(block => {
+        if (block.text) {
+            parts.push(block.text);
+        }
+        if (Array.isArray(block.items)) {
+            parts.push(...block.items);
+        }
+        if (block.caption) {
+            parts.push(block.caption);
+        }
+        if (Array.isArray(block.annotations)) {
+            block.annotations.forEach(annotation => {
+                parts.push(...[annotation && annotation.term, annotation && annotation.note].filter(Boolean));
+            });
+        }
+    });
+
+    return parts.join('\n');
+}
+
+/**
+ * Render the course table of contents, grouped by module
+ * Modules appear in the order of their first lesson
+ * @param {Element} nav - The element to render into
+ * @param {Array} lessons - Lessons ordered by position
+ */
+function renderTableOfContents(nav, lessons) {
+    const modules = new Map();
+
+    lessons.forEach(lesson => {
+        const moduleName = lesson.module || 'General';
+        if (!modules.has(moduleName)) {
+            modules.set(moduleName, []);
+        }
+        modules.get(moduleName).push(lesson);
+    });
+
+    const fragment = document.createDocumentFragment();
+
+    modules.forEach((moduleLessons, moduleName) => {
+        const group = document.createElement('div');
+        group.className = 'toc-module';
+
+        const heading = document.createElement('h2');
+        heading.className = 'toc-module-title';
+        heading.textContent = moduleName;
+        group.appendChild(heading);
+
+        const list = document.createElement('ol');
+        list.className = 'toc-lessons';
+
+        moduleLessons.forEach(lesson => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = lessonHref(lesson.slug);
+            link.dataset.lesson = lesson.slug;
+            link.textContent = lesson.title;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        group.appendChild(list);
+        fragment.appendChild(group);
+    });
+
+    nav.innerHTML = '';
+    nav.appendChild(fragment);
+}
+
+/**
+ * Mark the current lesson in the table of contents
+ * @param {Element} nav - The table of contents element
+ * @param {string|null} slug - Slug of the current lesson, or null when none is shown
+ */
+function setActiveLesson(nav, slug) {
+    nav.querySelectorAll('a[data-lesson]').forEach(link => {
+        if (link.dataset.lesson === slug) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Render a short status message (loading, empty, not found) in place of a lesson
+ * @param {Element} container - The element to render into
+ * @param {string} title - Heading for the message
+ * @param {string} message - Explanatory text
+ * @param {object} [link] - Optional { href, label } link shown below the message
+ */
+function renderLessonMessage(container, title, message, link) {
+    container.innerHTML = '';
+    delete container.dataset.lesson;
+
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    container.appendChild(heading);
+
+    const text = document.createElement('p');
+    text.className = 'lesson-status';
+    text.textContent = message;
+    container.appendChild(text);
+
+    if (link) {
+        const paragraph = document.createElement('p');
+        const anchor = document.createElement('a');
+        anchor.href = link.href;
+        anchor.textContent = link.label;
+        paragraph.appendChild(anchor);
+        container.appendChild(paragraph);
+    }
+}
+
+/**
+ * Convert a lesson body into an array of blocks
+ * The body is either structured blocks (jsonb) or a Markdown string
+ * @param {Array|string} body - The raw body column
+ * @returns {Array} - Array of { type, ... } blocks
+ */
+function normalizeBlocks(body) {
+    if (Array.isArray(body)) {
+        return body;
+    }
+
+    if (typeof body !== 'string') {
+        return [];
+    }
+
+    // A JSON string from a text column is still structured blocks
+    const trimmed = body.trim();
+    if (trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            log.warn('Lesson body looks like JSON but could not be parsed, treating it as Markdown');
+        }
+    }
+
+    return parseMarkdown(body);
+}
+
+/**
+ * Minimal Markdown parser for lesson bodies
+ * Supports ATX headings, paragraphs, bullet and numbered lists and blockquotes. A heading line
+ * ends the paragraph before it, so "## Framing" directly followed by text is a heading and a paragraph.
+ * @param {string} markdown - Markdown source
+ * @returns {Array} - Array of blocks
+ */
+function parseMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    // The block lines are being added to (a paragraph, list or quote), null after a blank line
+    let current = null;
+
+    lines.forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) {
+            current = null;
+            return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            current = null;
+            return;
+        }
+
+        const bullet = line.match(/^[-*+]\s+(.*)$/);
+        // As in CommonMark, only a list starting at 1 can interrupt a paragraph ("1984. A year…" stays text)
+        const numbered = line.match(/^(\d{1,9})[.)]\s+(.*)$/);
+        const interrupts = !numbered || !current || current.type !== 'paragraph' || numbered[1] === '1';
+        if ((bullet || numbered) && interrupts) {
+            const ordered = !!numbered;
+            if (!current || current.type !== 'list' || current.ordered !== ordered) {
+                current = { type: 'list', ordered, items: [] };
+                if (ordered && Number(numbered[1]) !== 1) {
+                    current.start = Number(numbered[1]);
+                }
+                blocks.push(current);
+            }
+            current.items.push(ordered ? numbered[2] : bullet[1]);
+            return;
+        }
+
+        if (line.startsWith('>')) {
+            const text = line.replace(/^>\s?/, '');
+            if (current && current.type === 'quote') {
+                current.text += ` ${text}`;
+            } else {
+                current = { type: 'quote', text };
+                blocks.push(current);
+            }
+            return;
+        }
+
+        // Lazy continuation: a plain line carries on the paragraph, list item or quote above it
+        if (current && current.type === 'list') {
+            current.items[current.items.length - 1] += ` ${line}`;
+        } else if (current) {
+            current.text += ` ${line}`;
+        } else {
+            current = { type: 'paragraph', text: line };
+            blocks.push(current);
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * Create the DOM element for a single block
+ * Text is always set with textContent so lesson data can't inject markup
+ * @param {object} block - A lesson block
+ * @returns {HTMLElement|null} - The element, or null for unknown block types
+ */
+function createBlockElement(block) {
+    switch (block.type) {
+        case 'heading': {
+            // The lesson title is the h2, so body headings start one level below it
+            const level = Math.min(Math.max((block.level || 1) + 2, 3), 6);
+            const heading = document.createElement(`h${level}`);
+            heading.textContent = block.text;
+            return heading;
+        }
+        case 'paragraph': {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = block.text;
+            return paragraph;
+        }
+        case 'list': {
+            const list = document.createElement(block.ordered ? 'ol' : 'ul');
+            if (block.ordered && block.start) {
+                list.start = block.start;
+            }
+            (block.items || []).forEach(item => {
+                const li = document.createElement('li');
+                li.textContent = item;
+                list.appendChild(li);
+            });
+            return list;
+        }
+        case 'quote': {
+            const quote = document.createElement('blockquote');
+            quote.textContent = block.text;
+            return quote;
+        }
+        case 'video':
+            return createVideoBlock(block);
+        default:
+            log.warn('Unknown lesson block type:', block.type);
+            return null;
+    }
+}
+
+export { renderLesson, renderLessonMessage, getLessonText, renderTableOfContents, setActiveLesson, normalizeBlocks, parseMarkdown }
@@ -0,0 +1,280 @@
+/**
+ * Film Home School - English Messages
+ * The reference catalog: every key the app uses is here, and other locales fall back to it
+ */
+
+const messages = {
+    // Page shell (index.html)
+    'site.tagline': 'Your film education journey starts here',
+    'shell.skipToContent': 'Skip to main content',
+    'shell.displaySettings': 'Display settings',
+    'shell.language': 'Language',
+    'shell.flashcards': 'Flashcards',
+    'shell.signIn': 'Sign in',
+    'shell.signOut': 'Sign out',
+    'shell.offline': "You're offline. Showing saved lessons and glossary.",
+    'shell.courseContents': 'Course contents',
+    'shell.reference': 'Reference',
+    'shell.glossary': 'Glossary',
+    'shell.conceptMap': 'Concept map',
+    'shell.editGlossary': 'Edit glossary',
+    'shell.notes': 'My notes',
+    'shell.search': 'Search',
+    'shell.loadingLesson': 'Loading lesson…',
+
+    // Sign-in dialog
+    'auth.title': 'Sign in',
+    'auth.intro': 'Keep your progress in sync across devices.',
+    'auth.email': 'Email',
+    'auth.password': 'Password',
+    'auth.optional': '(optional)',
+    'auth.magicLink': 'Email me a sign-in link',
+    'auth.withPassword': 'Sign in with password',
+    'auth.cancel': 'Cancel',
+    'auth.passwordMissing': 'Enter your password, or use a magic link instead.',
+    'auth.signingIn': 'Signing in…',
+    'auth.sending': 'Sending link…',
+    'auth.checkEmail': 'Check {email} for a sign-in link.',
+    'auth.failed': 'Sign in failed. Please try again.',
+
+    // Views
+    'view.quiz': 'Quiz',
+    'view.glossaryQuiz': 'Glossary quiz',
+    'view.flashcards': 'Flashcards',
+    'view.editGlossary': 'Edit glossary',
+    'view.conceptMap': 'Concept map',
+    'view.glossary': 'Glossary',
+    'view.notFound': 'Page not found',
+    'view.notFoundMessage': 'There is no page at "{path}".',
+    'view.firstLesson': 'Go to the first lesson',
+    'view.noLessons': 'No lessons yet',
+    'view.noLessonsMessage': 'Lessons could not be loaded. Please try again later.',
+
+    // Lessons
+    'lesson.untranslated': 'This lesson hasn\'t been translated yet, so it is shown in English.',
+    'lesson.quizLabel': 'Lesson quiz',
+    'lesson.quizTitle': 'Test yourself',
+    'lesson.quizDescription': 'Check your understanding of the {count} glossary terms in this lesson.',
+
+    // Lesson video
+    'video.unsupported': 'Your browser can\'t play this video.',
+    'video.annotations': 'In this clip',
+    'video.seek': 'Jump to {time}',
+
+    // Highlights and notes
+    'notes.title': 'My notes',
+    'notes.close': 'Close notes',
+    'notes.export': 'Export as Markdown',
+    'notes.exportTitle': 'My notes from film(home)school',
+    'notes.empty': 'Select text in a lesson to highlight it or add a note.',
+    'notes.orphaned': 'This passage is no longer in the lesson.',
+    'notes.placeholder': 'Add a note…',
+    'notes.noteLabel': 'Note',
+    'notes.show': 'Show in lesson',
+    'notes.delete': 'Delete',
+    'notes.toolbar': 'Selected text',
+    'notes.highlight': 'Highlight',
+    'notes.addNote': 'Add note',
+
+    // Search
+    'search.label': 'Search lessons and glossary',
+    'search.placeholder': 'Search lessons and glossary…',
+    'search.results': 'Results',
+    'search.hint': 'Type to search. Use the arrow keys to move and Enter to open.',
+    'search.loading': 'Loading the search index…',
+    'search.noResults': 'No results for “{query}”',
+    'search.resultCount.one': '{count} result',
+    'search.resultCount.other': '{count} results',
+    'search.lesson': 'Lesson',
+    'search.term': 'Glossary',
+
+    // Display settings
+    'settings.title': 'Display',
+    'settings.theme': 'Theme',
+    'settings.theme.system': 'System',
+    'settings.theme.light': 'Light',
+    'settings.theme.dark': 'Dark',
+    'settings.theme.high-contrast': 'High contrast',
+    'settings.reading': 'Reading mode',
+    'settings.readingHint': 'Reading mode hides the sidebar and sets the lesson text to your size and width.',
+    'settings.fontSize': 'Font size',
+    'settings.lineHeight': 'Line height',
+    'settings.width': 'Width',
+    'settings.widthValue': '{count} characters',
+    'settings.reset': 'Reset',
+
+    // Load errors
+    'errors.glossary': "The glossary couldn't be loaded, so terms in lessons have no definitions.",
+    'errors.lessons': "The lessons couldn't be loaded.",
+    'errors.content': "The lessons and the glossary couldn't be loaded.",
+    'errors.retry': 'Try again',
+    'errors.retrying': 'Trying again…',
+    'errors.dismiss': 'Dismiss',
+
+    // Lesson progress
+    'progress.markComplete': 'Mark as complete',
+    'progress.complete': 'Lesson complete',
+    'progress.completed': '(completed)',
+    'progress.continue': 'Continue where you left off',
+
+    // Quizzes
+    'quiz.lastScore': 'Last score: {score} of {total}',
+    'quiz.start': 'Start quiz',
+    'quiz.progress': 'Question {number} of {total}',
+    'quiz.next': 'Next question',
+    'quiz.seeResults': 'See results',
+    'quiz.correct': 'Correct!',
+    'quiz.incorrect': 'Not quite. The answer is "{answer}".',
+    'quiz.score': 'You scored {score} of {total}',
+    'quiz.review': 'Terms to review:',
+    'quiz.perfect': 'Perfect score. Nicely done!',
+    'quiz.retryMissed': 'Retry missed questions',
+    'quiz.startOver': 'Start over',
+    'quiz.empty': 'There are no glossary terms to quiz on yet.',
+    'quiz.yourAnswer': 'Your answer',
+    'quiz.check': 'Check',
+    'quiz.fillInPrompt': 'Type the term that matches this definition.',
+    'quiz.definitionPrompt': 'Which definition matches "{term}"?',
+    'quiz.termPrompt': 'Which term matches this definition?',
+
+    // Flashcards
+    'flashcards.cardsLeft.one': '{count} card left',
+    'flashcards.cardsLeft.other': '{count} cards left',
+    'flashcards.fullEntry': 'See full entry',
+    'flashcards.showAnswer': 'Show answer',
+    'flashcards.gradePrompt': 'How well did you remember it?',
+    'flashcards.grade.again': 'Again',
+    'flashcards.grade.hard': 'Hard',
+    'flashcards.grade.good': 'Good',
+    'flashcards.grade.easy': 'Easy',
+    'flashcards.empty': 'Your deck is empty. Choose "Study this" in any glossary tooltip to add a term.',
+    'flashcards.reviewed.one': 'All caught up! You reviewed {count} card.',
+    'flashcards.reviewed.other': 'All caught up! You reviewed {count} cards.',
+    'flashcards.noneDue': 'No cards are due right now.',
+    'flashcards.nextReview': 'Next review {when}.',
+    'flashcards.now': 'now',
+    'flashcards.in': 'in {interval}',
+    'flashcards.minutes': '{count} min',
+    'flashcards.hours': '{count} h',
+    'flashcards.days.one': '{count} day',
+    'flashcards.days.other': '{count} days',
+    'flashcards.months.one': '{count} mo',
+    'flashcards.months.other': '{count} mo',
+    'flashcards.years.one': '{count} yr',
+    'flashcards.years.other': '{count} yr',
+    'flashcards.browse': 'Browse the glossary',
+    'flashcards.study': 'Study this',
+    'flashcards.inDeck': 'In your flashcards',
+    'flashcards.due.one': '({count} due)',
+    'flashcards.due.other': '({count} due)',
+
+    // Concept map
+    'conceptMap.intro': 'See how glossary terms connect. Select a term to open its entry, drag terms to rearrange them, and drag the background to pan.',
+    'conceptMap.showMentions': 'Show terms mentioned in definitions',
+    'conceptMap.zoom': 'Zoom',
+    'conceptMap.zoomIn': 'Zoom in',
+    'conceptMap.zoomOut': 'Zoom out',
+    'conceptMap.reset': 'Reset view',
+    'conceptMap.legend': 'Legend',
+    'conceptMap.related': 'Related terms',
+    'conceptMap.mention': 'Mentioned in a definition',
+    'conceptMap.empty': 'No connections between terms yet. Instructors can add related terms in the glossary editor.',
+    'conceptMap.list': 'List of connections',
+    'conceptMap.label': 'Concept map of glossary terms',
+    'conceptMap.node.one': '{term}, {count} connection',
+    'conceptMap.node.other': '{term}, {count} connections',
+    'conceptMap.relatedTo': 'related to {terms}',
+    'conceptMap.mentionedWith': 'linked by definition to {terms}',
+    'conceptMap.truncated': 'Showing the {shown} most connected of {total} terms. The list of connections below has them all.',
+
+    // Glossary editor
+    'admin.instructorsOnly': 'Only instructors can edit the glossary. Sign in with an instructor account to continue.',
+    'admin.exportCSV': 'Export CSV',
+    'admin.exportJSON': 'Export JSON',
+    'admin.addTitle': 'Add a term',
+    'admin.editTitle': 'Edit "{term}"',
+    'admin.term': 'Term',
+    'admin.definition': 'Definition',
+    'admin.wikipedia': 'Wikipedia link (optional)',
+    'admin.aliases': 'Aliases (optional, separated by | or ;)',
+    'admin.aliasesPlaceholder': 'e.g., traveling shot | dolly shot',
+    'admin.relatedTerms': 'Related terms (optional, separated by | or ;)',
+    'admin.relatedTermsPlaceholder': 'e.g., fill light | high-key lighting',
+    'admin.add': 'Add term',
+    'admin.save': 'Save changes',
+    'admin.cancel': 'Cancel',
+    'admin.preview': 'Preview',
+    'admin.sample': 'Sample lesson text',
+    'admin.sampleText': 'A tracking shot follows the subject through the frame, while a close-up isolates a detail.',
+    'admin.previewLabel': 'Highlighting preview',
+    'admin.noDefinition': '(No definition yet)',
+    'admin.draftMatches.one': '"{term}" is highlighted {count} time in this text.',
+    'admin.draftMatches.other': '"{term}" is highlighted {count} times in this text.',
+    'admin.matches.one': '{count} glossary term highlighted.',
+    'admin.matches.other': '{count} glossary terms highlighted.',
+    'admin.import': 'Bulk import',
+    'admin.importHint': 'Choose a CSV file (term, definition, wikipedia_url, aliases, related_terms) or a JSON export. Existing terms are updated.',
+    'admin.importFile': 'Import file',
+    'admin.terms': 'Terms',
+    'admin.termCount': 'Terms ({count})',
+    'admin.filter': 'Filter terms',
+    'admin.filterPlaceholder': 'Filter terms…',
+    'admin.aliasesColumn': 'Aliases',
+    'admin.actions': 'Actions',
+    'admin.edit': 'Edit',
+    'admin.editLabel': 'Edit {term}',
+    'admin.delete': 'Delete',
+    'admin.deleteLabel': 'Delete {term}',
+    'admin.termConflict': '"{form}" is already in the glossary:',
+    'admin.aliasConflict': '"{form}" is also used by',
+    'admin.duplicate': '"{term}" is already in the glossary. Edit that entry instead.',
+    'admin.saving': 'Saving…',
+    'admin.added': 'Added "{term}".',
+    'admin.saved': 'Saved "{term}".',
+    'admin.saveFailed': 'Saving failed. Please try again.',
+    'admin.confirmDelete': 'Delete "{term}" from the glossary?',
+    'admin.deleted': 'Deleted "{term}".',
+    'admin.deleteFailed': 'Deleting failed. Please try again.',
+    'admin.importSummary': '{file}: {loaded} of {rows} rows can be imported ({added} new, {updated} updated).',
+    'admin.importButton.one': 'Import {count} term',
+    'admin.importButton.other': 'Import {count} terms',
+    'admin.importing': 'Importing…',
+    'admin.imported.one': 'Imported {count} term from {file}.',
+    'admin.imported.other': 'Imported {count} terms from {file}.',
+    'admin.importFailed': 'Import failed. Please try again.',
+    'admin.permissionDenied': 'Could not {action}. Your account may not have instructor access.',
+    'admin.action.save': 'save the term',
+    'admin.action.add': 'add the term',
+    'admin.action.delete': 'delete the term',
+    'admin.action.import': 'import the terms',
+    'admin.rowProblem': 'Row {line}: {problem}',
+    'admin.missingColumn': 'Missing column: {column}',
+    'admin.repeatedRow': '"{term}" repeats row {line} and was left out',
+    'admin.errors.term': 'Enter a term.',
+    'admin.errors.definition': 'Enter a definition.',
+    'admin.errors.wikipedia': 'The Wikipedia link must be a full http(s) URL.',
+
+    // Glossary tooltip
+    'tooltip.wikipedia': 'Read more on Wikipedia',
+    'tooltip.newTab': '(opens in a new tab)',
+    'tooltip.fullEntry': 'See full entry',
+    'tooltip.related': 'Related:',
+
+    // Glossary page
+    'glossary.search': 'Search the glossary',
+    'glossary.searchPlaceholder': 'Search terms and definitions…',
+    'glossary.termCount.one': '1 term',
+    'glossary.termCount.other': '{count} terms',
+    'glossary.resultCount.one': '1 result',
+    'glossary.resultCount.other': '{count} results',
+    'glossary.quizMe': 'Quiz me on these terms',
+    'glossary.conceptMap': 'View as concept map',
+    'glossary.jumpToLetter': 'Jump to letter',
+    'glossary.jumpTo': 'Jump to {letter}',
+    'glossary.also': 'Also: {aliases}',
+    'glossary.wikipedia': 'Read more on Wikipedia',
+    'glossary.appearsIn': 'Appears in:',
+    'glossary.related': 'Related:'
+};
+
+export { messages }
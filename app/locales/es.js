@@ -0,0 +1,280 @@
+/**
+ * Film Home School - Spanish Messages
+ * Missing keys fall back to English (app/locales/en.js)
+ */
+
+const messages = {
+    // Page shell (index.html)
+    'site.tagline': 'Tu formación cinematográfica empieza aquí',
+    'shell.skipToContent': 'Saltar al contenido principal',
+    'shell.displaySettings': 'Ajustes de visualización',
+    'shell.language': 'Idioma',
+    'shell.flashcards': 'Tarjetas',
+    'shell.signIn': 'Iniciar sesión',
+    'shell.signOut': 'Cerrar sesión',
+    'shell.offline': 'Sin conexión. Se muestran las lecciones y el glosario guardados.',
+    'shell.courseContents': 'Contenido del curso',
+    'shell.reference': 'Referencia',
+    'shell.glossary': 'Glosario',
+    'shell.conceptMap': 'Mapa conceptual',
+    'shell.editGlossary': 'Editar glosario',
+    'shell.notes': 'Mis notas',
+    'shell.search': 'Buscar',
+    'shell.loadingLesson': 'Cargando lección…',
+
+    // Sign-in dialog
+    'auth.title': 'Iniciar sesión',
+    'auth.intro': 'Sincroniza tu progreso entre dispositivos.',
+    'auth.email': 'Correo electrónico',
+    'auth.password': 'Contraseña',
+    'auth.optional': '(opcional)',
+    'auth.magicLink': 'Envíame un enlace de acceso',
+    'auth.withPassword': 'Entrar con contraseña',
+    'auth.cancel': 'Cancelar',
+    'auth.passwordMissing': 'Escribe tu contraseña o usa un enlace mágico.',
+    'auth.signingIn': 'Iniciando sesión…',
+    'auth.sending': 'Enviando el enlace…',
+    'auth.checkEmail': 'Busca en {email} un enlace para iniciar sesión.',
+    'auth.failed': 'No se pudo iniciar sesión. Inténtalo de nuevo.',
+
+    // Views
+    'view.quiz': 'Cuestionario',
+    'view.glossaryQuiz': 'Cuestionario del glosario',
+    'view.flashcards': 'Tarjetas',
+    'view.editGlossary': 'Editar glosario',
+    'view.conceptMap': 'Mapa conceptual',
+    'view.glossary': 'Glosario',
+    'view.notFound': 'Página no encontrada',
+    'view.notFoundMessage': 'No hay ninguna página en "{path}".',
+    'view.firstLesson': 'Ir a la primera lección',
+    'view.noLessons': 'Todavía no hay lecciones',
+    'view.noLessonsMessage': 'No se pudieron cargar las lecciones. Inténtalo de nuevo más tarde.',
+
+    // Lessons
+    'lesson.untranslated': 'Esta lección todavía no está traducida, así que se muestra en inglés.',
+    'lesson.quizLabel': 'Cuestionario de la lección',
+    'lesson.quizTitle': 'Ponte a prueba',
+    'lesson.quizDescription': 'Comprueba lo que sabes de los {count} términos del glosario de esta lección.',
+
+    // Lesson video
+    'video.unsupported': 'Tu navegador no puede reproducir este vídeo.',
+    'video.annotations': 'En este fragmento',
+    'video.seek': 'Ir a {time}',
+
+    // Highlights and notes
+    'notes.title': 'Mis notas',
+    'notes.close': 'Cerrar notas',
+    'notes.export': 'Exportar como Markdown',
+    'notes.exportTitle': 'Mis notas de film(home)school',
+    'notes.empty': 'Selecciona texto en una lección para resaltarlo o añadir una nota.',
+    'notes.orphaned': 'Este pasaje ya no está en la lección.',
+    'notes.placeholder': 'Añade una nota…',
+    'notes.noteLabel': 'Nota',
+    'notes.show': 'Mostrar en la lección',
+    'notes.delete': 'Eliminar',
+    'notes.toolbar': 'Texto seleccionado',
+    'notes.highlight': 'Resaltar',
+    'notes.addNote': 'Añadir nota',
+
+    // Search
+    'search.label': 'Buscar en las lecciones y el glosario',
+    'search.placeholder': 'Buscar en las lecciones y el glosario…',
+    'search.results': 'Resultados',
+    'search.hint': 'Escribe para buscar. Usa las flechas para moverte e Intro para abrir.',
+    'search.loading': 'Cargando el índice de búsqueda…',
+    'search.noResults': 'No hay resultados para «{query}»',
+    'search.resultCount.one': '{count} resultado',
+    'search.resultCount.other': '{count} resultados',
+    'search.lesson': 'Lección',
+    'search.term': 'Glosario',
+
+    // Display settings
+    'settings.title': 'Visualización',
+    'settings.theme': 'Tema',
+    'settings.theme.system': 'Sistema',
+    'settings.theme.light': 'Claro',
+    'settings.theme.dark': 'Oscuro',
+    'settings.theme.high-contrast': 'Alto contraste',
+    'settings.reading': 'Modo lectura',
+    'settings.readingHint': 'El modo lectura oculta la barra lateral y ajusta el texto de la lección a tu tamaño y ancho.',
+    'settings.fontSize': 'Tamaño de letra',
+    'settings.lineHeight': 'Interlineado',
+    'settings.width': 'Ancho',
+    'settings.widthValue': '{count} caracteres',
+    'settings.reset': 'Restablecer',
+
+    // Load errors
+    'errors.glossary': 'No se pudo cargar el glosario, así que los términos de las lecciones no tienen definiciones.',
+    'errors.lessons': 'No se pudieron cargar las lecciones.',
+    'errors.content': 'No se pudieron cargar las lecciones ni el glosario.',
+    'errors.retry': 'Reintentar',
+    'errors.retrying': 'Reintentando…',
+    'errors.dismiss': 'Cerrar',
+
+    // Lesson progress
+    'progress.markComplete': 'Marcar como completada',
+    'progress.complete': 'Lección completada',
+    'progress.completed': '(completada)',
+    'progress.continue': 'Continúa donde lo dejaste',
+
+    // Quizzes
+    'quiz.lastScore': 'Última puntuación: {score} de {total}',
+    'quiz.start': 'Empezar el cuestionario',
+    'quiz.progress': 'Pregunta {number} de {total}',
+    'quiz.next': 'Siguiente pregunta',
+    'quiz.seeResults': 'Ver resultados',
+    'quiz.correct': '¡Correcto!',
+    'quiz.incorrect': 'No exactamente. La respuesta es «{answer}».',
+    'quiz.score': 'Has acertado {score} de {total}',
+    'quiz.review': 'Términos para repasar:',
+    'quiz.perfect': 'Puntuación perfecta. ¡Muy bien!',
+    'quiz.retryMissed': 'Repetir las preguntas falladas',
+    'quiz.startOver': 'Empezar de nuevo',
+    'quiz.empty': 'Todavía no hay términos del glosario para el cuestionario.',
+    'quiz.yourAnswer': 'Tu respuesta',
+    'quiz.check': 'Comprobar',
+    'quiz.fillInPrompt': 'Escribe el término que corresponde a esta definición.',
+    'quiz.definitionPrompt': '¿Qué definición corresponde a «{term}»?',
+    'quiz.termPrompt': '¿Qué término corresponde a esta definición?',
+
+    // Flashcards
+    'flashcards.cardsLeft.one': 'Queda {count} tarjeta',
+    'flashcards.cardsLeft.other': 'Quedan {count} tarjetas',
+    'flashcards.fullEntry': 'Ver la entrada completa',
+    'flashcards.showAnswer': 'Mostrar la respuesta',
+    'flashcards.gradePrompt': '¿Qué tal lo recordabas?',
+    'flashcards.grade.again': 'Otra vez',
+    'flashcards.grade.hard': 'Difícil',
+    'flashcards.grade.good': 'Bien',
+    'flashcards.grade.easy': 'Fácil',
+    'flashcards.empty': 'Tu mazo está vacío. Elige «Estudiar esto» en cualquier definición del glosario para añadir un término.',
+    'flashcards.reviewed.one': '¡Todo al día! Has repasado {count} tarjeta.',
+    'flashcards.reviewed.other': '¡Todo al día! Has repasado {count} tarjetas.',
+    'flashcards.noneDue': 'Ahora mismo no hay tarjetas pendientes.',
+    'flashcards.nextReview': 'Próximo repaso: {when}.',
+    'flashcards.now': 'ahora',
+    'flashcards.in': 'dentro de {interval}',
+    'flashcards.minutes': '{count} min',
+    'flashcards.hours': '{count} h',
+    'flashcards.days.one': '{count} día',
+    'flashcards.days.other': '{count} días',
+    'flashcards.months.one': '{count} mes',
+    'flashcards.months.other': '{count} meses',
+    'flashcards.years.one': '{count} año',
+    'flashcards.years.other': '{count} años',
+    'flashcards.browse': 'Explorar el glosario',
+    'flashcards.study': 'Estudiar esto',
+    'flashcards.inDeck': 'En tus tarjetas',
+    'flashcards.due.one': '({count} pendiente)',
+    'flashcards.due.other': '({count} pendientes)',
+
+    // Concept map
+    'conceptMap.intro': 'Mira cómo se relacionan los términos del glosario. Selecciona un término para abrir su entrada, arrastra los términos para reorganizarlos y arrastra el fondo para desplazarte.',
+    'conceptMap.showMentions': 'Mostrar los términos mencionados en las definiciones',
+    'conceptMap.zoom': 'Zoom',
+    'conceptMap.zoomIn': 'Acercar',
+    'conceptMap.zoomOut': 'Alejar',
+    'conceptMap.reset': 'Restablecer la vista',
+    'conceptMap.legend': 'Leyenda',
+    'conceptMap.related': 'Términos relacionados',
+    'conceptMap.mention': 'Mencionado en una definición',
+    'conceptMap.empty': 'Todavía no hay conexiones entre términos. Los profesores pueden añadir términos relacionados en el editor del glosario.',
+    'conceptMap.list': 'Lista de conexiones',
+    'conceptMap.label': 'Mapa conceptual de los términos del glosario',
+    'conceptMap.node.one': '{term}, {count} conexión',
+    'conceptMap.node.other': '{term}, {count} conexiones',
+    'conceptMap.relatedTo': 'relacionado con {terms}',
+    'conceptMap.mentionedWith': 'vinculado por su definición con {terms}',
+    'conceptMap.truncated': 'Se muestran los {shown} términos con más conexiones de un total de {total}. La lista de conexiones de abajo los incluye todos.',
+
+    // Glossary editor
+    'admin.instructorsOnly': 'Solo los profesores pueden editar el glosario. Inicia sesión con una cuenta de profesor para continuar.',
+    'admin.exportCSV': 'Exportar CSV',
+    'admin.exportJSON': 'Exportar JSON',
+    'admin.addTitle': 'Añadir un término',
+    'admin.editTitle': 'Editar «{term}»',
+    'admin.term': 'Término',
+    'admin.definition': 'Definición',
+    'admin.wikipedia': 'Enlace de Wikipedia (opcional)',
+    'admin.aliases': 'Alias (opcional, separados por | o ;)',
+    'admin.aliasesPlaceholder': 'p. ej., travelling | plano con dolly',
+    'admin.relatedTerms': 'Términos relacionados (opcional, separados por | o ;)',
+    'admin.relatedTermsPlaceholder': 'p. ej., luz de relleno | iluminación en clave alta',
+    'admin.add': 'Añadir término',
+    'admin.save': 'Guardar cambios',
+    'admin.cancel': 'Cancelar',
+    'admin.preview': 'Vista previa',
+    'admin.sample': 'Texto de lección de ejemplo',
+    'admin.sampleText': 'Un travelling sigue al sujeto por el encuadre, mientras que un primer plano aísla un detalle.',
+    'admin.previewLabel': 'Vista previa del resaltado',
+    'admin.noDefinition': '(Todavía sin definición)',
+    'admin.draftMatches.one': '«{term}» aparece resaltado {count} vez en este texto.',
+    'admin.draftMatches.other': '«{term}» aparece resaltado {count} veces en este texto.',
+    'admin.matches.one': '{count} término del glosario resaltado.',
+    'admin.matches.other': '{count} términos del glosario resaltados.',
+    'admin.import': 'Importación masiva',
+    'admin.importHint': 'Elige un archivo CSV (term, definition, wikipedia_url, aliases, related_terms) o una exportación JSON. Los términos existentes se actualizan.',
+    'admin.importFile': 'Archivo para importar',
+    'admin.terms': 'Términos',
+    'admin.termCount': 'Términos ({count})',
+    'admin.filter': 'Filtrar términos',
+    'admin.filterPlaceholder': 'Filtrar términos…',
+    'admin.aliasesColumn': 'Alias',
+    'admin.actions': 'Acciones',
+    'admin.edit': 'Editar',
+    'admin.editLabel': 'Editar {term}',
+    'admin.delete': 'Eliminar',
+    'admin.deleteLabel': 'Eliminar {term}',
+    'admin.termConflict': '«{form}» ya está en el glosario:',
+    'admin.aliasConflict': '«{form}» también lo usa',
+    'admin.duplicate': '«{term}» ya está en el glosario. Edita esa entrada.',
+    'admin.saving': 'Guardando…',
+    'admin.added': 'Se añadió «{term}».',
+    'admin.saved': 'Se guardó «{term}».',
+    'admin.saveFailed': 'No se pudo guardar. Inténtalo de nuevo.',
+    'admin.confirmDelete': '¿Eliminar «{term}» del glosario?',
+    'admin.deleted': 'Se eliminó «{term}».',
+    'admin.deleteFailed': 'No se pudo eliminar. Inténtalo de nuevo.',
+    'admin.importSummary': '{file}: se pueden importar {loaded} de {rows} filas ({added} nuevas, {updated} actualizadas).',
+    'admin.importButton.one': 'Importar {count} término',
+    'admin.importButton.other': 'Importar {count} términos',
+    'admin.importing': 'Importando…',
+    'admin.imported.one': 'Se importó {count} término de {file}.',
+    'admin.imported.other': 'Se importaron {count} términos de {file}.',
+    'admin.importFailed': 'No se pudo importar. Inténtalo de nuevo.',
+    'admin.permissionDenied': 'No se pudo {action}. Puede que tu cuenta no tenga acceso de profesor.',
+    'admin.action.save': 'guardar el término',
+    'admin.action.add': 'añadir el término',
+    'admin.action.delete': 'eliminar el término',
+    'admin.action.import': 'importar los términos',
+    'admin.rowProblem': 'Fila {line}: {problem}',
+    'admin.missingColumn': 'Falta la columna: {column}',
+    'admin.repeatedRow': '«{term}» repite la fila {line} y se ha omitido',
+    'admin.errors.term': 'Escribe un término.',
+    'admin.errors.definition': 'Escribe una definición.',
+    'admin.errors.wikipedia': 'El enlace de Wikipedia debe ser una URL http(s) completa.',
+
+    // Glossary tooltip
+    'tooltip.wikipedia': 'Más información en Wikipedia',
+    'tooltip.newTab': '(se abre en una pestaña nueva)',
+    'tooltip.fullEntry': 'Ver la entrada completa',
+    'tooltip.related': 'Relacionados:',
+
+    // Glossary page
+    'glossary.search': 'Buscar en el glosario',
+    'glossary.searchPlaceholder': 'Buscar términos y definiciones…',
+    'glossary.termCount.one': '1 término',
+    'glossary.termCount.other': '{count} términos',
+    'glossary.resultCount.one': '1 resultado',
+    'glossary.resultCount.other': '{count} resultados',
+    'glossary.quizMe': 'Ponme a prueba con estos términos',
+    'glossary.conceptMap': 'Ver como mapa conceptual',
+    'glossary.jumpToLetter': 'Ir a la letra',
+    'glossary.jumpTo': 'Ir a la {letter}',
+    'glossary.also': 'También: {aliases}',
+    'glossary.wikipedia': 'Más información en Wikipedia',
+    'glossary.appearsIn': 'Aparece en:',
+    'glossary.related': 'Relacionados:'
+};
+
+export { messages }
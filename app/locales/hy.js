@@ -0,0 +1,280 @@
+/**
+ * Film Home School - Armenian Messages
+ * Missing keys fall back to English (app/locales/en.js)
+ */
+
+const messages = {
+    // Page shell (index.html)
+    'site.tagline': 'Ձեր կինոկրթության ճանապարհը սկսվում է այստեղ',
+    'shell.skipToContent': 'Անցնել հիմնական բովանդակությանը',
+    'shell.displaySettings': 'Ցուցադրման կարգավորումներ',
+    'shell.language': 'Լեզու',
+    'shell.flashcards': 'Քարտեր',
+    'shell.signIn': 'Մուտք',
+    'shell.signOut': 'Ելք',
+    'shell.offline': 'Դուք անցանց եք։ Ցուցադրվում են պահված դասերն ու բառարանը։',
+    'shell.courseContents': 'Դասընթացի բովանդակություն',
+    'shell.reference': 'Տեղեկատու',
+    'shell.glossary': 'Բառարան',
+    'shell.conceptMap': 'Հասկացությունների քարտեզ',
+    'shell.editGlossary': 'Խմբագրել բառարանը',
+    'shell.notes': 'Իմ նշումները',
+    'shell.search': 'Որոնում',
+    'shell.loadingLesson': 'Դասը բեռնվում է…',
+
+    // Sign-in dialog
+    'auth.title': 'Մուտք',
+    'auth.intro': 'Համաժամեցրեք ձեր առաջընթացը բոլոր սարքերում։',
+    'auth.email': 'Էլ. փոստ',
+    'auth.password': 'Գաղտնաբառ',
+    'auth.optional': '(ըստ ցանկության)',
+    'auth.magicLink': 'Ուղարկել մուտքի հղում',
+    'auth.withPassword': 'Մուտք գաղտնաբառով',
+    'auth.cancel': 'Չեղարկել',
+    'auth.passwordMissing': 'Մուտքագրեք գաղտնաբառը կամ օգտվեք մուտքի հղումից։',
+    'auth.signingIn': 'Մուտք ենք գործում…',
+    'auth.sending': 'Ուղարկում ենք հղումը…',
+    'auth.checkEmail': 'Մուտքի հղումը փնտրեք {email} հասցեում։',
+    'auth.failed': 'Մուտքը չհաջողվեց։ Կրկին փորձեք։',
+
+    // Views
+    'view.quiz': 'Թեստ',
+    'view.glossaryQuiz': 'Բառարանի թեստ',
+    'view.flashcards': 'Քարտեր',
+    'view.editGlossary': 'Խմբագրել բառարանը',
+    'view.conceptMap': 'Հասկացությունների քարտեզ',
+    'view.glossary': 'Բառարան',
+    'view.notFound': 'Էջը չի գտնվել',
+    'view.notFoundMessage': '«{path}» հասցեում էջ չկա։',
+    'view.firstLesson': 'Անցնել առաջին դասին',
+    'view.noLessons': 'Դասեր դեռ չկան',
+    'view.noLessonsMessage': 'Չհաջողվեց բեռնել դասերը։ Փորձեք ավելի ուշ։',
+
+    // Lessons
+    'lesson.untranslated': 'Այս դասը դեռ թարգմանված չէ, ուստի ցուցադրվում է անգլերենով։',
+    'lesson.quizLabel': 'Դասի թեստ',
+    'lesson.quizTitle': 'Ստուգեք ինքներդ ձեզ',
+    'lesson.quizDescription': 'Ստուգեք՝ որքան լավ եք հասկանում այս դասի բառարանի {count} եզրույթները։',
+
+    // Lesson video
+    'video.unsupported': 'Ձեր դիտարկիչը չի կարող նվագարկել այս տեսանյութը։',
+    'video.annotations': 'Այս հատվածում',
+    'video.seek': 'Անցնել {time}',
+
+    // Highlights and notes
+    'notes.title': 'Իմ նշումները',
+    'notes.close': 'Փակել նշումները',
+    'notes.export': 'Արտահանել Markdown-ով',
+    'notes.exportTitle': 'Իմ նշումները film(home)school-ից',
+    'notes.empty': 'Ընտրեք տեքստ դասում՝ այն ընդգծելու կամ նշում ավելացնելու համար։',
+    'notes.orphaned': 'Այս հատվածն այլևս դասում չէ։',
+    'notes.placeholder': 'Ավելացրեք նշում…',
+    'notes.noteLabel': 'Նշում',
+    'notes.show': 'Ցույց տալ դասում',
+    'notes.delete': 'Ջնջել',
+    'notes.toolbar': 'Ընտրված տեքստ',
+    'notes.highlight': 'Ընդգծել',
+    'notes.addNote': 'Ավելացնել նշում',
+
+    // Search
+    'search.label': 'Որոնել դասերում և բառարանում',
+    'search.placeholder': 'Որոնել դասերում և բառարանում…',
+    'search.results': 'Արդյունքներ',
+    'search.hint': 'Մուտքագրեք՝ որոնելու համար։ Սլաքներով տեղաշարժվեք, Enter-ով բացեք։',
+    'search.loading': 'Որոնման ինդեքսը բեռնվում է…',
+    'search.noResults': '«{query}»-ի համար արդյունքներ չկան',
+    'search.resultCount.one': '{count} արդյունք',
+    'search.resultCount.other': '{count} արդյունք',
+    'search.lesson': 'Դաս',
+    'search.term': 'Բառարան',
+
+    // Display settings
+    'settings.title': 'Ցուցադրում',
+    'settings.theme': 'Թեմա',
+    'settings.theme.system': 'Համակարգային',
+    'settings.theme.light': 'Բաց',
+    'settings.theme.dark': 'Մուգ',
+    'settings.theme.high-contrast': 'Բարձր կոնտրաստ',
+    'settings.reading': 'Ընթերցման ռեժիմ',
+    'settings.readingHint': 'Ընթերցման ռեժիմը թաքցնում է կողագոտին և դասի տեքստը ցույց է տալիս ձեր ընտրած չափով և լայնությամբ։',
+    'settings.fontSize': 'Տառաչափ',
+    'settings.lineHeight': 'Տողամիջոց',
+    'settings.width': 'Լայնություն',
+    'settings.widthValue': '{count} նիշ',
+    'settings.reset': 'Վերակայել',
+
+    // Load errors
+    'errors.glossary': 'Բառարանը չհաջողվեց բեռնել, ուստի դասերի տերմինները սահմանումներ չունեն։',
+    'errors.lessons': 'Դասերը չհաջողվեց բեռնել։',
+    'errors.content': 'Դասերը և բառարանը չհաջողվեց բեռնել։',
+    'errors.retry': 'Կրկին փորձել',
+    'errors.retrying': 'Կրկին փորձում ենք…',
+    'errors.dismiss': 'Փակել',
+
+    // Lesson progress
+    'progress.markComplete': 'Նշել որպես ավարտված',
+    'progress.complete': 'Դասն ավարտված է',
+    'progress.completed': '(ավարտված)',
+    'progress.continue': 'Շարունակեք այնտեղից, որտեղ կանգ էիք առել',
+
+    // Quizzes
+    'quiz.lastScore': 'Վերջին արդյունքը՝ {score}՝ {total}-ից',
+    'quiz.start': 'Սկսել թեստը',
+    'quiz.progress': 'Հարց {number}՝ {total}-ից',
+    'quiz.next': 'Հաջորդ հարցը',
+    'quiz.seeResults': 'Տեսնել արդյունքները',
+    'quiz.correct': 'Ճիշտ է։',
+    'quiz.incorrect': 'Ոչ այնքան։ Ճիշտ պատասխանն է՝ «{answer}»։',
+    'quiz.score': 'Ձեր արդյունքը՝ {score}՝ {total}-ից',
+    'quiz.review': 'Կրկնելու եզրույթներ՝',
+    'quiz.perfect': 'Կատարյալ արդյունք։ Հիանալի է։',
+    'quiz.retryMissed': 'Կրկնել սխալ պատասխանված հարցերը',
+    'quiz.startOver': 'Սկսել նորից',
+    'quiz.empty': 'Թեստի համար բառարանում դեռ եզրույթներ չկան։',
+    'quiz.yourAnswer': 'Ձեր պատասխանը',
+    'quiz.check': 'Ստուգել',
+    'quiz.fillInPrompt': 'Գրեք այն եզրույթը, որին համապատասխանում է այս սահմանումը։',
+    'quiz.definitionPrompt': 'Ո՞ր սահմանումն է համապատասխանում «{term}» եզրույթին։',
+    'quiz.termPrompt': 'Ո՞ր եզրույթին է համապատասխանում այս սահմանումը։',
+
+    // Flashcards
+    'flashcards.cardsLeft.one': 'Մնաց {count} քարտ',
+    'flashcards.cardsLeft.other': 'Մնաց {count} քարտ',
+    'flashcards.fullEntry': 'Տեսնել ամբողջական հոդվածը',
+    'flashcards.showAnswer': 'Ցույց տալ պատասխանը',
+    'flashcards.gradePrompt': 'Որքա՞ն լավ էիք հիշում։',
+    'flashcards.grade.again': 'Կրկին',
+    'flashcards.grade.hard': 'Դժվար',
+    'flashcards.grade.good': 'Լավ',
+    'flashcards.grade.easy': 'Հեշտ',
+    'flashcards.empty': 'Ձեր քարտերը դատարկ են։ Եզրույթ ավելացնելու համար բառարանի ցանկացած հուշումում ընտրեք «Սովորել սա»։',
+    'flashcards.reviewed.one': 'Ամեն ինչ կրկնված է։ Դուք կրկնեցիք {count} քարտ։',
+    'flashcards.reviewed.other': 'Ամեն ինչ կրկնված է։ Դուք կրկնեցիք {count} քարտ։',
+    'flashcards.noneDue': 'Այս պահին կրկնելու քարտեր չկան։',
+    'flashcards.nextReview': 'Հաջորդ կրկնությունը՝ {when}։',
+    'flashcards.now': 'հիմա',
+    'flashcards.in': '{interval} հետո',
+    'flashcards.minutes': '{count} ր',
+    'flashcards.hours': '{count} ժ',
+    'flashcards.days.one': '{count} օր',
+    'flashcards.days.other': '{count} օր',
+    'flashcards.months.one': '{count} ամիս',
+    'flashcards.months.other': '{count} ամիս',
+    'flashcards.years.one': '{count} տարի',
+    'flashcards.years.other': '{count} տարի',
+    'flashcards.browse': 'Դիտել բառարանը',
+    'flashcards.study': 'Սովորել սա',
+    'flashcards.inDeck': 'Ձեր քարտերում է',
+    'flashcards.due.one': '({count} կրկնելու)',
+    'flashcards.due.other': '({count} կրկնելու)',
+
+    // Concept map
+    'conceptMap.intro': 'Տեսեք, թե ինչպես են կապված բառարանի եզրույթները։ Ընտրեք եզրույթը՝ հոդվածը բացելու համար, քաշեք եզրույթները՝ դրանք վերադասավորելու համար, և քաշեք ֆոնը՝ տեսքը տեղաշարժելու համար։',
+    'conceptMap.showMentions': 'Ցույց տալ սահմանումներում հիշատակված եզրույթները',
+    'conceptMap.zoom': 'Մասշտաբ',
+    'conceptMap.zoomIn': 'Մեծացնել',
+    'conceptMap.zoomOut': 'Փոքրացնել',
+    'conceptMap.reset': 'Վերակայել տեսքը',
+    'conceptMap.legend': 'Պայմանական նշաններ',
+    'conceptMap.related': 'Առնչվող եզրույթներ',
+    'conceptMap.mention': 'Հիշատակված է սահմանման մեջ',
+    'conceptMap.empty': 'Եզրույթների միջև դեռ կապեր չկան։ Դասավանդողները կարող են առնչվող եզրույթներ ավելացնել բառարանի խմբագրիչում։',
+    'conceptMap.list': 'Կապերի ցանկ',
+    'conceptMap.label': 'Բառարանի եզրույթների հասկացությունների քարտեզ',
+    'conceptMap.node.one': '{term}, {count} կապ',
+    'conceptMap.node.other': '{term}, {count} կապ',
+    'conceptMap.relatedTo': 'առնչվում է՝ {terms}',
+    'conceptMap.mentionedWith': 'սահմանմամբ կապված է՝ {terms}',
+    'conceptMap.truncated': 'Ցուցադրված են {total} եզրույթներից ամենաշատ կապեր ունեցող {shown}-ը։ Ներքևի կապերի ցանկում բոլորն են։',
+
+    // Glossary editor
+    'admin.instructorsOnly': 'Բառարանը կարող են խմբագրել միայն դասավանդողները։ Շարունակելու համար մուտք գործեք դասավանդողի հաշվով։',
+    'admin.exportCSV': 'Արտահանել CSV',
+    'admin.exportJSON': 'Արտահանել JSON',
+    'admin.addTitle': 'Ավելացնել եզրույթ',
+    'admin.editTitle': 'Խմբագրել «{term}»',
+    'admin.term': 'Եզրույթ',
+    'admin.definition': 'Սահմանում',
+    'admin.wikipedia': 'Վիքիպեդիայի հղում (ըստ ցանկության)',
+    'admin.aliases': 'Հոմանիշներ (ըստ ցանկության, բաժանված | կամ ; նշանով)',
+    'admin.aliasesPlaceholder': 'օր.՝ traveling shot | dolly shot',
+    'admin.relatedTerms': 'Առնչվող եզրույթներ (ըստ ցանկության, բաժանված | կամ ; նշանով)',
+    'admin.relatedTermsPlaceholder': 'օր.՝ fill light | high-key lighting',
+    'admin.add': 'Ավելացնել եզրույթը',
+    'admin.save': 'Պահպանել փոփոխությունները',
+    'admin.cancel': 'Չեղարկել',
+    'admin.preview': 'Նախադիտում',
+    'admin.sample': 'Դասի նմուշային տեքստ',
+    'admin.sampleText': 'Հետևող կադրը ուղեկցում է սուբյեկտին կադրի միջով, իսկ խոշոր պլանը առանձնացնում է մանրուքը։',
+    'admin.previewLabel': 'Ընդգծման նախադիտում',
+    'admin.noDefinition': '(Սահմանում դեռ չկա)',
+    'admin.draftMatches.one': '«{term}» եզրույթն այս տեքստում ընդգծված է {count} անգամ։',
+    'admin.draftMatches.other': '«{term}» եզրույթն այս տեքստում ընդգծված է {count} անգամ։',
+    'admin.matches.one': 'Ընդգծված է բառարանի {count} եզրույթ։',
+    'admin.matches.other': 'Ընդգծված է բառարանի {count} եզրույթ։',
+    'admin.import': 'Զանգվածային ներմուծում',
+    'admin.importHint': 'Ընտրեք CSV ֆայլ (term, definition, wikipedia_url, aliases, related_terms) կամ JSON արտահանում։ Առկա եզրույթները կթարմացվեն։',
+    'admin.importFile': 'Ներմուծման ֆայլ',
+    'admin.terms': 'Եզրույթներ',
+    'admin.termCount': 'Եզրույթներ ({count})',
+    'admin.filter': 'Զտել եզրույթները',
+    'admin.filterPlaceholder': 'Զտել եզրույթները…',
+    'admin.aliasesColumn': 'Հոմանիշներ',
+    'admin.actions': 'Գործողություններ',
+    'admin.edit': 'Խմբագրել',
+    'admin.editLabel': 'Խմբագրել {term}',
+    'admin.delete': 'Ջնջել',
+    'admin.deleteLabel': 'Ջնջել {term}',
+    'admin.termConflict': '«{form}» արդեն բառարանում է՝',
+    'admin.aliasConflict': '«{form}» օգտագործվում է նաև՝',
+    'admin.duplicate': '«{term}» արդեն բառարանում է։ Փոխարենը խմբագրեք այդ հոդվածը։',
+    'admin.saving': 'Պահպանում ենք…',
+    'admin.added': '«{term}» ավելացվեց։',
+    'admin.saved': '«{term}» պահպանվեց։',
+    'admin.saveFailed': 'Պահպանումը չհաջողվեց։ Կրկին փորձեք։',
+    'admin.confirmDelete': 'Ջնջե՞լ «{term}» եզրույթը բառարանից։',
+    'admin.deleted': '«{term}» ջնջվեց։',
+    'admin.deleteFailed': 'Ջնջումը չհաջողվեց։ Կրկին փորձեք։',
+    'admin.importSummary': '{file}՝ {rows} տողից հնարավոր է ներմուծել {loaded}-ը ({added} նոր, {updated} թարմացված)։',
+    'admin.importButton.one': 'Ներմուծել {count} եզրույթ',
+    'admin.importButton.other': 'Ներմուծել {count} եզրույթ',
+    'admin.importing': 'Ներմուծում ենք…',
+    'admin.imported.one': '{file} ֆայլից ներմուծվեց {count} եզրույթ։',
+    'admin.imported.other': '{file} ֆայլից ներմուծվեց {count} եզրույթ։',
+    'admin.importFailed': 'Ներմուծումը չհաջողվեց։ Կրկին փորձեք։',
+    'admin.permissionDenied': 'Չհաջողվեց {action}։ Հնարավոր է՝ ձեր հաշիվը դասավանդողի հասանելիություն չունի։',
+    'admin.action.save': 'պահպանել եզրույթը',
+    'admin.action.add': 'ավելացնել եզրույթը',
+    'admin.action.delete': 'ջնջել եզրույթը',
+    'admin.action.import': 'ներմուծել եզրույթները',
+    'admin.rowProblem': 'Տող {line}՝ {problem}',
+    'admin.missingColumn': 'Բացակայում է սյունակը՝ {column}',
+    'admin.repeatedRow': '«{term}» կրկնում է {line} տողը և բաց է թողնվել',
+    'admin.errors.term': 'Մուտքագրեք եզրույթը։',
+    'admin.errors.definition': 'Մուտքագրեք սահմանումը։',
+    'admin.errors.wikipedia': 'Վիքիպեդիայի հղումը պետք է լինի ամբողջական http(s) URL։',
+
+    // Glossary tooltip
+    'tooltip.wikipedia': 'Կարդալ ավելին Վիքիպեդիայում',
+    'tooltip.newTab': '(բացվում է նոր ներդիրում)',
+    'tooltip.fullEntry': 'Տեսնել ամբողջական հոդվածը',
+    'tooltip.related': 'Առնչվող՝',
+
+    // Glossary page
+    'glossary.search': 'Որոնել բառարանում',
+    'glossary.searchPlaceholder': 'Որոնել եզրույթներ և սահմանումներ…',
+    'glossary.termCount.one': '1 եզրույթ',
+    'glossary.termCount.other': '{count} եզրույթ',
+    'glossary.resultCount.one': '1 արդյունք',
+    'glossary.resultCount.other': '{count} արդյունք',
+    'glossary.quizMe': 'Թեստ այս եզրույթներով',
+    'glossary.conceptMap': 'Դիտել որպես հասկացությունների քարտեզ',
+    'glossary.jumpToLetter': 'Անցնել տառին',
+    'glossary.jumpTo': 'Անցնել {letter} տառին',
+    'glossary.also': 'Նաև՝ {aliases}',
+    'glossary.wikipedia': 'Կարդալ ավելին Վիքիպեդիայում',
+    'glossary.appearsIn': 'Հանդիպում է՝',
+    'glossary.related': 'Առնչվող՝'
+};
+
+export { messages }
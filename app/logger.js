@@ -0,0 +1,165 @@
+/**
+ * Film Home School - Logging
+ * Leveled, scoped logging to the console, and error reports sent to pluggable sinks.
+ * Development builds log everything; production builds are silent unless VITE_LOG_LEVEL says
+ * otherwise. Errors go to the report sinks whatever the console level is.
+ */
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 50
+};
+
+const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'info',
+    warn: 'warn',
+    error: 'error'
+};
+
+// Most reports one page load may send to an endpoint, so a render loop can't flood it
+const MAX_HTTP_REPORTS = 20;
+
+const env = import.meta.env || {};
+let threshold = LEVELS[env.VITE_LOG_LEVEL] || (env.DEV ? LEVELS.debug : LEVELS.silent);
+const sinks = new Set();
+
+/**
+ * Create a logger for one part of the app; messages are prefixed with its scope
+ * @param {string} scope - Short name, e.g. 'glossary'
+ * @returns {object} - { debug, info, warn, error, isEnabled }
+ *   error(message, error, context) also reports to the sinks (context is extra, non-personal detail)
+ */
+function createLogger(scope) {
+    function write(level, args) {
+        if (LEVELS[level] >= threshold) {
+            console[CONSOLE_METHODS[level]](`[${scope}]`, ...args);
+        }
+    }
+
+    return {
+        debug: (...args) => write('debug', args),
+        info: (...args) => write('info', args),
+        warn: (...args) => write('warn', args),
+        error: (message, error, context) => {
+            write('error', error === undefined ? [message] : [message, error]);
+            report({ level: 'error', scope, message, error: serializeError(error), context });
+        },
+        isEnabled: level => LEVELS[level] >= threshold
+    };
+}
+
+/**
+ * Change how much is logged to the console
+ * @param {string} level - 'debug', 'info', 'warn', 'error' or 'silent'
+ */
+function setLogLevel(level) {
+    if (level in LEVELS) {
+        threshold = LEVELS[level];
+    }
+}
+
+/**
+ * Add a sink for error reports
+ * @param {Function} sink - Called with each report ({ level, scope, message, error, context, url, time })
+ * @returns {Function} - Remove the sink
+ */
+function addReportSink(sink) {
+    sinks.add(sink);
+    return () => sinks.delete(sink);
+}
+
+/**
+ * A sink that POSTs reports as JSON, with sendBeacon when available so reports survive page unloads
+ * @param {string} endpoint - URL to POST to
+ * @param {object} [options] - { maxReports, fetch }: a cap per page load, and a fetch to use instead of the global one
+ * @returns {Function} - Sink for addReportSink()
+ */
+function createHttpSink(endpoint, options = {}) {
+    const maxReports = options.maxReports || MAX_HTTP_REPORTS;
+    const send = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    let sent = 0;
+
+    return reportData => {
+        if (sent >= maxReports) {
+            return;
+        }
+        sent++;
+
+        const body = JSON.stringify(reportData);
+        if (!options.fetch && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+            if (navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+        }
+        if (send) {
+            // A failed report is dropped; logging it could start a loop
+            send(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {});
+        }
+    };
+}
+
+/**
+ * Send uncaught errors and unhandled promise rejections to the sinks, and POST reports to
+ * VITE_ERROR_ENDPOINT when it is set
+ * @param {string} [endpoint] - Endpoint to use instead of VITE_ERROR_ENDPOINT
+ */
+function setupErrorReporting(endpoint = env.VITE_ERROR_ENDPOINT) {
+    if (endpoint) {
+        addReportSink(createHttpSink(endpoint));
+    }
+
+    const log = createLogger('app');
+    window.addEventListener('error', event => {
+        log.error('Uncaught error', event.error || event.message);
+    });
+    window.addEventListener('unhandledrejection', event => {
+        log.error('Unhandled promise rejection', event.reason);
+    });
+}
+
+function report(reportData) {
+    if (sinks.size === 0) {
+        return;
+    }
+
+    const full = {
+        ...reportData,
+        url: typeof location !== 'undefined' ? location.origin + location.pathname + location.hash : null,
+        time: new Date().toISOString()
+    };
+    sinks.forEach(sink => {
+        try {
+            sink(full);
+        } catch (error) {
+            // A broken sink mustn't break the app
+        }
+    });
+}
+
+/**
+ * Plain data for an error, without whatever payload it may carry
+ */
+function serializeError(error) {
+    if (error === undefined || error === null) {
+        return null;
+    }
+    if (error instanceof Error) {
+        return { name: error.name, message: error.message, stack: error.stack || null };
+    }
+    // Supabase errors are plain objects with a message and a code
+    if (typeof error === 'object') {
+        return { name: error.name || 'Error', message: String(error.message || ''), code: error.code || null };
+    }
+    return { name: 'Error', message: String(error) };
+}
+
+export { LEVELS, createLogger, setLogLevel, addReportSink, createHttpSink, setupErrorReporting }
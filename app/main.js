@@ -0,0 +1,19 @@
+/**
+ * Film Home School - Entry Point
+ * Starts the app when the page loads; app.js only exports functions, so importing it has no side effects
+ */
+
+import { init } from './app.js'
+import { registerServiceWorker } from './pwa.js'
+import { setupErrorReporting } from './logger.js'
+
+// Report uncaught errors (and POST them to VITE_ERROR_ENDPOINT when set)
+setupErrorReporting();
+
+// Precache the app shell so the site opens offline
+registerServiceWorker();
+
+// Application initialization
+document.addEventListener('DOMContentLoaded', () => {
+    init();
+});
@@ -0,0 +1,147 @@
+/**
+ * Film Home School - Offline Store
+ * Small IndexedDB key-value cache for data fetched from Supabase (glossary, lessons),
+ * with a stale-while-revalidate helper so the app works offline
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('offline');
+
+const DB_NAME = 'film-home-school';
+const DB_VERSION = 1;
+const STORE_NAME = 'cache';
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the database
+ * @returns {Promise<IDBDatabase|null>} - The database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            // Private browsing modes can refuse IndexedDB; the app still works online
+            log.warn('IndexedDB unavailable:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key (e.g., 'glossary')
+ * @returns {Promise<object|null>} - { key, value, updatedAt } or null
+ */
+async function readCache(key) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+/**
+ * Write a value to the cache
+ * Values go through structured clone, so Maps and arrays of plain objects are fine
+ * @param {string} key - Cache key
+ * @param {*} value - Value to store
+ * @returns {Promise<boolean>} - Whether the write succeeded
+ */
+async function writeCache(key, value) {
+    const db = await openDatabase();
+    if (!db) return false;
+
+    return new Promise(resolve => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put({ key, value, updatedAt: Date.now() });
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => resolve(false);
+    });
+}
+
+/**
+ * Return cached data right away (if any) and refresh it from the network in the background
+ * Without cached data, waits for the network, and uses options.fallback() when that fails.
+ * Only network results are cached, and never empty ones, so neither a failed request nor
+ * the fallback can overwrite good data.
+ * @param {string} key - Cache key
+ * @param {Function} fetchFresh - Async function returning fresh data
+ * @param {object} [options]
+ *   - isEmpty(value): true when fresh data shouldn't be cached (nor used over the fallback)
+ *   - fallback(): async function returning data when nothing is cached and the network fails
+ *   - onUpdate(value): called when the background refresh finds data that differs from the cache
+ * @returns {Promise<*>} - Cached, fresh or fallback data
+ */
+async function staleWhileRevalidate(key, fetchFresh, options = {}) {
+    const { isEmpty = () => false, fallback = null, onUpdate = null } = options;
+    const cached = await readCache(key);
+
+    const refresh = fetchFresh().then(async value => {
+        if (!isEmpty(value)) {
+            await writeCache(key, value);
+        }
+        return value;
+    });
+
+    if (cached) {
+        refresh
+            .then(value => {
+                if (onUpdate && !isEmpty(value) && !isSameData(value, cached.value)) {
+                    onUpdate(value);
+                }
+            })
+            .catch(error => log.warn(`Background refresh of "${key}" failed:`, error));
+        log.debug(`Using cached ${key} from ${new Date(cached.updatedAt).toLocaleString()}`);
+        return cached.value;
+    }
+
+    if (!fallback) {
+        return refresh;
+    }
+
+    try {
+        const value = await refresh;
+        if (!isEmpty(value)) {
+            return value;
+        }
+        log.warn(`No ${key} from the network, using the fallback`);
+    } catch (error) {
+        log.warn(`${key} could not be fetched, using the fallback:`, error);
+    }
+    return fallback();
+}
+
+/**
+ * Compare data by content, with Maps compared by their entries
+ */
+function isSameData(a, b) {
+    const serialize = value => JSON.stringify(value, (name, item) => (item instanceof Map ? Array.from(item) : item));
+    return serialize(a) === serialize(b);
+}
+
+export { readCache, writeCache, staleWhileRevalidate }
@@ -0,0 +1,201 @@
+/**
+ * Film Home School - Placement
+ * Positions a floating element (the glossary tooltip) next to a reference element:
+ * preferred side with fallbacks, shifting to stay inside the viewport, an arrow that
+ * points at the reference, and tracking while the page or a container scrolls
+ */
+
+const DEFAULT_OPTIONS = {
+    side: 'top',
+    fallbacks: ['bottom', 'right', 'left'],
+    offset: 12, // Gap between the reference and the floating element (room for the arrow)
+    padding: 10, // Minimum distance from the viewport edges
+    arrowPadding: 16 // Keep the arrow away from the rounded corners
+};
+
+/**
+ * Work out where a floating element should go
+ * Pure geometry in viewport coordinates, so it can run without layout
+ * @param {Array<object>} rects - Client rects of the reference, one per line ({ top, right, bottom, left })
+ * @param {object} size - { width, height } of the floating element
+ * @param {object} boundary - { top, right, bottom, left } area to stay inside
+ * @param {object} [options] - { side, fallbacks, offset, padding, arrowPadding, line, point }
+ *   line pins the rect to use for a wrapped reference; point ({ x, y }) picks the line under the pointer
+ * @returns {object|null} - { x, y, side, line, arrow }, or null when the reference has no rects
+ */
+function computePlacement(rects, size, boundary, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    if (rects.length === 0) {
+        return null;
+    }
+
+    const sides = [settings.side, ...settings.fallbacks.filter(side => side !== settings.side)];
+
+    // First side where the element fits, otherwise the side with the most room
+    let best = null;
+    for (const side of sides) {
+        const line = pickLine(rects, side, settings);
+        const space = getSpace(rects[line], side, boundary, settings);
+        const needed = side === 'top' || side === 'bottom' ? size.height : size.width;
+
+        if (space >= needed) {
+            best = { side, line, space };
+            break;
+        }
+        if (!best || space > best.space) {
+            best = { side, line, space };
+        }
+    }
+
+    const rect = rects[best.line];
+    const { side } = best;
+    let x;
+    let y;
+
+    if (side === 'top' || side === 'bottom') {
+        x = (rect.left + rect.right) / 2 - size.width / 2;
+        y = side === 'top' ? rect.top - settings.offset - size.height : rect.bottom + settings.offset;
+    } else {
+        x = side === 'left' ? rect.left - settings.offset - size.width : rect.right + settings.offset;
+        y = (rect.top + rect.bottom) / 2 - size.height / 2;
+    }
+
+    // Shift along the edge to stay inside the boundary (both axes, so nothing is cut off)
+    x = clamp(x, boundary.left + settings.padding, boundary.right - settings.padding - size.width);
+    y = clamp(y, boundary.top + settings.padding, boundary.bottom - settings.padding - size.height);
+
+    // The arrow points at the middle of the reference line, as far as the shift allows
+    const arrow = side === 'top' || side === 'bottom'
+        ? clamp((rect.left + rect.right) / 2 - x, settings.arrowPadding, size.width - settings.arrowPadding)
+        : clamp((rect.top + rect.bottom) / 2 - y, settings.arrowPadding, size.height - settings.arrowPadding);
+
+    return { x, y, side, line: best.line, arrow };
+}
+
+/**
+ * Which line of a wrapped reference to place against
+ */
+function pickLine(rects, side, settings) {
+    if (Number.isInteger(settings.line) && settings.line < rects.length) {
+        return settings.line;
+    }
+
+    if (settings.point) {
+        const { x, y } = settings.point;
+        const index = rects.findIndex(rect => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom);
+        if (index !== -1) {
+            return index;
+        }
+    }
+
+    // Above or before the first line, below or after the last
+    return side === 'top' || side === 'left' ? 0 : rects.length - 1;
+}
+
+/**
+ * Room between a reference line and the boundary on one side
+ */
+function getSpace(rect, side, boundary, settings) {
+    const gap = settings.offset + settings.padding;
+    switch (side) {
+        case 'top': return rect.top - boundary.top - gap;
+        case 'bottom': return boundary.bottom - rect.bottom - gap;
+        case 'left': return rect.left - boundary.left - gap;
+        default: return boundary.right - rect.right - gap;
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, Math.max(min, max)));
+}
+
+/**
+ * Measure and position a floating element next to a reference element
+ * The floating element must be absolutely positioned relative to the document
+ * @param {HTMLElement} floating - Element to position
+ * @param {Element|Range} reference - Element to point at, or a range of selected text
+ * @param {object} [options] - See computePlacement()
+ * @returns {object|null} - The placement, or null when the reference isn't rendered
+ */
+function placeFloating(floating, reference, options = {}) {
+    const rects = Array.from(reference.getClientRects()).filter(rect => rect.width > 0 || rect.height > 0);
+
+    // Measure at the top-left corner so the size isn't squeezed by the previous position,
+    // and with offsetWidth/offsetHeight so the show transition's transform doesn't count
+    floating.style.left = '0px';
+    floating.style.top = '0px';
+    const size = { width: floating.offsetWidth, height: floating.offsetHeight };
+
+    const viewport = document.documentElement;
+    const boundary = { top: 0, left: 0, right: viewport.clientWidth, bottom: viewport.clientHeight };
+
+    const placement = computePlacement(rects, size, boundary, options);
+    if (!placement) {
+        return null;
+    }
+
+    floating.style.left = `${placement.x + window.scrollX}px`;
+    floating.style.top = `${placement.y + window.scrollY}px`;
+    floating.dataset.side = placement.side;
+    floating.style.setProperty('--arrow-offset', `${placement.arrow}px`);
+
+    // Flag a reference scrolled out of its container so the floating element can be hidden
+    floating.classList.toggle('is-reference-hidden', !isVisibleInScrollParents(reference));
+
+    return placement;
+}
+
+/**
+ * Whether an element is inside the visible area of every scrollable ancestor
+ */
+function isVisibleInScrollParents(element) {
+    const rect = element.getBoundingClientRect();
+    let parent = element.parentElement;
+
+    while (parent && parent !== document.body && parent !== document.documentElement) {
+        const { overflowX, overflowY } = getComputedStyle(parent);
+        if (/(auto|scroll|hidden|clip)/.test(overflowX + overflowY)) {
+            const clip = parent.getBoundingClientRect();
+            if (rect.bottom <= clip.top || rect.top >= clip.bottom || rect.right <= clip.left || rect.left >= clip.right) {
+                return false;
+            }
+        }
+        parent = parent.parentElement;
+    }
+    return true;
+}
+
+/**
+ * Call update whenever the page or any scrollable container scrolls, or the viewport resizes
+ * Updates are batched to one per animation frame
+ * @param {Function} update - Repositions the floating element
+ * @returns {Function} - Stop tracking
+ */
+function autoUpdate(update) {
+    let frame = null;
+
+    function schedule() {
+        if (frame === null) {
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                update();
+            });
+        }
+    }
+
+    // Scroll events don't bubble, but capturing on the document sees scrolling in any container
+    document.addEventListener('scroll', schedule, { capture: true, passive: true });
+    window.addEventListener('resize', schedule);
+
+    return () => {
+        document.removeEventListener('scroll', schedule, { capture: true });
+        window.removeEventListener('resize', schedule);
+        if (frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+    };
+}
+
+export { computePlacement, placeFloating, autoUpdate }
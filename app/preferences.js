@@ -0,0 +1,165 @@
+/**
+ * Film Home School - Display Preferences
+ * Theme (system, light, dark or high contrast) and reading mode (font size, line height, width),
+ * saved in localStorage and applied to the root element. The "system" theme follows the OS
+ * color scheme and contrast settings live. The inline script in index.html applies the saved
+ * preferences before the page renders; keep the two in sync.
+ */
+
+const THEME_KEY = 'theme';
+const READING_KEY = 'reading';
+
+const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+// Reading mode ranges; values are px, unitless and ch
+const READING_LIMITS = {
+    fontSize: { min: 14, max: 26, step: 1 },
+    lineHeight: { min: 1.4, max: 2.2, step: 0.1 },
+    width: { min: 45, max: 90, step: 5 }
+};
+
+const DEFAULT_READING = { enabled: false, fontSize: 18, lineHeight: 1.8, width: 65 };
+
+const darkQuery = typeof matchMedia === 'function' ? matchMedia('(prefers-color-scheme: dark)') : null;
+const contrastQuery = typeof matchMedia === 'function' ? matchMedia('(prefers-contrast: more)') : null;
+
+const listeners = new Set();
+let preferences = { theme: readTheme(), reading: readReading() };
+
+/**
+ * @returns {object} - { theme, reading: { enabled, fontSize, lineHeight, width } }
+ */
+function getPreferences() {
+    return preferences;
+}
+
+/**
+ * The theme actually shown: the system theme resolved through the OS settings
+ * @returns {string} - 'light', 'dark' or 'high-contrast'
+ */
+function getResolvedTheme() {
+    if (preferences.theme !== 'system') {
+        return preferences.theme;
+    }
+    if (contrastQuery && contrastQuery.matches) {
+        return 'high-contrast';
+    }
+    return darkQuery && darkQuery.matches ? 'dark' : 'light';
+}
+
+/**
+ * Choose a theme
+ * @param {string} theme - One of THEMES
+ */
+function setTheme(theme) {
+    if (!THEMES.includes(theme) || theme === preferences.theme) {
+        return;
+    }
+    preferences = { ...preferences, theme };
+    save(THEME_KEY, theme);
+    applyPreferences();
+}
+
+/**
+ * Change reading mode settings; numbers are clamped to READING_LIMITS
+ * @param {object} changes - Any of { enabled, fontSize, lineHeight, width }
+ */
+function setReading(changes) {
+    preferences = { ...preferences, reading: sanitizeReading({ ...preferences.reading, ...changes }) };
+    save(READING_KEY, JSON.stringify(preferences.reading));
+    applyPreferences();
+}
+
+/**
+ * Put reading mode back to its defaults (keeping whether it is on)
+ */
+function resetReading() {
+    setReading({ ...DEFAULT_READING, enabled: preferences.reading.enabled });
+}
+
+/**
+ * Listen for preference changes, including OS changes while the theme is "system"
+ * @param {Function} listener - Called with the preferences
+ * @returns {Function} - Unsubscribe
+ */
+function onPreferencesChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Apply the preferences to the root element and notify listeners
+ */
+function applyPreferences() {
+    const root = document.documentElement;
+    const { reading } = preferences;
+
+    root.setAttribute('data-theme', getResolvedTheme());
+
+    root.toggleAttribute('data-reading', reading.enabled);
+    root.style.setProperty('--reading-font-size', `${reading.fontSize}px`);
+    root.style.setProperty('--reading-line-height', String(reading.lineHeight));
+    root.style.setProperty('--reading-width', `${reading.width}ch`);
+
+    listeners.forEach(listener => listener(preferences));
+}
+
+/**
+ * Apply the saved preferences and follow OS theme changes
+ */
+function setupPreferences() {
+    applyPreferences();
+
+    [darkQuery, contrastQuery].forEach(query => {
+        if (query) {
+            query.addEventListener('change', () => {
+                if (preferences.theme === 'system') {
+                    applyPreferences();
+                }
+            });
+        }
+    });
+}
+
+function readTheme() {
+    const saved = load(THEME_KEY);
+    return THEMES.includes(saved) ? saved : 'system';
+}
+
+function readReading() {
+    try {
+        return sanitizeReading({ ...DEFAULT_READING, ...JSON.parse(load(READING_KEY)) });
+    } catch (error) {
+        return { ...DEFAULT_READING };
+    }
+}
+
+function sanitizeReading(reading) {
+    const result = { enabled: !!reading.enabled };
+    Object.entries(READING_LIMITS).forEach(([name, { min, max, step }]) => {
+        const value = Number(reading[name]);
+        const fallback = DEFAULT_READING[name];
+        const clamped = Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+        // Snap to the step, without float noise like 1.7000000000000002
+        result[name] = Number((Math.round(clamped / step) * step).toFixed(2));
+    });
+    return result;
+}
+
+function load(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+function save(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        // Still applies for this visit
+    }
+}
+
+export { THEMES, READING_LIMITS, getPreferences, getResolvedTheme, setTheme, setReading, resetReading, onPreferencesChange, setupPreferences }
@@ -0,0 +1,166 @@
+/**
+ * Film Home School - Progress UI
+ * "Mark as complete" button, scroll tracking, completed marks in the
+ * table of contents and the "continue where you left off" link
+ */
+
+import { lessonHref } from './router.js'
+import { t } from './i18n.js'
+
+// Lesson to restore the scroll position for on its next render (set by the continue link)
+let resumeSlug = null;
+
+// Cleanup for the scroll listener of the lesson currently shown
+let stopTracking = null;
+
+/**
+ * Add the progress controls to a rendered lesson and start tracking its scroll position
+ * @param {Element} container - The lesson container
+ * @param {string} slug - Lesson slug
+ * @param {object} store - Progress store from createProgressStore()
+ */
+function attachLessonProgress(container, slug, store) {
+    detachLessonProgress();
+
+    const footer = document.createElement('div');
+    footer.className = 'lesson-progress';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'lesson-complete-button';
+
+    function renderButton() {
+        const record = store.get(slug);
+        const completed = !!(record && record.completed);
+        button.setAttribute('aria-pressed', String(completed));
+        button.innerHTML = '';
+
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-rounded';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = completed ? 'check_circle' : 'radio_button_unchecked';
+        button.appendChild(icon);
+
+        const label = document.createElement('span');
+        label.textContent = completed ? t('progress.complete') : t('progress.markComplete');
+        button.appendChild(label);
+    }
+
+    button.addEventListener('click', () => {
+        const record = store.get(slug);
+        store.setCompleted(slug, !(record && record.completed));
+    });
+
+    footer.appendChild(button);
+    container.appendChild(footer);
+
+    const unsubscribe = store.subscribe(renderButton);
+    renderButton();
+
+    store.recordVisit(slug);
+
+    if (resumeSlug === slug) {
+        resumeSlug = null;
+        const record = store.get(slug);
+        if (record && record.scroll > 0) {
+            restoreScroll(container, record.scroll);
+        }
+    }
+
+    function handleScroll() {
+        store.recordScroll(slug, getScrollFraction(container));
+    }
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+
+    stopTracking = () => {
+        window.removeEventListener('scroll', handleScroll);
+        unsubscribe();
+    };
+}
+
+/**
+ * Stop tracking the current lesson (called when navigating away)
+ */
+function detachLessonProgress() {
+    if (stopTracking) {
+        stopTracking();
+        stopTracking = null;
+    }
+}
+
+/**
+ * Show a check mark next to finished lessons in the table of contents
+ * @param {Element} toc - The table of contents element
+ * @param {object} store - Progress store
+ */
+function markCompletedLessons(toc, store) {
+    toc.querySelectorAll('a[data-lesson]').forEach(link => {
+        const record = store.get(link.dataset.lesson);
+        const completed = !!(record && record.completed);
+        link.classList.toggle('is-completed', completed);
+
+        let status = link.querySelector('.sr-only');
+        if (completed) {
+            if (!status) {
+                status = document.createElement('span');
+                status.className = 'sr-only';
+                link.appendChild(status);
+            }
+            // Set every time: the language may have changed since
+            status.textContent = ` ${t('progress.completed')}`;
+        } else if (status) {
+            status.remove();
+        }
+    });
+}
+
+/**
+ * Render the "continue where you left off" link for the last unfinished lesson
+ * @param {Element} element - Container for the link (hidden when there is nothing to continue)
+ * @param {Array} lessons - All lessons
+ * @param {object} store - Progress store
+ * @param {string|null} currentSlug - Lesson on screen (no need to offer it)
+ */
+function renderContinueLink(element, lessons, store, currentSlug) {
+    const last = store.lastUnfinished();
+    const lesson = last && last.slug !== currentSlug ? lessons.find(item => item.slug === last.slug) : null;
+
+    element.innerHTML = '';
+    element.hidden = !lesson;
+
+    if (!lesson) {
+        return;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'continue-label';
+    label.textContent = t('progress.continue');
+    element.appendChild(label);
+
+    const link = document.createElement('a');
+    link.href = lessonHref(lesson.slug);
+    link.className = 'continue-link';
+    link.textContent = lesson.title;
+    link.addEventListener('click', () => {
+        resumeSlug = lesson.slug;
+    });
+    element.appendChild(link);
+}
+
+/**
+ * How far through the lesson the reader is: 0 at the top, 1 once its end is on screen
+ */
+function getScrollFraction(container) {
+    const rect = container.getBoundingClientRect();
+    if (rect.height === 0) return 0;
+    return Math.min(Math.max((window.innerHeight - rect.top) / rect.height, 0), 1);
+}
+
+function restoreScroll(container, fraction) {
+    const rect = container.getBoundingClientRect();
+    const top = rect.top + window.scrollY + fraction * rect.height - window.innerHeight;
+    window.scrollTo(0, Math.max(top, 0));
+}
+
+export { attachLessonProgress, detachLessonProgress, markCompletedLessons, renderContinueLink }
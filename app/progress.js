@@ -0,0 +1,234 @@
+/**
+ * Film Home School - Lesson Progress
+ * Tracks which lessons a student finished and how far they scrolled.
+ * Guests keep progress in localStorage; signed-in students use the `progress` table,
+ * and guest progress is merged into the account on sign-in.
+ */
+
+import { createLogger } from './logger.js'
+import { syncGuestRecords } from './guest-sync.js'
+
+const log = createLogger('progress');
+
+const STORAGE_KEY = 'progress';
+
+// Scroll positions are saved at most this often while reading (ms)
+const SCROLL_SAVE_DELAY = 1000;
+
+/**
+ * Create a progress store
+ * @param {object} client - Supabase client
+ * @returns {object} - Progress store API
+ */
+function createProgressStore(client) {
+    // slug -> { completed, scroll, updatedAt }
+    let records = readLocal();
+    let user = null;
+    // Latest user passed to setUser(); user only follows once their progress is loaded
+    let requestedUser = null;
+    const listeners = new Set();
+    const pendingScroll = new Map();
+    let scrollTimer = null;
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    function update(slug, changes) {
+        const previous = records[slug] || { completed: false, scroll: 0 };
+        records[slug] = { ...previous, ...changes, updatedAt: new Date().toISOString() };
+        return records[slug];
+    }
+
+    /**
+     * Save a record to wherever progress currently lives
+     */
+    async function persist(slug) {
+        if (!user) {
+            writeLocal(records);
+            return;
+        }
+
+        const record = records[slug];
+        const { error } = await client
+            .from('progress')
+            .upsert(toRow(user.id, slug, record), { onConflict: 'user_id,lesson_slug' });
+
+        if (error) {
+            log.error('Failed to save progress', error);
+        }
+    }
+
+    function flushScroll() {
+        scrollTimer = null;
+        pendingScroll.forEach((scroll, slug) => {
+            update(slug, { scroll });
+            persist(slug);
+        });
+        pendingScroll.clear();
+    }
+
+    return {
+        /**
+         * Switch between guest and account progress
+         * On sign-in, guest progress is merged into the account and cleared locally
+         * @param {object|null} nextUser - Supabase user, or null when signed out
+         */
+        async setUser(nextUser) {
+            if ((nextUser && nextUser.id) === (requestedUser && requestedUser.id)) {
+                return;
+            }
+            requestedUser = nextUser;
+
+            if (scrollTimer) {
+                clearTimeout(scrollTimer);
+                flushScroll();
+            }
+
+            if (!nextUser) {
+                user = null;
+                records = readLocal();
+                notify();
+                return;
+            }
+
+            await syncGuestRecords(client, 'progress', {
+                userId: nextUser.id,
+                columns: 'lesson_slug, completed, scroll_position, updated_at',
+                onConflict: 'user_id,lesson_slug',
+                storageKey: STORAGE_KEY,
+                readGuest: readLocal,
+                fromRow: row => [row.lesson_slug, {
+                    completed: row.completed,
+                    scroll: row.scroll_position || 0,
+                    updatedAt: row.updated_at
+                }],
+                toRow,
+                merge: mergeProgress,
+                apply: merged => {
+                    // Signed out or switched accounts while this one was loading
+                    if (requestedUser !== nextUser) {
+                        return false;
+                    }
+                    user = nextUser;
+                    records = merged;
+                    notify();
+                    return true;
+                },
+                log
+            });
+        },
+
+        /**
+         * @param {string} slug - Lesson slug
+         * @returns {object|null} - { completed, scroll, updatedAt } or null
+         */
+        get(slug) {
+            return records[slug] || null;
+        },
+
+        /**
+         * The most recently read lesson that isn't finished yet
+         * @returns {object|null} - { slug, completed, scroll, updatedAt } or null
+         */
+        lastUnfinished() {
+            return Object.entries(records)
+                .filter(([, record]) => !record.completed)
+                .map(([slug, record]) => ({ slug, ...record }))
+                .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+        },
+
+        /**
+         * Mark a lesson as opened, without changing its scroll position
+         * @param {string} slug - Lesson slug
+         */
+        recordVisit(slug) {
+            update(slug, {});
+            persist(slug);
+        },
+
+        /**
+         * Remember how far down a lesson the student is (saved with a short delay)
+         * @param {string} slug - Lesson slug
+         * @param {number} scroll - Fraction of the lesson scrolled, 0 to 1
+         */
+        recordScroll(slug, scroll) {
+            pendingScroll.set(slug, Math.min(Math.max(scroll, 0), 1));
+            if (!scrollTimer) {
+                scrollTimer = setTimeout(flushScroll, SCROLL_SAVE_DELAY);
+            }
+        },
+
+        /**
+         * @param {string} slug - Lesson slug
+         * @param {boolean} completed - Whether the lesson is finished
+         */
+        setCompleted(slug, completed) {
+            update(slug, { completed });
+            persist(slug);
+            notify();
+        },
+
+        /**
+         * Listen for changes (sign-in, sign-out, completion)
+         * @param {Function} listener - Called with no arguments
+         * @returns {Function} - Unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * Merge two progress maps: completed wins, the most recent scroll position wins
+ * @param {object} a - slug -> record
+ * @param {object} b - slug -> record
+ * @returns {object} - Merged slug -> record
+ */
+function mergeProgress(a, b) {
+    const merged = { ...a };
+
+    Object.entries(b).forEach(([slug, record]) => {
+        const existing = merged[slug];
+        if (!existing) {
+            merged[slug] = record;
+            return;
+        }
+
+        const newer = String(record.updatedAt) > String(existing.updatedAt) ? record : existing;
+        merged[slug] = {
+            completed: existing.completed || record.completed,
+            scroll: newer.scroll,
+            updatedAt: newer.updatedAt
+        };
+    });
+
+    return merged;
+}
+
+function toRow(userId, slug, record) {
+    return {
+        user_id: userId,
+        lesson_slug: slug,
+        completed: record.completed,
+        scroll_position: record.scroll,
+        updated_at: record.updatedAt
+    };
+}
+
+function readLocal() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        log.warn('Ignoring unreadable local progress:', error);
+        return {};
+    }
+}
+
+function writeLocal(records) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+}
+
+export { createProgressStore, mergeProgress }
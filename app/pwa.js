@@ -0,0 +1,42 @@
+/**
+ * Film Home School - Progressive Web App
+ * Service worker registration and the offline indicator
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('pwa');
+
+/**
+ * Register the service worker that precaches the app shell (see public/sw.js)
+ * Only in production builds, so it never serves stale modules to the Vite dev server
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) {
+        return;
+    }
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .then(registration => log.info('Service worker registered with scope:', registration.scope))
+            .catch(error => log.error('Service worker registration failed', error));
+    });
+}
+
+/**
+ * Show the offline indicator whenever the browser loses its connection
+ * @param {HTMLElement} indicator - The indicator element (hidden while online)
+ */
+function watchConnectivity(indicator) {
+    function update() {
+        const offline = !navigator.onLine;
+        indicator.hidden = !offline;
+        document.documentElement.classList.toggle('is-offline', offline);
+    }
+
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
+
+export { registerServiceWorker, watchConnectivity }
@@ -0,0 +1,286 @@
+/**
+ * Film Home School - Quiz UI
+ * Renders a quiz session: one question at a time with immediate feedback,
+ * a final score and "retry missed questions"
+ */
+
+import { generateQuiz, checkAnswer } from './quiz.js'
+import { glossaryHref } from './router.js'
+import { t } from './i18n.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('quiz');
+
+/**
+ * Render a quiz intro card with a start button
+ * @param {Element} section - Element to render the quiz into
+ * @param {object} options - { title, description, terms, glossaryMap, quizId, results }
+ */
+function renderQuizIntro(section, options) {
+    const { title, description, terms, quizId, results } = options;
+
+    section.innerHTML = '';
+    section.classList.add('quiz');
+
+    const heading = document.createElement('h3');
+    heading.className = 'quiz-title';
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    const text = document.createElement('p');
+    text.className = 'quiz-description';
+    text.textContent = description;
+    section.appendChild(text);
+
+    const latest = results.latest(quizId);
+    if (latest) {
+        const last = document.createElement('p');
+        last.className = 'quiz-last-score';
+        last.textContent = t('quiz.lastScore', { score: latest.score, total: latest.total });
+        section.appendChild(last);
+    }
+
+    const start = document.createElement('button');
+    start.type = 'button';
+    start.className = 'quiz-button quiz-button-primary';
+    start.textContent = t('quiz.start');
+    start.addEventListener('click', () => startQuiz(section, terms, options));
+    section.appendChild(start);
+}
+
+/**
+ * Start a quiz on a list of terms
+ * @param {Element} section - Element to render the quiz into
+ * @param {Array<string>} terms - Glossary terms to ask about
+ * @param {object} options - { title, glossaryMap, quizId, results }
+ */
+function startQuiz(section, terms, options) {
+    const questions = generateQuiz(terms, options.glossaryMap);
+    const answers = [];
+    let index = 0;
+
+    section.classList.add('quiz');
+
+    function showQuestion() {
+        const question = questions[index];
+        section.innerHTML = '';
+
+        const progress = document.createElement('p');
+        progress.className = 'quiz-progress';
+        progress.textContent = t('quiz.progress', { number: index + 1, total: questions.length });
+        section.appendChild(progress);
+
+        const prompt = document.createElement('h3');
+        prompt.className = 'quiz-prompt';
+        prompt.id = `quiz-prompt-${index}`;
+        prompt.tabIndex = -1;
+        prompt.textContent = question.prompt;
+        section.appendChild(prompt);
+
+        if (question.definition) {
+            const definition = document.createElement('blockquote');
+            definition.className = 'quiz-definition';
+            definition.textContent = question.definition;
+            section.appendChild(definition);
+        }
+
+        const feedback = document.createElement('p');
+        feedback.className = 'quiz-feedback';
+        feedback.setAttribute('role', 'status');
+
+        const next = document.createElement('button');
+        next.type = 'button';
+        next.className = 'quiz-button quiz-button-primary';
+        next.textContent = index + 1 < questions.length ? t('quiz.next') : t('quiz.seeResults');
+        next.hidden = true;
+        next.addEventListener('click', () => {
+            index++;
+            if (index < questions.length) {
+                showQuestion();
+            } else {
+                showResults();
+            }
+        });
+
+        function answer(response) {
+            const correct = checkAnswer(question, response);
+            answers.push({ question, response, correct });
+
+            feedback.textContent = correct ? t('quiz.correct') : t('quiz.incorrect', { answer: question.label });
+            feedback.classList.toggle('is-correct', correct);
+            feedback.classList.toggle('is-incorrect', !correct);
+            next.hidden = false;
+            next.focus();
+        }
+
+        if (question.type === 'fill-in') {
+            section.appendChild(createFillIn(question, index, answer));
+        } else {
+            section.appendChild(createChoices(question, prompt.id, answer));
+        }
+
+        section.appendChild(feedback);
+        section.appendChild(next);
+
+        if (index > 0) {
+            prompt.focus();
+        }
+    }
+
+    async function showResults() {
+        const score = answers.filter(item => item.correct).length;
+        const missedQuestions = answers.filter(item => !item.correct).map(item => item.question);
+        const missed = missedQuestions.map(question => question.term);
+
+        // Saved locally right away; the results show while the copy for the account is sent
+        const saving = options.results.save({ quizId: options.quizId, score, total: questions.length, missed });
+
+        section.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.className = 'quiz-title';
+        heading.tabIndex = -1;
+        heading.textContent = t('quiz.score', { score, total: questions.length });
+        section.appendChild(heading);
+
+        if (missed.length > 0) {
+            const intro = document.createElement('p');
+            intro.textContent = t('quiz.review');
+            section.appendChild(intro);
+
+            const list = document.createElement('ul');
+            list.className = 'quiz-missed';
+            missedQuestions.forEach(question => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = glossaryHref(question.term);
+                link.textContent = question.label;
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+        } else {
+            const perfect = document.createElement('p');
+            perfect.textContent = t('quiz.perfect');
+            section.appendChild(perfect);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'quiz-actions';
+
+        if (missed.length > 0) {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'quiz-button quiz-button-primary';
+            retry.textContent = t('quiz.retryMissed');
+            retry.addEventListener('click', () => startQuiz(section, missed, options));
+            actions.appendChild(retry);
+        }
+
+        const restart = document.createElement('button');
+        restart.type = 'button';
+        restart.className = 'quiz-button';
+        restart.textContent = t('quiz.startOver');
+        restart.addEventListener('click', () => startQuiz(section, options.terms || terms, options));
+        actions.appendChild(restart);
+
+        section.appendChild(actions);
+        heading.focus();
+
+        try {
+            await saving;
+        } catch (error) {
+            log.error('Failed to save quiz result', error, { quizId: options.quizId });
+        }
+    }
+
+    if (questions.length === 0) {
+        section.innerHTML = '';
+        const empty = document.createElement('p');
+        empty.textContent = t('quiz.empty');
+        section.appendChild(empty);
+        return;
+    }
+
+    showQuestion();
+}
+
+/**
+ * Multiple-choice answers as a group of buttons
+ */
+function createChoices(question, labelId, onAnswer) {
+    const list = document.createElement('div');
+    list.className = 'quiz-choices';
+    list.setAttribute('role', 'group');
+    list.setAttribute('aria-labelledby', labelId);
+
+    question.choices.forEach(choice => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'quiz-choice';
+        button.textContent = choice.label;
+        button.addEventListener('click', () => {
+            list.querySelectorAll('button').forEach(other => {
+                other.disabled = true;
+                if (other === button) other.classList.add('is-selected');
+            });
+
+            // Show the right answer alongside the student's pick
+            question.choices.forEach((item, itemIndex) => {
+                if (item.value === question.answer) {
+                    list.children[itemIndex].classList.add('is-answer');
+                }
+            });
+
+            onAnswer(choice.value);
+        });
+        list.appendChild(button);
+    });
+
+    return list;
+}
+
+/**
+ * Fill-in-the-blank input with a check button
+ */
+function createFillIn(question, index, onAnswer) {
+    const form = document.createElement('form');
+    form.className = 'quiz-fill-in';
+
+    const label = document.createElement('label');
+    label.className = 'sr-only';
+    label.htmlFor = `quiz-answer-${index}`;
+    label.textContent = t('quiz.yourAnswer');
+    form.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `quiz-answer-${index}`;
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    form.appendChild(input);
+
+    const check = document.createElement('button');
+    check.type = 'submit';
+    check.className = 'quiz-button';
+    check.textContent = t('quiz.check');
+    form.appendChild(check);
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (!input.value.trim()) {
+            input.focus();
+            return;
+        }
+        input.readOnly = true;
+        check.disabled = true;
+        onAnswer(input.value);
+    });
+
+    // Focus after the form is in the document
+    requestAnimationFrame(() => input.focus());
+
+    return form;
+}
+
+export { renderQuizIntro, startQuiz }
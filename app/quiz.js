@@ -0,0 +1,232 @@
+/**
+ * Film Home School - Quiz Engine
+ * Generates self-check questions from glossary entries (definition → term,
+ * term → definition and fill-in-the-blank) and stores quiz results
+ */
+
+import { getTermForms, getTermLabel } from './glossary-terms.js'
+import { t } from './i18n.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('quiz');
+
+const RESULTS_KEY = 'quizResults';
+
+// Only the most recent results are kept in localStorage
+const MAX_LOCAL_RESULTS = 50;
+
+const QUESTION_TYPES = ['definition-to-term', 'term-to-definition', 'fill-in'];
+
+const BLANK = '_____';
+
+/**
+ * Generate quiz questions for a list of terms
+ * Distractors are drawn from the whole glossary, so even a two-term lesson gets four choices
+ * @param {Array<string>} terms - Glossary terms (Map keys) to ask about
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @param {object} [options] - { questionCount, choiceCount, types, random }
+ * @returns {Array} - Questions: { id, type, term, label, prompt, definition, choices, answer }
+ *   label is the term as shown to students (translated when a locale is active)
+ */
+function generateQuiz(terms, glossaryMap, options = {}) {
+    const {
+        questionCount = 10,
+        choiceCount = 4,
+        types = QUESTION_TYPES,
+        random = Math.random
+    } = options;
+
+    const available = terms.filter(term => glossaryMap.has(term));
+    const picked = shuffle(available, random).slice(0, questionCount);
+    const allTerms = Array.from(glossaryMap.keys());
+
+    return picked.map((term, index) => {
+        // Multiple choice needs distractors; fall back to fill-in for tiny glossaries
+        const canChoose = allTerms.length >= 2;
+        const allowedTypes = canChoose ? types : types.filter(type => type === 'fill-in');
+        const type = allowedTypes[index % allowedTypes.length] || 'fill-in';
+
+        return createQuestion(`${index}-${term}`, type, term, glossaryMap, allTerms, choiceCount, random);
+    });
+}
+
+/**
+ * Build one question of a given type
+ */
+function createQuestion(id, type, term, glossaryMap, allTerms, choiceCount, random) {
+    const data = glossaryMap.get(term);
+    const label = getTermLabel(term, data);
+    const definition = getDefinition(data);
+    const hiddenDefinition = blankOutTerm(definition, term, data);
+
+    if (type === 'fill-in') {
+        return {
+            id,
+            type,
+            term,
+            label,
+            prompt: t('quiz.fillInPrompt'),
+            definition: hiddenDefinition,
+            accepted: getTermForms(term, data),
+            answer: term
+        };
+    }
+
+    const distractors = shuffle(allTerms.filter(other => other !== term), random).slice(0, choiceCount - 1);
+
+    if (type === 'term-to-definition') {
+        const choices = shuffle([term, ...distractors], random).map(choice => ({
+            value: choice,
+            label: blankOutTerm(getDefinition(glossaryMap.get(choice)), choice, glossaryMap.get(choice))
+        }));
+
+        return {
+            id,
+            type,
+            term,
+            label,
+            prompt: t('quiz.definitionPrompt', { term: label }),
+            definition: null,
+            choices,
+            answer: term
+        };
+    }
+
+    return {
+        id,
+        type: 'definition-to-term',
+        term,
+        label,
+        prompt: t('quiz.termPrompt'),
+        definition: hiddenDefinition,
+        choices: shuffle([term, ...distractors], random).map(choice => ({
+            value: choice,
+            label: getTermLabel(choice, glossaryMap.get(choice))
+        })),
+        answer: term
+    };
+}
+
+/**
+ * Check a response to a question
+ * Fill-in answers ignore case, accents and extra spaces, and accept aliases and plurals
+ * @param {object} question - Question from generateQuiz()
+ * @param {string} response - Chosen value or typed answer
+ * @returns {boolean} - Whether the response is correct
+ */
+function checkAnswer(question, response) {
+    if (question.type !== 'fill-in') {
+        return response === question.answer;
+    }
+
+    const normalized = normalizeAnswer(response);
+    return normalized !== '' && question.accepted.some(form => normalizeAnswer(form) === normalized);
+}
+
+/**
+ * Replace the term (and its aliases) in a definition with a blank so it doesn't give the answer away
+ * @param {string} definition - Definition text
+ * @param {string} term - Glossary term
+ * @param {object} data - Entry data
+ * @returns {string} - Definition with blanks
+ */
+function blankOutTerm(definition, term, data) {
+    return getTermForms(term, data).reduce((text, form) => {
+        const escapedForm = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return text.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapedForm}(?![\\p{L}\\p{N}])`, 'giu'), BLANK);
+    }, definition);
+}
+
+function getDefinition(data) {
+    return typeof data === 'string' ? data : data.definition;
+}
+
+function normalizeAnswer(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+function shuffle(items, random) {
+    const copy = items.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Create the quiz results store
+ * Results are always kept in localStorage, and also saved to Supabase when signed in
+ * @param {object} client - Supabase client
+ * @returns {object} - { setUser, save, latest }
+ */
+function createQuizResultsStore(client) {
+    let user = null;
+
+    return {
+        /**
+         * @param {object|null} nextUser - Supabase user, or null when signed out
+         */
+        setUser(nextUser) {
+            user = nextUser;
+        },
+
+        /**
+         * Save a finished quiz
+         * @param {object} result - { quizId, score, total, missed }
+         */
+        async save(result) {
+            const record = { ...result, completedAt: new Date().toISOString() };
+            const results = readLocalResults();
+            results.push(record);
+            localStorage.setItem(RESULTS_KEY, JSON.stringify(results.slice(-MAX_LOCAL_RESULTS)));
+
+            if (!user) {
+                return;
+            }
+
+            const { error } = await client.from('quiz_results').insert({
+                user_id: user.id,
+                quiz_id: record.quizId,
+                score: record.score,
+                total: record.total,
+                missed: record.missed,
+                completed_at: record.completedAt
+            });
+
+            if (error) {
+                log.error('Failed to save quiz result', error);
+            }
+        },
+
+        /**
+         * The most recent local result for a quiz
+         * @param {string} quizId - e.g., 'lesson:deconstructing-the-frame'
+         * @returns {object|null} - The result, or null
+         */
+        latest(quizId) {
+            const results = readLocalResults().filter(result => result.quizId === quizId);
+            return results[results.length - 1] || null;
+        }
+    };
+}
+
+function readLocalResults() {
+    try {
+        const results = JSON.parse(localStorage.getItem(RESULTS_KEY));
+        return Array.isArray(results) ? results : [];
+    } catch (error) {
+        log.warn('Ignoring unreadable quiz results:', error);
+        return [];
+    }
+}
+
+export { generateQuiz, checkAnswer, blankOutTerm, createQuizResultsStore }
@@ -0,0 +1,171 @@
+/**
+ * Film Home School - Client-side Router
+ * Hash-based routing (e.g., #/lessons/cinematography) so links work on any static host
+ */
+
+/**
+ * Create a router for a list of routes
+ * Only hashes starting with "#/" are treated as routes, so in-page anchors
+ * like the skip link (#main-content) keep working.
+ * @param {Array} routes - Array of { path, handler } where path may contain :params
+ * @param {Function} notFound - Called with the unmatched path when no route matches
+ * @returns {object} - { start, stop, navigate, resolve }
+ */
+function createRouter(routes, notFound) {
+    const compiled = routes.map(route => ({
+        ...route,
+        ...compilePath(route.path)
+    }));
+
+    let started = false;
+
+    /**
+     * Match the current hash against the routes and run the handler
+     * @param {object} context - Extra info passed to the handler (e.g., { initial: true })
+     */
+    function resolve(context = {}) {
+        const path = getCurrentPath();
+
+        for (const route of compiled) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = decodeParams(route.keys, match);
+                // A malformed escape (e.g., a truncated "%E0%A4%A") can't name anything
+                if (!params) {
+                    break;
+                }
+                route.handler(params, { path, ...context });
+                return;
+            }
+        }
+
+        notFound(path, context);
+    }
+
+    function handleHashChange() {
+        // Ignore plain anchors such as the skip link
+        if (window.location.hash && !window.location.hash.startsWith('#/')) {
+            return;
+        }
+        resolve({ initial: false });
+    }
+
+    return {
+        /**
+         * Start listening for navigation and render the current route
+         */
+        start() {
+            if (!started) {
+                window.addEventListener('hashchange', handleHashChange);
+                started = true;
+            }
+            resolve({ initial: true });
+        },
+
+        /**
+         * Stop listening for navigation
+         */
+        stop() {
+            window.removeEventListener('hashchange', handleHashChange);
+            started = false;
+        },
+
+        /**
+         * Navigate to a path (adds a history entry)
+         * @param {string} path - Route path, e.g., '/lessons/cinematography'
+         */
+        navigate(path) {
+            window.location.hash = `#${path}`;
+        },
+
+        resolve
+    };
+}
+
+/**
+ * Read the route path from the URL hash
+ * @returns {string} - Path such as '/lessons/cinematography', or '/' when there is none
+ */
+function getCurrentPath() {
+    const hash = window.location.hash;
+    if (!hash.startsWith('#/')) {
+        return '/';
+    }
+    // Drop a trailing slash so '#/lessons/x/' matches '/lessons/:slug'
+    const path = hash.slice(1).replace(/\/+$/, '');
+    return path || '/';
+}
+
+/**
+ * Decode the params captured by a route regex
+ * @param {Array<string>} keys - Param names
+ * @param {Array} match - Regex match
+ * @returns {object|null} - Params by name, or null when one isn't valid percent-encoding
+ */
+function decodeParams(keys, match) {
+    const params = {};
+    try {
+        keys.forEach((key, index) => {
+            params[key] = decodeURIComponent(match[index + 1]);
+        });
+    } catch (error) {
+        return null;
+    }
+    return params;
+}
+
+/**
+ * Compile a route path with :params into a regex
+ * @param {string} path - Route path, e.g., '/lessons/:slug'
+ * @returns {object} - { regex, keys }
+ */
+function compilePath(path) {
+    const keys = [];
+    const pattern = path
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { regex: new RegExp(`^${pattern}$`), keys };
+}
+
+/**
+ * Build the href for a lesson
+ * @param {string} slug - Lesson slug
+ * @returns {string} - Hash href
+ */
+function lessonHref(slug) {
+    return `#/lessons/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Turn a glossary term into a URL slug (e.g., "Rack focus" -> "rack-focus")
+ * Accents are stripped so "plan-séquence" becomes "plan-sequence"
+ * @param {string} term - Glossary term
+ * @returns {string} - Slug
+ */
+function slugify(term) {
+    return term
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the href for a glossary entry
+ * @param {string} term - Glossary term
+ * @returns {string} - Hash href
+ */
+function glossaryHref(term) {
+    return `#/glossary/${encodeURIComponent(slugify(term))}`;
+}
+
+export { createRouter, getCurrentPath, lessonHref, glossaryHref, slugify }
@@ -0,0 +1,278 @@
+/**
+ * Film Home School - Search
+ * A small full-text index over lessons (title, headings, body) and glossary entries
+ * (term, aliases, definition), built in the browser from the loaded content and kept in
+ * the offline cache so search works without a connection
+ */
+
+import { normalizeBlocks, getLessonText } from './lessons.js'
+import { lessonHref, glossaryHref } from './router.js'
+import { getTermLabel, parseAliases } from './glossary-terms.js'
+import { readCache, writeCache } from './offline-store.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('search');
+
+// Bump when the index format changes so cached indexes are rebuilt
+const INDEX_VERSION = 2;
+
+// How much a match counts in each field
+const FIELD_WEIGHTS = {
+    title: 6,
+    aliases: 4,
+    headings: 3,
+    module: 2,
+    text: 1
+};
+
+// Prefix matches (while typing) count a little less than whole words
+const PREFIX_FACTOR = 0.7;
+
+// Bonus when the whole query appears in a title
+const PHRASE_BONUS = 2;
+
+const SNIPPET_LENGTH = 140;
+
+/**
+ * Build a search index
+ * @param {Array} lessons - Lessons (title, body, module)
+ * @param {Map} glossaryMap - Map of glossary terms to entry data
+ * @returns {object} - { version, documents, postings } (plain data, so it can be cached)
+ */
+function buildSearchIndex(lessons, glossaryMap) {
+    const documents = [];
+
+    lessons.forEach(lesson => {
+        const headings = normalizeBlocks(lesson.body)
+            .filter(block => block.type === 'heading' && block.text)
+            .map(block => block.text);
+
+        documents.push({
+            type: 'lesson',
+            id: lesson.slug,
+            title: lesson.title,
+            href: lessonHref(lesson.slug),
+            fields: {
+                title: lesson.title,
+                headings: headings.join('\n'),
+                module: lesson.module || '',
+                // The body, without the title that getLessonText() starts with
+                text: getLessonText(lesson).split('\n').slice(1).join('\n')
+            }
+        });
+    });
+
+    glossaryMap.forEach((data, term) => {
+        const label = getTermLabel(term, data);
+        const aliases = parseAliases(data && data.aliases);
+        // Localized entries can still be found by their English term
+        if (label !== term) {
+            aliases.push(term);
+        }
+
+        documents.push({
+            type: 'term',
+            id: term,
+            title: label,
+            href: glossaryHref(term),
+            fields: {
+                title: label,
+                aliases: aliases.join('\n'),
+                text: typeof data === 'string' ? data : data.definition || ''
+            }
+        });
+    });
+
+    // token -> [[document index, weight], ...]
+    // A Map, not an object: words like "constructor" would find Object.prototype members
+    const postings = new Map();
+    documents.forEach((doc, index) => {
+        const weights = new Map();
+        Object.entries(doc.fields).forEach(([field, text]) => {
+            tokenize(text).forEach(token => {
+                weights.set(token, (weights.get(token) || 0) + FIELD_WEIGHTS[field]);
+            });
+        });
+        weights.forEach((weight, token) => {
+            if (!postings.has(token)) {
+                postings.set(token, []);
+            }
+            postings.get(token).push([index, weight]);
+        });
+    });
+
+    return { version: INDEX_VERSION, documents, postings: Object.fromEntries(postings) };
+}
+
+/**
+ * Search the index
+ * Every word of the query has to match (the last one may be a prefix, as it's still being typed);
+ * results are ranked by field weight and word rarity
+ * @param {object} index - Index from buildSearchIndex()
+ * @param {string} query - What the student typed
+ * @param {object} [options] - { limit }
+ * @returns {Array} - Array of { doc, score, title, snippet } with title and snippet as { text, matches }
+ *   where matches are [start, end] ranges to highlight
+ */
+function search(index, query, options = {}) {
+    const limit = options.limit || 20;
+    const words = tokenize(query);
+    if (words.length === 0) {
+        return [];
+    }
+
+    const vocabulary = Object.keys(index.postings);
+    const total = index.documents.length;
+    let scores = null;
+
+    words.forEach((word, position) => {
+        const allowPrefix = position === words.length - 1;
+        const wordScores = new Map();
+
+        vocabulary.forEach(token => {
+            const exact = token === word;
+            if (!exact && !(allowPrefix && token.startsWith(word))) return;
+
+            const postings = index.postings[token];
+            const idf = Math.log(1 + total / postings.length);
+            postings.forEach(([doc, weight]) => {
+                const score = weight * idf * (exact ? 1 : PREFIX_FACTOR);
+                wordScores.set(doc, Math.max(wordScores.get(doc) || 0, score));
+            });
+        });
+
+        // Keep only documents that match every word so far
+        if (scores === null) {
+            scores = wordScores;
+        } else {
+            const combined = new Map();
+            scores.forEach((score, doc) => {
+                if (wordScores.has(doc)) combined.set(doc, score + wordScores.get(doc));
+            });
+            scores = combined;
+        }
+    });
+
+    const phrase = normalizeText(query).trim();
+
+    return Array.from(scores, ([docIndex, score]) => {
+        const doc = index.documents[docIndex];
+        const bonus = normalizeText(doc.title).includes(phrase) ? PHRASE_BONUS * words.length : 0;
+        return { doc, score: score + bonus };
+    })
+        .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+        .slice(0, limit)
+        .map(result => ({
+            ...result,
+            title: { text: result.doc.title, matches: findMatches(result.doc.title, words) },
+            snippet: createSnippet(result.doc.fields.text, words)
+        }));
+}
+
+/**
+ * The index for some content, from the offline cache when the content hasn't changed
+ * @param {Array} lessons - Lessons
+ * @param {Map} glossaryMap - Glossary
+ * @param {string} locale - Locale the content is in (each locale has its own cached index)
+ * @returns {Promise<object>} - Index from buildSearchIndex()
+ */
+async function loadSearchIndex(lessons, glossaryMap, locale) {
+    const key = `search-index:${locale}`;
+    const signature = getSignature(lessons, glossaryMap);
+
+    const cached = await readCache(key);
+    if (cached && cached.value.version === INDEX_VERSION && cached.value.signature === signature) {
+        return cached.value;
+    }
+
+    const index = { ...buildSearchIndex(lessons, glossaryMap), signature };
+    writeCache(key, index);
+    log.debug(`Built search index with ${index.documents.length} documents`);
+    return index;
+}
+
+/**
+ * Lowercase and strip accents, so "Mise-en-scène" matches "mise en scene"
+ * @param {string} text - Text
+ * @returns {string} - Normalized text (may differ in length from the original)
+ */
+function normalizeText(text) {
+    return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {Array<string>} - Normalized words
+ */
+function tokenize(text) {
+    return normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Ranges of words in the original text that start with one of the query words
+ * @param {string} text - Original text
+ * @param {Array<string>} words - Normalized query words
+ * @returns {Array} - Array of [start, end]
+ */
+function findMatches(text, words) {
+    const matches = [];
+    for (const match of String(text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+        const token = normalizeText(match[0]);
+        if (words.some(word => token.startsWith(word))) {
+            matches.push([match.index, match.index + match[0].length]);
+        }
+    }
+    return matches;
+}
+
+/**
+ * A short excerpt around the first match, cut at word boundaries
+ * @param {string} text - Full text
+ * @param {Array<string>} words - Normalized query words
+ * @returns {object} - { text, matches } with matches relative to the excerpt
+ */
+function createSnippet(text, words) {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    const matches = findMatches(source, words);
+
+    let start = 0;
+    if (matches.length > 0 && source.length > SNIPPET_LENGTH) {
+        start = Math.max(0, Math.min(matches[0][0] - SNIPPET_LENGTH / 3, source.length - SNIPPET_LENGTH));
+        const space = source.lastIndexOf(' ', start);
+        start = start > 0 && space !== -1 ? space + 1 : Math.floor(start);
+    }
+
+    let end = Math.min(source.length, start + SNIPPET_LENGTH);
+    if (end < source.length) {
+        const space = source.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < source.length ? '…' : '';
+    return {
+        text: prefix + source.slice(start, end) + suffix,
+        matches: matches
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+    };
+}
+
+/**
+ * Cheap fingerprint of the content, to tell whether a cached index is still current (FNV-1a)
+ */
+function getSignature(lessons, glossaryMap) {
+    const content = JSON.stringify([
+        lessons.map(lesson => [lesson.slug, lesson.title, lesson.module, lesson.body]),
+        Array.from(glossaryMap, ([term, data]) => [term, data])
+    ]);
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+        hash ^= content.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${content.length}:${(hash >>> 0).toString(16)}`;
+}
+
+export { buildSearchIndex, search, loadSearchIndex, tokenize }
@@ -0,0 +1,203 @@
+/**
+ * Film Home School - Display Settings
+ * The settings panel opened from the header: theme buttons (system, light, dark, high contrast)
+ * and reading mode with font size, line height and width sliders
+ */
+
+import { THEMES, READING_LIMITS, getPreferences, getResolvedTheme, setTheme, setReading, resetReading, onPreferencesChange } from './preferences.js'
+import { onLocaleChange, t } from './i18n.js'
+
+const THEME_ICONS = {
+    system: 'brightness_auto',
+    light: 'light_mode',
+    dark: 'dark_mode',
+    'high-contrast': 'contrast'
+};
+
+/**
+ * Wire up the settings panel and the button that opens it
+ * @param {HTMLElement} panel - Empty panel element
+ * @param {HTMLElement} toggle - Button that opens and closes the panel (its first icon shows the current theme)
+ */
+function setupSettingsPanel(panel, toggle) {
+    toggle.setAttribute('aria-controls', panel.id);
+    toggle.setAttribute('aria-expanded', 'false');
+
+    // Controls that change with the preferences, filled in by render()
+    let controls = null;
+
+    function render() {
+        panel.innerHTML = '';
+
+        const title = document.createElement('h2');
+        title.id = `${panel.id}-title`;
+        title.textContent = t('settings.title');
+        panel.appendChild(title);
+        panel.setAttribute('aria-labelledby', title.id);
+
+        // ----- Theme -----
+        const themeLabel = document.createElement('p');
+        themeLabel.id = `${panel.id}-theme`;
+        themeLabel.className = 'settings-label';
+        themeLabel.textContent = t('settings.theme');
+        panel.appendChild(themeLabel);
+
+        const themes = document.createElement('div');
+        themes.className = 'settings-themes';
+        themes.setAttribute('role', 'group');
+        themes.setAttribute('aria-labelledby', themeLabel.id);
+
+        const themeButtons = THEMES.map(theme => {
+            const button = createButton(THEME_ICONS[theme], t(`settings.theme.${theme}`), () => setTheme(theme));
+            button.dataset.theme = theme;
+            themes.appendChild(button);
+            return button;
+        });
+        panel.appendChild(themes);
+
+        // ----- Reading mode -----
+        const reading = document.createElement('div');
+        reading.className = 'settings-reading';
+
+        const readingToggle = createButton('chrome_reader_mode', t('settings.reading'), () => {
+            setReading({ enabled: !getPreferences().reading.enabled });
+        });
+        readingToggle.className = 'settings-reading-toggle';
+        reading.appendChild(readingToggle);
+
+        const sliders = {
+            fontSize: createSlider('fontSize', t('settings.fontSize'), value => `${value}px`),
+            lineHeight: createSlider('lineHeight', t('settings.lineHeight'), value => value.toFixed(1)),
+            width: createSlider('width', t('settings.width'), value => t('settings.widthValue', { count: value }))
+        };
+        Object.values(sliders).forEach(slider => reading.appendChild(slider.row));
+
+        const reset = createButton('restart_alt', t('settings.reset'), resetReading);
+        reset.className = 'settings-reset';
+        reading.appendChild(reset);
+
+        const hint = document.createElement('p');
+        hint.className = 'settings-hint';
+        hint.textContent = t('settings.readingHint');
+        reading.appendChild(hint);
+
+        panel.appendChild(reading);
+
+        controls = { themeButtons, readingToggle, sliders, reset };
+        update(getPreferences());
+    }
+
+    function createSlider(name, label, format) {
+        const { min, max, step } = READING_LIMITS[name];
+        const id = `${panel.id}-${name}`;
+
+        const row = document.createElement('div');
+        row.className = 'settings-slider';
+
+        const labelElement = document.createElement('label');
+        labelElement.htmlFor = id;
+        labelElement.textContent = label;
+        row.appendChild(labelElement);
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = id;
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String(step);
+        input.addEventListener('input', () => setReading({ [name]: Number(input.value) }));
+        row.appendChild(input);
+
+        const output = document.createElement('output');
+        output.htmlFor = id;
+        row.appendChild(output);
+
+        return { row, input, output, format };
+    }
+
+    function update(preferences) {
+        // The toggle's icon shows the theme on screen
+        const icon = toggle.querySelector('.material-symbols-rounded');
+        if (icon) {
+            icon.textContent = THEME_ICONS[getResolvedTheme()];
+        }
+
+        if (!controls) {
+            return;
+        }
+
+        controls.themeButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.theme === preferences.theme));
+        });
+
+        const { reading } = preferences;
+        controls.readingToggle.setAttribute('aria-pressed', String(reading.enabled));
+        Object.entries(controls.sliders).forEach(([name, slider]) => {
+            slider.input.value = String(reading[name]);
+            slider.input.disabled = !reading.enabled;
+            slider.output.textContent = slider.format(reading[name]);
+        });
+        controls.reset.disabled = !reading.enabled;
+    }
+
+    function open() {
+        panel.hidden = false;
+        toggle.setAttribute('aria-expanded', 'true');
+        const pressed = panel.querySelector('.settings-themes [aria-pressed="true"]');
+        if (pressed) {
+            pressed.focus();
+        }
+    }
+
+    function close() {
+        const hadFocus = panel.contains(document.activeElement);
+        panel.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+        if (hadFocus) {
+            toggle.focus();
+        }
+    }
+
+    toggle.addEventListener('click', () => {
+        if (panel.hidden) {
+            open();
+        } else {
+            close();
+        }
+    });
+
+    panel.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            close();
+        }
+    });
+
+    // Clicking anywhere else closes the panel
+    document.addEventListener('pointerdown', event => {
+        if (!panel.hidden && !panel.contains(event.target) && !toggle.contains(event.target)) {
+            close();
+        }
+    });
+
+    onPreferencesChange(update);
+    onLocaleChange(render);
+    render();
+}
+
+function createButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+
+    const symbol = document.createElement('span');
+    symbol.className = 'material-symbols-rounded';
+    symbol.setAttribute('aria-hidden', 'true');
+    symbol.textContent = icon;
+    button.appendChild(symbol);
+
+    button.appendChild(document.createTextNode(label));
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+export { setupSettingsPanel }
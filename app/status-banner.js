@@ -0,0 +1,95 @@
+/**
+ * Film Home School - Status Banner
+ * The banner under the header that tells students when content could not be loaded,
+ * with a button to try again
+ */
+
+import { onLocaleChange, t } from './i18n.js'
+
+/**
+ * Wire up the banner
+ * @param {HTMLElement} banner - Empty banner element (hidden)
+ * @returns {object} - { show, hide }
+ */
+function setupStatusBanner(banner) {
+    // What is on screen, kept so it can be re-rendered in another language
+    let current = null;
+    let retrying = false;
+
+    function render() {
+        // Re-rendering replaces the buttons; keep keyboard focus in the banner
+        const hadFocus = banner.contains(document.activeElement);
+        banner.innerHTML = '';
+        if (!current) {
+            banner.hidden = true;
+            return;
+        }
+
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-rounded';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = 'error';
+        banner.appendChild(icon);
+
+        const message = document.createElement('p');
+        message.className = 'status-banner-message';
+        message.textContent = t(current.message, current.params);
+        banner.appendChild(message);
+
+        if (current.onRetry) {
+            const retry = document.createElement('button');
+            retry.type = 'button';
+            retry.className = 'status-banner-retry';
+            retry.textContent = retrying ? t('errors.retrying') : t('errors.retry');
+            retry.disabled = retrying;
+            retry.addEventListener('click', () => runRetry(current));
+            banner.appendChild(retry);
+        }
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'status-banner-dismiss';
+        dismiss.setAttribute('aria-label', t('errors.dismiss'));
+        dismiss.innerHTML = '<span class="material-symbols-rounded" aria-hidden="true">close</span>';
+        dismiss.addEventListener('click', hide);
+        banner.appendChild(dismiss);
+
+        banner.hidden = false;
+        if (hadFocus) {
+            banner.querySelector('button:not(:disabled)').focus();
+        }
+    }
+
+    async function runRetry(shown) {
+        retrying = true;
+        render();
+        try {
+            await shown.onRetry();
+        } finally {
+            retrying = false;
+            // Whatever is shown now (onRetry may have changed the message or hidden the banner)
+            render();
+        }
+    }
+
+    /**
+     * Show a message
+     * @param {object} options - { message, params, onRetry }: a message key and its parameters, and
+     *   an optional async function run by the retry button
+     */
+    function show(options) {
+        current = options;
+        render();
+    }
+
+    function hide() {
+        current = null;
+        render();
+    }
+
+    onLocaleChange(render);
+
+    return { show, hide };
+}
+
+export { setupStatusBanner }
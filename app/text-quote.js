@@ -0,0 +1,205 @@
+/**
+ * Film Home School - Text Quote Anchors
+ * Describes a passage of rendered text by its quote and a little context on either side
+ * (prefix / exact / suffix), finds it again later and wraps it in highlight marks.
+ * Only text matters, so anchors don't depend on the elements the text is split into
+ * (e.g., the glossary-term spans added by the highlighter) and survive edits elsewhere in the text.
+ */
+
+// Characters of context kept before and after the quote
+const CONTEXT_LENGTH = 32;
+
+/**
+ * Concatenate the text under a root, remembering where each text node starts
+ * @param {Element} root - Element whose text to index
+ * @param {object} [options] - { ignore }: selector for elements whose text doesn't count (e.g., buttons)
+ * @returns {object} - { text, nodes: [{ node, start, end }] }
+ */
+function indexText(root, options = {}) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: function(node) {
+            if (options.ignore && node.parentElement && node.parentElement.closest(options.ignore)) {
+                return NodeFilter.FILTER_REJECT;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        }
+    });
+
+    const nodes = [];
+    let text = '';
+    let node;
+    while (node = walker.nextNode()) {
+        nodes.push({ node, start: text.length, end: text.length + node.data.length });
+        text += node.data;
+    }
+    return { text, nodes };
+}
+
+/**
+ * Describe a range as a text quote selector
+ * Leading and trailing whitespace is left out of the quote
+ * @param {Element} root - Element the quote is relative to
+ * @param {Range} range - Selected range inside root
+ * @param {object} [options] - See indexText()
+ * @returns {object|null} - { prefix, exact, suffix }, or null when the range has no text or leaves the indexed text
+ */
+function createTextQuote(root, range, options = {}) {
+    const index = indexText(root, options);
+    let start = toTextOffset(index, range.startContainer, range.startOffset);
+    let end = toTextOffset(index, range.endContainer, range.endOffset);
+    if (start === null || end === null) {
+        return null;
+    }
+
+    while (start < end && /\s/.test(index.text[start])) start++;
+    while (end > start && /\s/.test(index.text[end - 1])) end--;
+    if (start === end) {
+        return null;
+    }
+
+    return {
+        prefix: index.text.slice(Math.max(start - CONTEXT_LENGTH, 0), start),
+        exact: index.text.slice(start, end),
+        suffix: index.text.slice(end, end + CONTEXT_LENGTH)
+    };
+}
+
+/**
+ * Find a text quote again
+ * Every occurrence of the quote is scored by how much of its prefix and suffix still match,
+ * so a repeated phrase resolves to the passage that was selected
+ * @param {Element} root - Element to search
+ * @param {object} quote - { prefix, exact, suffix }
+ * @param {object} [options] - See indexText()
+ * @returns {Range|null} - Range over the quote, or null when the text no longer contains it
+ */
+function anchorTextQuote(root, quote, options = {}) {
+    if (!quote || !quote.exact) {
+        return null;
+    }
+
+    const index = indexText(root, options);
+    let best = null;
+    let bestScore = -1;
+    let position = index.text.indexOf(quote.exact);
+
+    while (position !== -1) {
+        const before = index.text.slice(0, position);
+        const after = index.text.slice(position + quote.exact.length);
+        const score = commonSuffixLength(before, quote.prefix || '') + commonPrefixLength(after, quote.suffix || '');
+        if (score > bestScore) {
+            best = position;
+            bestScore = score;
+        }
+        position = index.text.indexOf(quote.exact, position + 1);
+    }
+
+    if (best === null) {
+        return null;
+    }
+
+    const start = toBoundary(index, best, false);
+    const end = toBoundary(index, best + quote.exact.length, true);
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    return range;
+}
+
+/**
+ * Wrap the text of a range in marks, one per text node so the markup around it stays valid
+ * @param {Range} range - Range whose boundaries are in text nodes (as from anchorTextQuote())
+ * @param {Function} createMark - Returns a new, empty wrapper element
+ * @param {object} [options] - See indexText(); ignored text inside the range isn't wrapped
+ * @returns {Array<HTMLElement>} - The marks, in document order
+ */
+function highlightRange(range, createMark, options = {}) {
+    const root = range.commonAncestorContainer;
+    const segments = [];
+
+    if (root.nodeType === Node.TEXT_NODE) {
+        segments.push({ node: root, start: range.startOffset, end: range.endOffset });
+    } else {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        while (node = walker.nextNode()) {
+            if (!range.intersectsNode(node)) continue;
+            if (options.ignore && node.parentElement.closest(options.ignore)) continue;
+            segments.push({
+                node,
+                start: node === range.startContainer ? range.startOffset : 0,
+                end: node === range.endContainer ? range.endOffset : node.data.length
+            });
+        }
+    }
+
+    // Work out every segment before splitting, since splitting moves the range's boundaries
+    return segments
+        .filter(segment => segment.end > segment.start && segment.node.data.slice(segment.start, segment.end).trim())
+        .map(({ node, start, end }) => {
+            if (end < node.data.length) {
+                node.splitText(end);
+            }
+            const text = start > 0 ? node.splitText(start) : node;
+            const mark = createMark();
+            text.parentNode.replaceChild(mark, text);
+            mark.appendChild(text);
+            return mark;
+        });
+}
+
+/**
+ * Remove marks added by highlightRange(), putting their text back
+ * @param {Element} root - Element to clean up
+ * @param {string} selector - Selector for the marks
+ */
+function removeHighlights(root, selector) {
+    root.querySelectorAll(selector).forEach(mark => {
+        const parent = mark.parentNode;
+        while (mark.firstChild) {
+            parent.insertBefore(mark.firstChild, mark);
+        }
+        parent.removeChild(mark);
+        parent.normalize();
+    });
+}
+
+/**
+ * Offset in the indexed text of a range boundary
+ * @returns {number|null} - Offset, or null when the boundary is in ignored text
+ */
+function toTextOffset(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+        const entry = index.nodes.find(item => item.node === container);
+        return entry ? entry.start + offset : null;
+    }
+
+    // A boundary between elements comes before the first text node after it
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    const next = index.nodes.find(item => boundary.comparePoint(item.node, 0) >= 0);
+    return next ? next.start : index.text.length;
+}
+
+/**
+ * Text node and offset for an offset in the indexed text
+ * An end boundary at a node edge stays in the node before it
+ */
+function toBoundary(index, offset, isEnd) {
+    const entry = index.nodes.find(item => (isEnd ? offset > item.start && offset <= item.end : offset >= item.start && offset < item.end));
+    return { node: entry.node, offset: offset - entry.start };
+}
+
+function commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length++;
+    return length;
+}
+
+function commonSuffixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+    return length;
+}
+
+export { createTextQuote, anchorTextQuote, highlightRange, removeHighlights }
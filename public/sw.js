@@ -0,0 +1,114 @@
+/**
+ * Film Home School - Service Worker
+ * Precaches the app shell so the site opens offline. Lesson and glossary data
+ * are cached separately in IndexedDB by the app (see app/offline-store.js).
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `fhs-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `fhs-runtime-${CACHE_VERSION}`;
+
+// Source paths of the shell. In production builds the script and stylesheet are
+// hashed assets, so the install step also caches whatever index.html references.
+const SHELL_URLS = [
+    '/',
+    '/index.html',
+    '/style/style.css',
+    '/app/main.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
+];
+
+// Fonts and icons are worth keeping for offline use; Supabase requests are not cached here
+const CACHEABLE_ORIGINS = [
+    self.location.origin,
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    // Drop caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || !CACHEABLE_ORIGINS.includes(url.origin)) {
+        return;
+    }
+
+    // Video is streamed in byte ranges; the partial (206) responses can't be cached, so leave them to the network
+    if (request.headers.has('range') || request.destination === 'video' || request.destination === 'track') {
+        return;
+    }
+
+    // Pages: network first so new deployments show up, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('/index.html', { ignoreSearch: true }))
+        );
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+/**
+ * Cache every shell URL that exists, plus the assets index.html references
+ * Missing URLs are skipped instead of failing the install (source paths don't exist in builds)
+ */
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    const urls = new Set(SHELL_URLS);
+
+    try {
+        const response = await fetch('/index.html', { cache: 'no-cache' });
+        const html = await response.clone().text();
+        await cache.put('/index.html', response);
+
+        const pattern = /(?:src|href)="(\/[^"]+)"/g;
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            urls.add(match[1]);
+        }
+    } catch (error) {
+        console.warn('Could not read index.html while precaching:', error);
+    }
+
+    await Promise.allSettled(
+        Array.from(urls).map(url => cache.add(url))
+    );
+}
+
+/**
+ * Respond from the cache right away and update it from the network in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await caches.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
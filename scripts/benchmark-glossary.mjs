@@ -0,0 +1,163 @@
+/**
+ * Film Home School - Glossary Highlighting Benchmark
+ * Compares the Aho-Corasick matcher (app/glossary-matcher.js) with the previous
+ * approach of one RegExp per term per text node on a synthetic glossary and lesson.
+ *
+ * Usage: npm run bench -- [terms] [paragraphs]
+ * Example: npm run bench -- 3000 100
+ */
+
+import { performance } from 'node:perf_hooks'
+import { createServer } from 'vite'
+
+const termCount = Number(process.argv[2]) || 2000;
+const paragraphCount = Number(process.argv[3]) || 50;
+const WORDS_PER_PARAGRAPH = 120;
+
+// Load the app modules through Vite so they resolve exactly like they do in the browser
+// (the dependency optimizer is off: only app modules without npm imports are loaded)
+const server = await createServer({
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] },
+    appType: 'custom',
+    logLevel: 'error'
+});
+
+try {
+    const { createGlossaryMatcher } = await server.ssrLoadModule('/app/glossary-matcher.js');
+    const { expandGlossary, termRegex } = await server.ssrLoadModule('/app/glossary-terms.js');
+
+    const random = createRandom(42);
+    const glossaryMap = buildGlossary(termCount, random);
+    const paragraphs = buildLesson(paragraphCount, Array.from(glossaryMap.keys()), random);
+
+    console.log(`Glossary: ${glossaryMap.size} terms, lesson: ${paragraphs.length} paragraphs (${WORDS_PER_PARAGRAPH} words each)\n`);
+
+    // Previous implementation: a RegExp per form, per text node, then an O(n²) overlap scan
+    const regexResult = measure('RegExp per term', () => {
+        const terms = expandGlossary(glossaryMap);
+        return paragraphs.map(text => findMatchesWithRegexes(text, terms, termRegex));
+    });
+
+    const matcherResult = measure('Aho-Corasick matcher', () => {
+        const matcher = createGlossaryMatcher(glossaryMap);
+        return paragraphs.map(text => matcher.findMatches(text));
+    });
+
+    const compileResult = measure('  of which compiling', () => createGlossaryMatcher(glossaryMap));
+
+    console.log('');
+    console.log(`Speedup: ${(regexResult.time / matcherResult.time).toFixed(1)}x (compile ${compileResult.time.toFixed(1)} ms)`);
+
+    // Both implementations must agree on what gets highlighted
+    const mismatches = regexResult.value.filter((matches, index) => !sameMatches(matches, matcherResult.value[index]));
+    const totalMatches = matcherResult.value.reduce((sum, matches) => sum + matches.length, 0);
+    console.log(`Matches found: ${totalMatches}, paragraphs that differ: ${mismatches.length}`);
+
+    if (mismatches.length > 0) {
+        process.exitCode = 1;
+    }
+} finally {
+    await server.close();
+}
+
+/**
+ * Run a function once and print how long it took
+ */
+function measure(label, fn) {
+    const start = performance.now();
+    const value = fn();
+    const time = performance.now() - start;
+    console.log(`${label.padEnd(24)} ${time.toFixed(1).padStart(10)} ms`);
+    return { value, time };
+}
+
+/**
+ * The matching part of highlightInElement before the matcher was introduced
+ */
+function findMatchesWithRegexes(text, terms, termRegex) {
+    const matches = [];
+
+    terms.forEach(([form, term]) => {
+        const regex = termRegex(form, 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            matches.push({ start: match.index, end: match.index + match[0].length, term });
+        }
+    });
+
+    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const nonOverlapping = [];
+
+    matches.forEach(match => {
+        const overlaps = nonOverlapping.some(existing =>
+            (match.start >= existing.start && match.start < existing.end) ||
+            (match.end > existing.start && match.end <= existing.end)
+        );
+        if (!overlaps) {
+            nonOverlapping.push(match);
+        }
+    });
+
+    return nonOverlapping;
+}
+
+function sameMatches(a, b) {
+    return a.length === b.length &&
+        a.every((match, index) => match.start === b[index].start && match.end === b[index].end);
+}
+
+/**
+ * Glossary of made-up one- to three-word terms, some with aliases
+ */
+function buildGlossary(count, random) {
+    const glossaryMap = new Map();
+
+    while (glossaryMap.size < count) {
+        const wordCount = 1 + Math.floor(random() * 3);
+        const term = Array.from({ length: wordCount }, () => makeWord(random)).join(' ');
+        glossaryMap.set(term, {
+            definition: `Definition of ${term}`,
+            wikipedia_url: null,
+            aliases: random() < 0.2 ? [makeWord(random).toUpperCase()] : []
+        });
+    }
+
+    return glossaryMap;
+}
+
+/**
+ * Paragraphs of filler words with glossary terms mixed in (about one word in eight)
+ */
+function buildLesson(count, terms, random) {
+    return Array.from({ length: count }, () => {
+        const words = [];
+        while (words.length < WORDS_PER_PARAGRAPH) {
+            if (random() < 0.125) {
+                words.push(terms[Math.floor(random() * terms.length)]);
+            } else {
+                words.push(makeWord(random));
+            }
+        }
+        return `${words.join(' ')}.`;
+    });
+}
+
+function makeWord(random) {
+    const syllables = ['ka', 'lo', 'mi', 'ne', 'ra', 'su', 'ti', 'vo', 'ze', 'do', 'pa', 'shi'];
+    const length = 2 + Math.floor(random() * 3);
+    return Array.from({ length }, () => syllables[Math.floor(random() * syllables.length)]).join('');
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so runs are comparable
+ */
+function createRandom(seed) {
+    let state = seed;
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
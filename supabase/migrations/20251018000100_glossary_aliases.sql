@@ -0,0 +1,26 @@
+-- Glossary terms shown as tooltips and on the glossary page
+-- The table predates the migrations folder, so create it only if it is missing
+
+create table if not exists public.glossary (
+    id bigint generated always as identity primary key,
+    term text not null unique,
+    definition text not null,
+    wikipedia_url text
+);
+
+-- Alternate names, abbreviations and irregular plurals that link to the same entry
+-- e.g. 'tracking shot' -> {'traveling shot', 'dolly shot'}, 'extreme long shot' -> {'ELS'}
+alter table public.glossary
+    add column if not exists aliases text[] not null default '{}';
+
+-- The glossary is public course material: anyone can read it, and with row level security on
+-- and no write policies, nobody can change it through the API (instructors get write access in
+-- 20251018000400_glossary_admin.sql)
+alter table public.glossary enable row level security;
+
+-- Replace any read policy added by hand in the dashboard before this migration
+drop policy if exists "Glossary is readable by everyone" on public.glossary;
+
+create policy "Glossary is readable by everyone"
+    on public.glossary for select
+    using (true);
@@ -0,0 +1,27 @@
+-- Per-student lesson progress (see app/progress.js)
+-- Guests keep progress in localStorage; it is merged in here when they sign in
+
+create table if not exists public.progress (
+    user_id uuid not null references auth.users (id) on delete cascade,
+    lesson_slug text not null,
+    completed boolean not null default false,
+    scroll_position real not null default 0 check (scroll_position between 0 and 1),
+    updated_at timestamptz not null default now(),
+    primary key (user_id, lesson_slug)
+);
+
+-- Students can only see and change their own progress
+alter table public.progress enable row level security;
+
+create policy "Students read their own progress"
+    on public.progress for select
+    using (auth.uid() = user_id);
+
+create policy "Students add their own progress"
+    on public.progress for insert
+    with check (auth.uid() = user_id);
+
+create policy "Students update their own progress"
+    on public.progress for update
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
@@ -0,0 +1,25 @@
+-- Finished quizzes of signed-in students (see app/quiz.js)
+-- quiz_id is 'lesson:<slug>', 'terms:<slug,slug,...>' or 'glossary'
+
+create table if not exists public.quiz_results (
+    id bigint generated always as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    quiz_id text not null,
+    score integer not null check (score >= 0),
+    total integer not null check (total > 0 and score <= total),
+    missed text[] not null default '{}',
+    completed_at timestamptz not null default now()
+);
+
+create index if not exists quiz_results_user_quiz_idx on public.quiz_results (user_id, quiz_id, completed_at desc);
+
+-- Students can only see and add their own results
+alter table public.quiz_results enable row level security;
+
+create policy "Students read their own quiz results"
+    on public.quiz_results for select
+    using (auth.uid() = user_id);
+
+create policy "Students add their own quiz results"
+    on public.quiz_results for insert
+    with check (auth.uid() = user_id);
@@ -0,0 +1,58 @@
+-- Instructor-only glossary editing (see app/glossary-admin.js)
+-- Everyone, signed in or not, can read the glossary; only instructors can change it
+--
+-- Instructors are marked in app_metadata, which users can't edit themselves. Grant the role with:
+--   update auth.users
+--   set raw_app_meta_data = raw_app_meta_data || '{"role": "instructor"}'
+--   where email = 'teacher@example.com';
+-- The role is read from the session token, so the instructor has to sign in again afterwards.
+
+create or replace function public.is_instructor()
+returns boolean
+language sql
+stable
+as $$
+    select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'instructor';
+$$;
+
+alter table public.glossary
+    add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.touch_glossary_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at = now();
+    return new;
+end;
+$$;
+
+drop trigger if exists glossary_touch_updated_at on public.glossary;
+
+create trigger glossary_touch_updated_at
+    before update on public.glossary
+    for each row execute function public.touch_glossary_updated_at();
+
+-- Row level security and the public read policy come from 20251018000100_glossary_aliases.sql
+drop policy if exists "Instructors add glossary terms" on public.glossary;
+
+create policy "Instructors add glossary terms"
+    on public.glossary for insert
+    to authenticated
+    with check (public.is_instructor());
+
+drop policy if exists "Instructors update glossary terms" on public.glossary;
+
+create policy "Instructors update glossary terms"
+    on public.glossary for update
+    to authenticated
+    using (public.is_instructor())
+    with check (public.is_instructor());
+
+drop policy if exists "Instructors delete glossary terms" on public.glossary;
+
+create policy "Instructors delete glossary terms"
+    on public.glossary for delete
+    to authenticated
+    using (public.is_instructor());
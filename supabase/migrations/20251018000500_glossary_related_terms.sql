@@ -0,0 +1,5 @@
+-- Explicit "see also" links between glossary entries (see app/glossary-relations.js)
+-- Values are other terms (or their aliases); the relation is shown in both directions,
+-- so it only needs to be entered on one side, e.g. 'key light' -> {'fill light', 'high-key lighting'}
+alter table public.glossary
+    add column if not exists related_terms text[] not null default '{}';
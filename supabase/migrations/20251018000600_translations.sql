@@ -0,0 +1,23 @@
+-- Spanish and Armenian translations of lessons and glossary entries (see app/i18n.js)
+-- Keyed by locale code; anything missing falls back to the English columns
+--   lessons.translations:  {"es": {"title": "...", "body": [...], "module": "..."}, "hy": {...}}
+--   glossary.translations: {"es": {"term": "...", "definition": "...", "wikipedia_url": "...", "aliases": ["..."]}}
+-- Glossary rows stay keyed by the English term, so links, flashcards and quiz results work in every language
+
+alter table public.lessons
+    add column if not exists translations jsonb not null default '{}'::jsonb;
+
+alter table public.lessons
+    drop constraint if exists lessons_translations_is_object;
+
+alter table public.lessons
+    add constraint lessons_translations_is_object check (jsonb_typeof(translations) = 'object');
+
+alter table public.glossary
+    add column if not exists translations jsonb not null default '{}'::jsonb;
+
+alter table public.glossary
+    drop constraint if exists glossary_translations_is_object;
+
+alter table public.glossary
+    add constraint glossary_translations_is_object check (jsonb_typeof(translations) = 'object');
@@ -0,0 +1,37 @@
+-- Highlights and notes students make on lesson text (see app/annotations.js)
+-- Passages are stored as text quotes (prefix / exact / suffix) rather than offsets, so they survive lesson edits
+-- Ids are generated in the browser so guest annotations keep theirs when merged in on sign-in
+
+create table if not exists public.annotations (
+    id uuid primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    lesson_slug text not null,
+    quote_prefix text not null default '',
+    quote_exact text not null check (length(quote_exact) > 0),
+    quote_suffix text not null default '',
+    note text not null default '',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists annotations_user_lesson_idx on public.annotations (user_id, lesson_slug);
+
+-- Students can only see and change their own annotations
+alter table public.annotations enable row level security;
+
+create policy "Students read their own annotations"
+    on public.annotations for select
+    using (auth.uid() = user_id);
+
+create policy "Students add their own annotations"
+    on public.annotations for insert
+    with check (auth.uid() = user_id);
+
+create policy "Students update their own annotations"
+    on public.annotations for update
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create policy "Students delete their own annotations"
+    on public.annotations for delete
+    using (auth.uid() = user_id);
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest'
+import axe from 'axe-core'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { initializeGlossaryTooltips, highlightInElement } from '../app/app.js'
+import { createGlossaryMatcher } from '../app/glossary-matcher.js'
+
+const glossary = new Map([
+    ['Jump cut', { definition: 'A cut between two nearly identical shots', wikipedia_url: 'https://en.wikipedia.org/wiki/Jump_cut', aliases: [] }],
+    ['Match cut', { definition: 'A cut between two matching shapes or actions', wikipedia_url: null, aliases: [] }]
+]);
+
+let tooltip;
+let term;
+
+async function runAxe() {
+    const results = await axe.run(document, {
+        // jsdom doesn't lay out or paint, so contrast can't be measured
+        rules: { 'color-contrast': { enabled: false } }
+    });
+    return results.violations.map(violation => ({
+        rule: violation.id,
+        targets: violation.nodes.map(node => node.target.join(' '))
+    }));
+}
+
+beforeAll(() => {
+    // The real styles, so the closed tooltip is hidden (visibility: hidden) as it is in a browser
+    const style = document.createElement('style');
+    style.textContent = readFileSync(join(dirname(fileURLToPath(import.meta.url)), '../style/style.css'), 'utf8');
+    document.head.appendChild(style);
+
+    document.documentElement.lang = 'en';
+    document.title = 'Editing · film(home)school';
+    initializeGlossaryTooltips();
+    tooltip = document.getElementById('glossary-tooltip');
+});
+
+beforeEach(() => {
+    const main = document.createElement('main');
+    main.innerHTML = '<section class="main-content"><h2>Editing</h2><p>A jump cut, then a match cut.</p></section>';
+    document.body.prepend(main);
+    highlightInElement(main, createGlossaryMatcher(glossary));
+    term = main.querySelector('.glossary-term');
+});
+
+afterEach(() => {
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    document.querySelector('main').remove();
+});
+
+describe('glossary accessibility', () => {
+    it('has no axe violations with the tooltip closed', async () => {
+        expect(term.getAttribute('role')).toBe('button');
+        expect(term.getAttribute('tabindex')).toBe('0');
+        expect(term.getAttribute('aria-expanded')).toBe('false');
+        expect(term.getAttribute('aria-controls')).toBe(tooltip.id);
+        expect(term.hasAttribute('aria-describedby')).toBe(false);
+
+        expect(await runAxe()).toEqual([]);
+    });
+
+    it('has no axe violations with the tooltip open', async () => {
+        term.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+
+        expect(tooltip.classList.contains('show')).toBe(true);
+        expect(term.getAttribute('aria-expanded')).toBe('true');
+        expect(term.getAttribute('aria-describedby')).toBe('glossary-tooltip-definition');
+        expect(document.getElementById('glossary-tooltip-definition').textContent).toBe('A cut between two nearly identical shots');
+        expect(tooltip.getAttribute('role')).toBe('dialog');
+        expect(tooltip.getAttribute('aria-label')).toBe('jump cut');
+        expect(tooltip.contains(document.activeElement)).toBe(true);
+
+        expect(await runAxe()).toEqual([]);
+    });
+});
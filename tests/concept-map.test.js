@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { renderConceptMap, layoutGraph, limitGraph } from '../app/concept-map.js'
+
+// A hub related to every other term, and a chain through the rest
+function createGlossary(size) {
+    const glossary = new Map();
+    for (let i = 0; i < size; i++) {
+        const related = i === 0 ? [] : ['Term 0'];
+        if (i > 0 && i < size - 1) related.push(`Term ${i + 1}`);
+        glossary.set(`Term ${i}`, { definition: `Entry number ${i}`, aliases: [], related_terms: related });
+    }
+    return glossary;
+}
+
+function createChain(size) {
+    const nodes = Array.from({ length: size }, (_, i) => `Node ${i}`);
+    const edges = nodes.slice(1).map((node, i) => ({ source: nodes[i], target: node }));
+    return { nodes, edges };
+}
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('layoutGraph', () => {
+    it('places every node of a large graph inside the margins, the same way each time', () => {
+        const { nodes, edges } = createChain(200);
+
+        const positions = layoutGraph(nodes, edges, { width: 800, height: 600 });
+
+        expect(positions.size).toBe(200);
+        positions.forEach(({ x, y }) => {
+            expect(x).toBeGreaterThanOrEqual(40);
+            expect(x).toBeLessThanOrEqual(760);
+            expect(y).toBeGreaterThanOrEqual(40);
+            expect(y).toBeLessThanOrEqual(560);
+        });
+        expect(layoutGraph(nodes, edges, { width: 800, height: 600 })).toEqual(positions);
+    });
+
+    it('pulls connected nodes closer than unconnected ones', () => {
+        const { nodes, edges } = createChain(20);
+        const positions = layoutGraph(nodes, edges);
+        const distance = (a, b) => Math.hypot(positions.get(a).x - positions.get(b).x, positions.get(a).y - positions.get(b).y);
+
+        expect(distance('Node 0', 'Node 1')).toBeLessThan(distance('Node 0', 'Node 19'));
+    });
+});
+
+describe('limitGraph', () => {
+    it('keeps the most connected nodes and the edges between them', () => {
+        const graph = {
+            nodes: ['A', 'B', 'C', 'D'],
+            edges: [
+                { source: 'A', target: 'B', kind: 'related' },
+                { source: 'A', target: 'C', kind: 'related' },
+                { source: 'A', target: 'D', kind: 'mention' },
+                { source: 'B', target: 'C', kind: 'mention' }
+            ]
+        };
+
+        expect(limitGraph(graph, 2)).toEqual({ nodes: ['A', 'B'], edges: [{ source: 'A', target: 'B', kind: 'related' }] });
+        expect(limitGraph(graph, 4)).toBe(graph);
+    });
+});
+
+describe('renderConceptMap', () => {
+    it('draws at most 150 terms of a large glossary and lists them all', () => {
+        const container = document.createElement('main');
+        document.body.appendChild(container);
+
+        renderConceptMap(container, createGlossary(200));
+
+        expect(container.querySelectorAll('.concept-node')).toHaveLength(150);
+        expect(container.querySelector('.concept-node[data-term="Term 0"]')).not.toBeNull();
+        expect(container.querySelector('.concept-map-list ul').children).toHaveLength(200);
+
+        const note = container.querySelector('.concept-map-note');
+        expect(note.hidden).toBe(false);
+        expect(note.textContent).toContain('150');
+        expect(note.textContent).toContain('200');
+    });
+
+    it('draws a small glossary whole', () => {
+        const container = document.createElement('main');
+        document.body.appendChild(container);
+
+        renderConceptMap(container, createGlossary(10));
+
+        expect(container.querySelectorAll('.concept-node')).toHaveLength(10);
+        expect(container.querySelector('.concept-map-note').hidden).toBe(true);
+    });
+});
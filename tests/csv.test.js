@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest'
+import { parseCSV, parseGlossaryCSV, glossaryToCSV, hasProblems } from '../app/csv.js'
+
+function fieldsOf(text) {
+    return parseCSV(text).records.map(record => record.fields);
+}
+
+describe('parseCSV', () => {
+    it('keeps commas and line breaks inside quoted fields', () => {
+        const { records, errors } = parseCSV('term,definition\n"Shot, reverse shot","Two shots\nthat face each other"\nPan,Turning the camera\n');
+
+        expect(errors).toEqual([]);
+        expect(records).toEqual([
+            { line: 1, fields: ['term', 'definition'], malformed: false },
+            { line: 2, fields: ['Shot, reverse shot', 'Two shots\nthat face each other'], malformed: false },
+            { line: 4, fields: ['Pan', 'Turning the camera'], malformed: false }
+        ]);
+    });
+
+    it('unescapes doubled quotes', () => {
+        expect(fieldsOf('"The ""Kuleshov"" effect","He said ""cut"""')).toEqual([
+            ['The "Kuleshov" effect', 'He said "cut"']
+        ]);
+    });
+
+    it('keeps empty fields, including quoted ones', () => {
+        expect(fieldsOf('a,,""\n,b,')).toEqual([
+            ['a', '', ''],
+            ['', 'b', '']
+        ]);
+    });
+
+    it('reads CRLF, bare CR and LF line endings alike', () => {
+        const expected = [['term', 'definition'], ['Pan', 'Turn'], ['Tilt', 'Nod']];
+
+        expect(fieldsOf('term,definition\r\nPan,Turn\r\nTilt,Nod\r\n')).toEqual(expected);
+        expect(fieldsOf('term,definition\rPan,Turn\rTilt,Nod')).toEqual(expected);
+        expect(fieldsOf('term,definition\nPan,Turn\r\nTilt,Nod\r')).toEqual(expected);
+    });
+
+    it('normalizes line breaks inside quoted fields to \\n', () => {
+        expect(fieldsOf('"one\r\ntwo\rthree"')).toEqual([['one\ntwo\nthree']]);
+    });
+
+    it('skips a leading byte order mark', () => {
+        expect(fieldsOf('\uFEFFterm,definition\nPan,Turn')).toEqual([['term', 'definition'], ['Pan', 'Turn']]);
+    });
+
+    it('ignores blank lines but counts them for line numbers', () => {
+        const { records } = parseCSV('term,definition\n\nPan,Turn\r\n\r\nTilt,Nod');
+
+        expect(records.map(record => [record.line, record.fields[0]])).toEqual([[1, 'term'], [3, 'Pan'], [5, 'Tilt']]);
+    });
+
+    it('reports an unterminated quote at the line its record starts on', () => {
+        const { records, errors } = parseCSV('term,definition\nPan,Turn\nTilt,"Nod\nand never close');
+
+        expect(errors).toEqual([{ line: 3, message: 'Unterminated quoted field' }]);
+        expect(records[2]).toEqual({ line: 3, fields: ['Tilt', 'Nod\nand never close'], malformed: true });
+    });
+
+    it('flags stray quotes in unquoted fields and after closing quotes', () => {
+        const { records, errors } = parseCSV('term,definition\nDolly,A 6" wheel\n"Zoom"x,Lens\nPan,Turn');
+
+        expect(errors).toEqual([
+            { line: 2, message: 'Unexpected quote in unquoted field' },
+            { line: 3, message: 'Unexpected character after closing quote' }
+        ]);
+        expect(records.map(record => record.malformed)).toEqual([false, true, true, false]);
+        expect(records[1].fields).toEqual(['Dolly', 'A 6" wheel']);
+    });
+});
+
+describe('parseGlossaryCSV', () => {
+    it('loads terms with Wikipedia links, aliases and related terms', () => {
+        const csv = [
+            'Term,Definition,Wikipedia URL,Aliases,Related terms',
+            'Extreme wide shot,A shot from very far away,https://en.wikipedia.org/wiki/Long_shot,ELS | extreme long shot,Wide shot',
+            'Wide shot,"Shows the subject, and where it is",,,'
+        ].join('\n');
+
+        const { glossaryMap, report } = parseGlossaryCSV(csv);
+
+        expect(Array.from(glossaryMap)).toEqual([
+            ['Extreme wide shot', {
+                definition: 'A shot from very far away',
+                wikipedia_url: 'https://en.wikipedia.org/wiki/Long_shot',
+                aliases: ['ELS', 'extreme long shot'],
+                related_terms: ['Wide shot']
+            }],
+            ['Wide shot', { definition: 'Shows the subject, and where it is', wikipedia_url: null, aliases: [], related_terms: [] }]
+        ]);
+        expect(report).toEqual({ rows: 2, loaded: 2, skipped: [], malformed: [], duplicates: [], missingColumns: [] });
+        expect(hasProblems(report)).toBe(false);
+    });
+
+    it('accepts columns in any order', () => {
+        const { glossaryMap } = parseGlossaryCSV('definition,wiki,term\nTurning the camera,,Pan');
+
+        expect(glossaryMap.get('Pan')).toMatchObject({ definition: 'Turning the camera', wikipedia_url: null });
+    });
+
+    it('keeps the first of case-insensitive duplicates and reports the rest', () => {
+        const { glossaryMap, report } = parseGlossaryCSV('term,definition,wikipedia_url\nPan,First,\nTilt,Nod,\nPAN,Second,\n pan ,Third,');
+
+        expect(glossaryMap.get('Pan').definition).toBe('First');
+        expect(glossaryMap.size).toBe(2);
+        expect(report.duplicates).toEqual([
+            { line: 4, term: 'PAN', firstLine: 2 },
+            { line: 5, term: 'pan', firstLine: 2 }
+        ]);
+    });
+
+    it('skips rows without a term or definition, and malformed rows', () => {
+        const { glossaryMap, report } = parseGlossaryCSV('term,definition,wikipedia_url\n,Orphan,\nPan,,\nTilt,Nod 45" up,\nZoom,"Lens\nwith no end');
+
+        expect(glossaryMap.size).toBe(0);
+        expect(report.rows).toBe(4);
+        expect(report.skipped).toEqual([
+            { line: 2, reason: 'Missing term' },
+            { line: 3, reason: 'Missing definition for "Pan"' },
+            { line: 4, reason: 'Malformed row' },
+            { line: 5, reason: 'Malformed row' }
+        ]);
+        expect(report.malformed).toEqual([
+            { line: 4, message: 'Unexpected quote in unquoted field' },
+            { line: 5, message: 'Unterminated quoted field' }
+        ]);
+    });
+
+    it('reports rows with the wrong number of fields but still loads them', () => {
+        const { glossaryMap, report } = parseGlossaryCSV('term,definition,wikipedia_url\nPan,Turn\nTilt,Nod,,extra');
+
+        expect(Array.from(glossaryMap.keys())).toEqual(['Pan', 'Tilt']);
+        expect(report.malformed).toEqual([
+            { line: 2, message: 'Expected 3 fields but found 2' },
+            { line: 3, message: 'Expected 3 fields but found 4' }
+        ]);
+    });
+
+    it('reports missing columns', () => {
+        expect(parseGlossaryCSV('term,definition\nPan,Turn').report.missingColumns).toEqual(['wikipedia_url']);
+
+        const noDefinition = parseGlossaryCSV('term,meaning,wikipedia_url\nPan,Turn,');
+        expect(noDefinition.report.missingColumns).toEqual(['definition']);
+        expect(noDefinition.glossaryMap.size).toBe(0);
+        expect(noDefinition.report.rows).toBe(1);
+
+        expect(parseGlossaryCSV('name,definition\n').report.missingColumns).toEqual(['term', 'wikipedia_url']);
+        expect(parseGlossaryCSV('').report.missingColumns).toEqual(['term', 'definition']);
+    });
+});
+
+describe('glossaryToCSV', () => {
+    it('round-trips through parseGlossaryCSV', () => {
+        const glossary = new Map([
+            ['Shot, reverse shot', {
+                definition: 'Two shots that face each other.\nUsed for "dialogue" scenes.',
+                wikipedia_url: 'https://en.wikipedia.org/wiki/Shot_reverse_shot',
+                aliases: ['SRS', 'shot/countershot'],
+                related_terms: ['Eyeline match', '180-degree rule']
+            }],
+            ['Pan', { definition: 'Turning the camera, left or right', wikipedia_url: null, aliases: [], related_terms: [] }]
+        ]);
+
+        const csv = glossaryToCSV(glossary);
+        const { glossaryMap, report } = parseGlossaryCSV(csv);
+
+        expect(csv.endsWith('\r\n')).toBe(true);
+        expect(csv.split('\r\n')[0]).toBe('term,definition,wikipedia_url,aliases,related_terms');
+        expect(glossaryMap).toEqual(glossary);
+        expect(hasProblems(report)).toBe(false);
+    });
+
+    it('writes plain string definitions', () => {
+        const { glossaryMap } = parseGlossaryCSV(glossaryToCSV(new Map([['Tilt', 'Nodding the camera']])));
+
+        expect(glossaryMap.get('Tilt')).toEqual({ definition: 'Nodding the camera', wikipedia_url: null, aliases: [], related_terms: [] });
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createFlashcardDeck, scheduleCard } from '../app/flashcards.js'
+
+const NOW = Date.parse('2026-10-18T09:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const NEW_CARD = { ease: 2.5, interval: 0, repetitions: 0, lapses: 0 };
+
+describe('scheduleCard', () => {
+    it('schedules the first two reviews at fixed intervals', () => {
+        const good = scheduleCard(NEW_CARD, 'good', NOW);
+        expect(good).toMatchObject({ interval: 1, repetitions: 1, lapses: 0 });
+        expect(good.ease).toBeCloseTo(2.5);
+        expect(good.due).toBe(new Date(NOW + DAY).toISOString());
+
+        expect(scheduleCard(NEW_CARD, 'easy', NOW)).toMatchObject({ interval: 4, repetitions: 1 });
+        expect(scheduleCard(good, 'good', NOW)).toMatchObject({ interval: 6, repetitions: 2 });
+        expect(scheduleCard(good, 'hard', NOW)).toMatchObject({ interval: 3, repetitions: 2 });
+    });
+
+    it('multiplies later intervals by the ease, which the grade adjusts', () => {
+        const card = { ease: 2.5, interval: 6, repetitions: 2, lapses: 0 };
+
+        const good = scheduleCard(card, 'good', NOW);
+        expect(good.interval).toBe(15);
+        expect(good.ease).toBeCloseTo(2.5);
+
+        const easy = scheduleCard(card, 'easy', NOW);
+        expect(easy.ease).toBeCloseTo(2.6);
+        expect(easy.interval).toBe(20);
+
+        const hard = scheduleCard(card, 'hard', NOW);
+        expect(hard.ease).toBeCloseTo(2.36);
+        expect(hard.interval).toBe(7);
+        expect(hard.due).toBe(new Date(NOW + 7 * DAY).toISOString());
+    });
+
+    it('resets a lapsed card and brings it back within the session', () => {
+        const card = { ease: 2.5, interval: 15, repetitions: 3, lapses: 1 };
+
+        const again = scheduleCard(card, 'again', NOW);
+
+        expect(again).toMatchObject({ interval: 0, repetitions: 0, lapses: 2 });
+        expect(again.ease).toBeCloseTo(1.96);
+        expect(again.due).toBe(new Date(NOW + 10 * 60 * 1000).toISOString());
+    });
+
+    it('never lets the ease fall below 1.3', () => {
+        expect(scheduleCard({ ...NEW_CARD, ease: 1.3 }, 'again', NOW).ease).toBe(1.3);
+    });
+
+    it('rejects unknown grades', () => {
+        expect(() => scheduleCard(NEW_CARD, 'perfect', NOW)).toThrow('Unknown grade: perfect');
+    });
+});
+
+describe('createFlashcardDeck', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('treats terms named like Object.prototype members as ordinary terms', () => {
+        const deck = createFlashcardDeck();
+
+        expect(deck.has('toString')).toBe(false);
+        deck.grade('toString', 'good');
+        deck.remove('constructor');
+        expect(deck.size()).toBe(0);
+
+        deck.add('constructor');
+        expect(deck.has('constructor')).toBe(true);
+        expect(deck.get('constructor')).toMatchObject({ repetitions: 0, lapses: 0 });
+
+        deck.grade('constructor', 'good');
+        expect(deck.get('constructor')).toMatchObject({ interval: 1, repetitions: 1 });
+
+        deck.remove('constructor');
+        expect(deck.has('constructor')).toBe(false);
+        expect(deck.size()).toBe(0);
+    });
+
+    it('keeps a "__proto__" card across reloads', () => {
+        createFlashcardDeck().add('__proto__');
+
+        const deck = createFlashcardDeck();
+
+        expect(deck.has('__proto__')).toBe(true);
+        expect(deck.size()).toBe(1);
+        expect(deck.due()).toEqual(['__proto__']);
+    });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { PERMISSION_DENIED, validateEntry, findConflicts, parseGlossaryJSON, glossaryToJSON, createGlossaryEditor } from '../app/glossary-admin.js'
+import { renderGlossaryAdmin } from '../app/glossary-admin-ui.js'
+import { setLocale } from '../app/i18n.js'
+import { createMockClient } from './supabase-mock.js'
+
+afterEach(() => {
+    setLocale('en');
+    document.body.innerHTML = '';
+});
+
+const glossary = new Map([
+    ['Jump cut', { definition: 'A cut between two nearly identical shots', aliases: ['jump-cut'] }],
+    ['Close-up', { definition: 'A shot that fills the frame with a face', aliases: ['CU', 'Jump'] }]
+]);
+
+describe('validateEntry', () => {
+    it('trims the fields and drops repeated aliases and self-relations', () => {
+        const { entry, errors } = validateEntry({
+            term: '  Match cut ',
+            definition: ' A cut that links two shots by a shared shape ',
+            wikipedia_url: '',
+            aliases: 'match-cut | MATCH CUT | Match-Cut | graphic match',
+            related_terms: ['Jump cut', 'match cut', 'Jump cut']
+        });
+
+        expect(errors).toEqual([]);
+        expect(entry).toEqual({
+            term: 'Match cut',
+            definition: 'A cut that links two shots by a shared shape',
+            wikipedia_url: null,
+            aliases: ['match-cut', 'graphic match'],
+            related_terms: ['Jump cut']
+        });
+    });
+
+    it('reports a missing term, a missing definition and a bad Wikipedia link', () => {
+        expect(validateEntry({ term: ' ', definition: '', wikipedia_url: 'en.wikipedia.org/wiki/Cut' }).errors).toEqual([
+            'Enter a term.',
+            'Enter a definition.',
+            'The Wikipedia link must be a full http(s) URL.'
+        ]);
+        expect(validateEntry({ term: 'Cut', definition: 'A join', wikipedia_url: 'https://en.wikipedia.org/wiki/Cut_(transition)' }).errors).toEqual([]);
+    });
+
+    it('reports errors in the active language', () => {
+        setLocale('es');
+
+        expect(validateEntry({ term: 'Corte', definition: '' }).errors).toEqual(['Escribe una definición.']);
+    });
+
+    it('keeps translations only when they are an object', () => {
+        const translations = { es: { term: 'Corte', definition: 'Una unión' } };
+
+        expect(validateEntry({ term: 'Cut', definition: 'A join', translations }).entry.translations).toBe(translations);
+        expect(validateEntry({ term: 'Cut', definition: 'A join', translations: ['es'] }).entry).not.toHaveProperty('translations');
+    });
+});
+
+describe('findConflicts', () => {
+    it('blocks a term that another entry already uses, ignoring case', () => {
+        const { entry } = validateEntry({ term: 'JUMP CUT', definition: 'A jarring cut' });
+
+        expect(findConflicts(glossary, entry)).toEqual([{ form: 'JUMP CUT', term: 'Jump cut', kind: 'term' }]);
+    });
+
+    it('warns about aliases shared with other entries', () => {
+        const { entry } = validateEntry({ term: 'Jump', definition: 'A leap', aliases: ['cu', 'jump cut'] });
+
+        expect(findConflicts(glossary, entry)).toEqual([
+            { form: 'jump cut', term: 'Jump cut', kind: 'alias' },
+            { form: 'Jump', term: 'Close-up', kind: 'alias' },
+            { form: 'cu', term: 'Close-up', kind: 'alias' }
+        ]);
+    });
+
+    it('does not count the entry being edited', () => {
+        const { entry } = validateEntry({ term: 'Jump cut', definition: 'A jarring cut', aliases: ['jump-cut'] });
+
+        expect(findConflicts(glossary, entry, 'Jump cut')).toEqual([]);
+    });
+});
+
+describe('parseGlossaryJSON', () => {
+    it('reads an array of entries and reports skipped rows and duplicates', () => {
+        const { glossaryMap, report } = parseGlossaryJSON(JSON.stringify([
+            { term: 'Pan', definition: 'Turning the camera sideways', aliases: 'panning' },
+            { term: 'Tilt' },
+            'Dolly',
+            { term: 'PAN', definition: 'Panning again' }
+        ]));
+
+        expect(Array.from(glossaryMap.keys())).toEqual(['Pan']);
+        expect(glossaryMap.get('Pan')).toEqual({ definition: 'Turning the camera sideways', wikipedia_url: null, aliases: ['panning'], related_terms: [] });
+        expect(report).toEqual({
+            rows: 4,
+            loaded: 1,
+            skipped: [{ line: 2, reason: '"Tilt": Enter a definition.' }, { line: 3, reason: 'Not an object' }],
+            malformed: [],
+            duplicates: [{ line: 4, term: 'PAN', firstLine: 1 }],
+            missingColumns: []
+        });
+    });
+
+    it('reads an object keyed by term', () => {
+        const { glossaryMap } = parseGlossaryJSON('{ "Pan": "Turning the camera sideways", "Tilt": { "definition": "Tipping the camera", "aliases": ["tilting"] } }');
+
+        expect(glossaryMap.get('Pan')).toMatchObject({ definition: 'Turning the camera sideways' });
+        expect(glossaryMap.get('Tilt')).toMatchObject({ aliases: ['tilting'] });
+    });
+
+    it('reads back what glossaryToJSON writes', () => {
+        expect(parseGlossaryJSON(glossaryToJSON(glossary)).glossaryMap.get('Close-up')).toEqual({
+            definition: 'A shot that fills the frame with a face',
+            wikipedia_url: null,
+            aliases: ['CU', 'Jump'],
+            related_terms: []
+        });
+    });
+
+    it('reports invalid JSON as malformed', () => {
+        const { glossaryMap, report } = parseGlossaryJSON('[{ "term": "Pan", }');
+
+        expect(glossaryMap.size).toBe(0);
+        expect(report.malformed).toHaveLength(1);
+        expect(report.malformed[0].message).toMatch(/^Invalid JSON/);
+    });
+});
+
+describe('createGlossaryEditor', () => {
+    it('reports a write that row-level security turned into zero rows', async () => {
+        const editor = createGlossaryEditor(createMockClient({ glossary: { data: [], error: null } }));
+
+        await expect(editor.remove('Jump cut')).rejects.toMatchObject({ code: PERMISSION_DENIED, action: 'delete' });
+        await expect(editor.save({ term: 'Jump cut', definition: 'A cut' })).rejects.toMatchObject({ action: 'add' });
+        await expect(editor.save({ term: 'Jump cut', definition: 'A cut' }, 'Jump-cut')).rejects.toMatchObject({ action: 'save' });
+    });
+
+    it('passes Supabase errors through', async () => {
+        const editor = createGlossaryEditor(createMockClient({ glossary: { data: null, error: { message: 'JWT expired' } } }));
+
+        await expect(editor.importEntries(new Map([['Pan', { definition: 'Turning the camera' }]])))
+            .rejects.toMatchObject({ message: 'JWT expired' });
+    });
+});
+
+describe('renderGlossaryAdmin', () => {
+    it('shows a refused write in the active language', async () => {
+        setLocale('es');
+        const denied = Object.assign(new Error('Glossary add changed no rows'), { code: PERMISSION_DENIED, action: 'add' });
+        const container = document.createElement('main');
+        document.body.appendChild(container);
+
+        renderGlossaryAdmin(container, {
+            glossaryMap: new Map(),
+            editor: { canEdit: () => true, save: async () => { throw denied; } },
+            lessons: [],
+            onChange: () => {}
+        });
+        container.querySelector('#admin-term').value = 'Jump cut';
+        container.querySelector('#admin-definition').value = 'A cut between two nearly identical shots';
+        container.querySelector('.admin-form').dispatchEvent(new Event('submit', { cancelable: true }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const message = container.querySelector('.admin-message');
+        expect(message.textContent).toBe('No se pudo añadir el término. Puede que tu cuenta no tenga acceso de profesor.');
+        expect(message.classList.contains('is-error')).toBe(true);
+    });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { highlightInElement, highlightGlossaryTerms } from '../app/app.js'
+import { createGlossaryMatcher } from '../app/glossary-matcher.js'
+
+const glossary = new Map([
+    ['Shot', { definition: 'A continuous piece of film', wikipedia_url: 'https://en.wikipedia.org/wiki/Shot_(filmmaking)', aliases: [] }],
+    ['Wide shot', { definition: 'A shot showing the subject in its surroundings', wikipedia_url: null, aliases: [] }],
+    ['Extreme wide shot', { definition: 'A shot from very far away', wikipedia_url: null, aliases: ['ELS'] }],
+    ['Dolly zoom', { definition: 'A zoom in while the camera pulls back', wikipedia_url: null, aliases: [] }],
+    ['Zoom', { definition: 'Changing the focal length during a shot', wikipedia_url: null, aliases: [] }]
+]);
+
+let container;
+
+function highlight(html) {
+    container.innerHTML = html;
+    highlightInElement(container, createGlossaryMatcher(glossary));
+    return Array.from(container.querySelectorAll('.glossary-term'));
+}
+
+function describeTerms(terms) {
+    return terms.map(term => [term.textContent, term.dataset.term]);
+}
+
+beforeEach(() => {
+    document.body.innerHTML = '<section class="main-content"></section>';
+    container = document.querySelector('.main-content');
+});
+
+describe('highlightInElement', () => {
+    it('wraps terms in disclosure buttons carrying the definition', () => {
+        const [term] = highlight('<p>Start with a wide shot.</p>');
+
+        expect(term.tagName).toBe('SPAN');
+        expect(term.getAttribute('role')).toBe('button');
+        expect(term.getAttribute('tabindex')).toBe('0');
+        expect(term.getAttribute('aria-expanded')).toBe('false');
+        expect(term.getAttribute('aria-controls')).toBe('glossary-tooltip');
+        expect(term.dataset.definition).toBe('A shot showing the subject in its surroundings');
+        expect(container.textContent).toBe('Start with a wide shot.');
+    });
+
+    it('keeps the Wikipedia link of entries that have one', () => {
+        const [term] = highlight('<p>Every shot counts.</p>');
+
+        expect(term.dataset.wikipediaUrl).toBe('https://en.wikipedia.org/wiki/Shot_(filmmaking)');
+    });
+
+    it('prefers the longest of overlapping terms', () => {
+        const terms = highlight('<p>An extreme wide shot, a wide shot and a shot.</p>');
+
+        expect(describeTerms(terms)).toEqual([
+            ['extreme wide shot', 'Extreme wide shot'],
+            ['wide shot', 'Wide shot'],
+            ['shot', 'Shot']
+        ]);
+    });
+
+    it('takes the leftmost match when terms overlap at different positions', () => {
+        // "Dolly zoom" and "Zoom" overlap; "zoom shot" is not a term, so "shot" stands alone
+        const terms = highlight('<p>A dolly zoom shot.</p>');
+
+        expect(describeTerms(terms)).toEqual([
+            ['dolly zoom', 'Dolly zoom'],
+            ['shot', 'Shot']
+        ]);
+    });
+
+    it('finds terms inside nested elements', () => {
+        const terms = highlight('<div><p>Use a <em>dolly zoom</em> or <strong>a <a href="#">wide shot</a></strong>.</p></div>');
+
+        expect(describeTerms(terms)).toEqual([
+            ['dolly zoom', 'Dolly zoom'],
+            ['wide shot', 'Wide shot']
+        ]);
+        expect(terms[0].parentElement.tagName).toBe('EM');
+        expect(terms[1].parentElement.tagName).toBe('A');
+    });
+
+    it('does not join a term split across elements', () => {
+        const terms = highlight('<p><em>Dolly</em> zoom</p>');
+
+        expect(describeTerms(terms)).toEqual([['zoom', 'Zoom']]);
+    });
+
+    it('preserves the capitalization of the text', () => {
+        const terms = highlight('<p>DOLLY ZOOM, Dolly Zoom and dolly zoom.</p>');
+
+        expect(describeTerms(terms)).toEqual([
+            ['DOLLY ZOOM', 'Dolly zoom'],
+            ['Dolly Zoom', 'Dolly zoom'],
+            ['dolly zoom', 'Dolly zoom']
+        ]);
+    });
+
+    it('matches aliases and only whole words', () => {
+        const terms = highlight('<p>An ELS is not a screenshot.</p>');
+
+        expect(describeTerms(terms)).toEqual([['ELS', 'Extreme wide shot']]);
+    });
+
+    it('does not re-highlight existing glossary terms', () => {
+        container.innerHTML = '<p>A <span class="glossary-term" data-term="Shot">shot</span>, ' +
+            'a <span class="glossary-term" data-term="Shot"><mark>shot</mark></span> then a wide shot.</p>';
+        const existing = Array.from(container.querySelectorAll('.glossary-term'));
+        const matcher = createGlossaryMatcher(glossary);
+
+        highlightInElement(container, matcher);
+        highlightInElement(container, matcher);
+
+        const terms = Array.from(container.querySelectorAll('.glossary-term'));
+        expect(terms[0]).toBe(existing[0]);
+        expect(terms[1]).toBe(existing[1]);
+        expect(describeTerms(terms)).toEqual([
+            ['shot', 'Shot'],
+            ['shot', 'Shot'],
+            ['wide shot', 'Wide shot']
+        ]);
+        expect(terms[1].innerHTML).toBe('<mark>shot</mark>');
+        expect(container.querySelector('.glossary-term .glossary-term')).toBeNull();
+    });
+
+    it('leaves text without terms untouched', () => {
+        container.innerHTML = '<p>Nothing to see here.</p>';
+        const text = container.querySelector('p').firstChild;
+
+        highlightInElement(container, createGlossaryMatcher(glossary));
+
+        expect(container.querySelector('p').firstChild).toBe(text);
+    });
+});
+
+describe('highlightGlossaryTerms', () => {
+    it('highlights every element matching the selector', () => {
+        document.body.innerHTML = '<p class="lesson">A shot.</p><p class="lesson">A zoom.</p><p>A shot elsewhere.</p>';
+
+        highlightGlossaryTerms('.lesson', glossary);
+
+        expect(document.querySelectorAll('.lesson .glossary-term')).toHaveLength(2);
+        expect(document.querySelectorAll('.glossary-term')).toHaveLength(2);
+    });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { loadGlossary, loadGlossaryFromCSV, loadContent } from '../app/app.js'
+import { createMockClient } from './supabase-mock.js'
+
+const CSV = [
+    'term,definition,wikipedia_url,aliases',
+    'Dolly zoom,"A zoom in while the camera pulls back, or the reverse",https://en.wikipedia.org/wiki/Dolly_zoom,Vertigo effect',
+    'Jump cut,A cut between two shots that are nearly the same,,'
+].join('\n');
+
+function mockFetch(response) {
+    const fetch = vi.fn(async () => response);
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+}
+
+function csvResponse(text, status = 200) {
+    return { ok: status >= 200 && status < 300, status, text: async () => text };
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('loadGlossary', () => {
+    let fetch;
+
+    beforeEach(() => {
+        fetch = mockFetch(csvResponse(CSV));
+    });
+
+    it('builds the glossary from Supabase', async () => {
+        const client = createMockClient({
+            glossary: {
+                data: [
+                    {
+                        term: 'Mise-en-scène',
+                        definition: 'Everything placed in front of the camera',
+                        wikipedia_url: 'https://en.wikipedia.org/wiki/Mise-en-sc%C3%A8ne',
+                        aliases: 'mise en scene | staging',
+                        related_terms: 'Blocking',
+                        translations: { es: { term: 'Puesta en escena' } }
+                    },
+                    { term: 'Blocking', definition: 'Planning where actors move' }
+                ],
+                error: null
+            }
+        });
+
+        const glossary = await loadGlossary(client);
+
+        expect(client.from).toHaveBeenCalledWith('glossary');
+        expect(fetch).not.toHaveBeenCalled();
+        expect(Array.from(glossary.keys())).toEqual(['Mise-en-scène', 'Blocking']);
+        expect(glossary.get('Mise-en-scène')).toEqual({
+            definition: 'Everything placed in front of the camera',
+            wikipedia_url: 'https://en.wikipedia.org/wiki/Mise-en-sc%C3%A8ne',
+            aliases: ['mise en scene', 'staging'],
+            related_terms: ['Blocking'],
+            translations: { es: { term: 'Puesta en escena' } }
+        });
+        expect(glossary.get('Blocking')).toMatchObject({ wikipedia_url: null, aliases: [], related_terms: [], translations: {} });
+    });
+
+    it('skips rows without a term or a definition', async () => {
+        const client = createMockClient({
+            glossary: {
+                data: [
+                    { term: 'Tracking shot', definition: 'The camera moves alongside the action' },
+                    { term: 'Pan', definition: '' },
+                    { term: null, definition: 'Orphaned definition' }
+                ],
+                error: null
+            }
+        });
+
+        const glossary = await loadGlossary(client);
+
+        expect(Array.from(glossary.keys())).toEqual(['Tracking shot']);
+    });
+
+    it('falls back to the CSV file when Supabase returns an error', async () => {
+        const client = createMockClient({
+            glossary: { data: null, error: { message: 'permission denied for table glossary', code: '42501' } }
+        });
+
+        const glossary = await loadGlossary(client);
+
+        expect(fetch).toHaveBeenCalledWith('/local_files/glossary.csv');
+        expect(Array.from(glossary.keys())).toEqual(['Dolly zoom', 'Jump cut']);
+    });
+
+    it('falls back to the CSV file when Supabase cannot be reached', async () => {
+        const client = createMockClient({ glossary: new TypeError('Failed to fetch') });
+
+        const glossary = await loadGlossary(client);
+
+        expect(fetch).toHaveBeenCalledWith('/local_files/glossary.csv');
+        expect(glossary.size).toBe(2);
+    });
+
+    it('falls back to the CSV file when the Supabase glossary is empty', async () => {
+        const client = createMockClient({ glossary: { data: [], error: null } });
+
+        const glossary = await loadGlossary(client);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(glossary.get('Dolly zoom')).toMatchObject({
+            wikipedia_url: 'https://en.wikipedia.org/wiki/Dolly_zoom',
+            aliases: ['Vertigo effect']
+        });
+    });
+
+    it('rejects when neither Supabase nor the CSV file has terms', async () => {
+        fetch = mockFetch(csvResponse('Not found', 404));
+        const client = createMockClient({ glossary: { data: null, error: { message: 'relation "glossary" does not exist' } } });
+
+        await expect(loadGlossary(client)).rejects.toThrow('status 404');
+    });
+});
+
+describe('loadGlossaryFromCSV', () => {
+    it('parses the local CSV file', async () => {
+        mockFetch(csvResponse(CSV));
+
+        const glossary = await loadGlossaryFromCSV();
+
+        expect(glossary.get('Jump cut')).toMatchObject({
+            definition: 'A cut between two shots that are nearly the same',
+            wikipedia_url: null
+        });
+    });
+
+    it('rejects when the file has no terms', async () => {
+        mockFetch(csvResponse('term,definition\n'));
+
+        await expect(loadGlossaryFromCSV()).rejects.toThrow('no terms');
+    });
+
+    it('rejects when the file cannot be fetched', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => {
+            throw new TypeError('Failed to fetch');
+        }));
+
+        await expect(loadGlossaryFromCSV()).rejects.toThrow('Failed to fetch');
+    });
+});
+
+describe('loadContent', () => {
+    it('returns the lessons from Supabase', async () => {
+        const lessons = [{ slug: 'framing', title: 'Framing', body: '', module: 'Basics', position: 1 }];
+        const client = createMockClient({ lessons: { data: lessons, error: null } });
+
+        await expect(loadContent(client)).resolves.toEqual(lessons);
+        expect(client.from).toHaveBeenCalledWith('lessons');
+    });
+
+    it('returns no lessons when the course is empty', async () => {
+        const client = createMockClient({ lessons: { data: [], error: null } });
+
+        await expect(loadContent(client)).resolves.toEqual([]);
+    });
+
+    it('rejects when Supabase returns an error', async () => {
+        const client = createMockClient({ lessons: { data: null, error: { message: 'JWT expired' } } });
+
+        await expect(loadContent(client)).rejects.toMatchObject({ message: 'JWT expired' });
+    });
+});
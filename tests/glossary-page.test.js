@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest'
+import { indexLessonsByTerm, renderGlossaryPage, fuzzyScore } from '../app/glossary-page.js'
+
+const glossary = new Map([
+    ['Jump cut', { definition: 'A cut between two nearly identical shots', aliases: ['jump-cut'] }],
+    ['Close-up', { definition: 'A shot that fills the frame with a face', aliases: ['CU'] }],
+    ['Dolly', { definition: 'A cart the camera moves on', aliases: [] }]
+]);
+
+const lessons = [
+    { slug: 'editing', title: 'Editing', body: 'Godard made the jump cut famous. Another jump-cut follows.' },
+    { slug: 'framing', title: 'Framing', body: 'Start wide, then go to a CU.' },
+    { slug: 'coverage', title: 'Coverage', body: [{ type: 'paragraph', text: 'A close-up after the jump cut.' }] }
+];
+
+describe('indexLessonsByTerm', () => {
+    it('lists the lessons each term or alias appears in, in course order', () => {
+        const index = indexLessonsByTerm(lessons, glossary);
+
+        expect(index.get('Jump cut').map(lesson => lesson.slug)).toEqual(['editing', 'coverage']);
+        expect(index.get('Close-up').map(lesson => lesson.slug)).toEqual(['framing', 'coverage']);
+        expect(index.has('Dolly')).toBe(false);
+    });
+
+    it('handles an empty glossary', () => {
+        expect(indexLessonsByTerm(lessons, new Map()).size).toBe(0);
+    });
+});
+
+describe('renderGlossaryPage', () => {
+    it('links each entry to the lessons it appears in', () => {
+        const container = document.createElement('section');
+
+        renderGlossaryPage(container, glossary, lessons);
+
+        const entry = container.querySelector('#glossary-close-up');
+        const links = Array.from(entry.querySelectorAll('.glossary-entry-lessons a'), link => link.getAttribute('href'));
+        expect(links).toEqual(['#/lessons/framing', '#/lessons/coverage']);
+    });
+
+    it('gives entries whose terms share a slug distinct ids', () => {
+        // jsdom has no layout, so nothing to scroll
+        Element.prototype.scrollIntoView = vi.fn();
+        const container = document.createElement('section');
+        document.body.appendChild(container);
+        const cuts = new Map([
+            ['Cut-in', { definition: 'A close shot of something in the scene', aliases: [] }],
+            ['Cut in', { definition: 'To insert a shot', aliases: [] }],
+            ['Cut in 2', { definition: 'A made-up term whose slug matches a numbered id', aliases: [] }]
+        ]);
+
+        const target = renderGlossaryPage(container, cuts, [], 'cut-in');
+
+        const ids = Array.from(container.querySelectorAll('.glossary-entry'), entry => [entry.querySelector('h4').textContent, entry.id]);
+        expect(ids).toEqual([['Cut in', 'glossary-cut-in'], ['Cut in 2', 'glossary-cut-in-2'], ['Cut-in', 'glossary-cut-in-3']]);
+        expect(target.term).toBe('Cut in');
+        expect(container.querySelector('.is-targeted').id).toBe('glossary-cut-in');
+        container.remove();
+        delete Element.prototype.scrollIntoView;
+    });
+});
+
+describe('fuzzyScore', () => {
+    it('ranks exact, prefix, substring and in-order matches', () => {
+        expect(fuzzyScore('Dolly', 'dolly')).toBe(100);
+        expect(fuzzyScore('dol', 'Dolly zoom')).toBe(90);
+        expect(fuzzyScore('zoom', 'Dolly zoom')).toBe(64);
+        expect(fuzzyScore('dz', 'Dolly zoom')).toBeGreaterThan(0);
+        expect(fuzzyScore('zd', 'Dolly zoom')).toBe(0);
+        expect(fuzzyScore('scene', 'Mise-en-scène')).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest'
+import { getRelatedTerms, buildConceptGraph } from '../app/glossary-relations.js'
+import { clearGlossaryMatcher, getGlossaryMatcher } from '../app/glossary-matcher.js'
+
+vi.mock('../app/glossary-matcher.js', async importOriginal => {
+    const actual = await importOriginal();
+    return { ...actual, getGlossaryMatcher: vi.fn(actual.getGlossaryMatcher) };
+});
+
+function createGlossary() {
+    return new Map([
+        ['Shot', { definition: 'A continuous piece of film', aliases: [], related_terms: ['cut', 'Take'] }],
+        ['Cut', { definition: 'The join between one shot and the next', aliases: [], related_terms: [] }],
+        ['Take', { definition: 'One recording of a shot', aliases: ['retake'], related_terms: ['Shot', 'Take'] }],
+        ['Jump cut', { definition: 'A jarring cut', aliases: [], related_terms: ['RETAKE', 'Unknown term'] }]
+    ]);
+}
+
+describe('getRelatedTerms', () => {
+    it('follows related_terms in both directions, by any spelling or alias', () => {
+        const glossary = createGlossary();
+
+        expect(getRelatedTerms('Shot', glossary)).toEqual(['Cut', 'Take']);
+        expect(getRelatedTerms('Cut', glossary)).toEqual(['Shot']);
+        expect(getRelatedTerms('Take', glossary)).toEqual(['Jump cut', 'Shot']);
+        expect(getRelatedTerms('Jump cut', glossary)).toEqual(['Take']);
+    });
+
+    it('returns nothing for unrelated or unknown terms', () => {
+        const glossary = createGlossary();
+        glossary.set('Pan', { definition: 'Turning the camera', aliases: [], related_terms: [] });
+
+        expect(getRelatedTerms('Pan', glossary)).toEqual([]);
+        expect(getRelatedTerms('Nope', glossary)).toEqual([]);
+    });
+
+    it('sees changes made in place once the matcher is cleared', () => {
+        const glossary = createGlossary();
+        expect(getRelatedTerms('Cut', glossary)).toEqual(['Shot']);
+
+        glossary.set('Cut', { definition: 'The join between shots', aliases: [], related_terms: ['Jump cut'] });
+        clearGlossaryMatcher(glossary);
+
+        expect(getRelatedTerms('Cut', glossary)).toEqual(['Jump cut', 'Shot']);
+    });
+
+    it('indexes a large glossary from related_terms alone, without the matcher', () => {
+        // 200 terms in a chain, each related to the next
+        const glossary = new Map();
+        for (let i = 0; i < 200; i++) {
+            glossary.set(`Term ${i}`, { definition: `Entry number ${i}`, aliases: [], related_terms: i < 199 ? [`term ${i + 1}`] : [] });
+        }
+        getGlossaryMatcher.mockClear();
+
+        expect(getRelatedTerms('Term 0', glossary)).toEqual(['Term 1']);
+        expect(getRelatedTerms('Term 150', glossary)).toEqual(['Term 149', 'Term 151']);
+        expect(getRelatedTerms('Term 199', glossary)).toEqual(['Term 198']);
+        expect(getGlossaryMatcher).not.toHaveBeenCalled();
+    });
+});
+
+describe('buildConceptGraph', () => {
+    it('joins explicit relations and mentions, preferring explicit ones', () => {
+        const { nodes, edges } = buildConceptGraph(createGlossary());
+
+        expect(nodes).toEqual(['Cut', 'Jump cut', 'Shot', 'Take']);
+        expect(edges).toHaveLength(4);
+        expect(edges).toEqual(expect.arrayContaining([
+            // "Cut" and "Take" also mention "shot", but the explicit relation wins
+            { source: 'Cut', target: 'Shot', kind: 'related' },
+            { source: 'Shot', target: 'Take', kind: 'related' },
+            { source: 'Jump cut', target: 'Take', kind: 'related' },
+            { source: 'Cut', target: 'Jump cut', kind: 'mention' }
+        ]));
+    });
+
+    it('leaves out mentions on request', () => {
+        const { edges } = buildConceptGraph(createGlossary(), { mentions: false });
+
+        expect(edges.every(edge => edge.kind === 'related')).toBe(true);
+        expect(edges).toHaveLength(3);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest'
+import { initializeGlossaryTooltips, highlightInElement } from '../app/app.js'
+import { createGlossaryMatcher } from '../app/glossary-matcher.js'
+
+// How long the tooltip stays after the pointer leaves (see initializeGlossaryTooltips)
+const HIDE_DELAY = 300;
+
+const glossary = new Map([
+    ['Jump cut', { definition: 'A cut between two nearly identical shots', wikipedia_url: 'https://en.wikipedia.org/wiki/Jump_cut', aliases: [] }],
+    ['Match cut', { definition: 'A cut between two matching shapes or actions', wikipedia_url: null, aliases: [] }]
+]);
+
+let tooltip;
+let jumpCut;
+let matchCut;
+
+function fire(target, type, init = {}) {
+    const EventType = type.startsWith('key') ? KeyboardEvent : type.startsWith('focus') ? FocusEvent : MouseEvent;
+    target.dispatchEvent(new EventType(type, { bubbles: true, cancelable: true, ...init }));
+}
+
+function isShown() {
+    return tooltip.classList.contains('show');
+}
+
+beforeAll(() => {
+    initializeGlossaryTooltips();
+    tooltip = document.getElementById('glossary-tooltip');
+});
+
+beforeEach(() => {
+    vi.useFakeTimers();
+
+    const content = document.createElement('section');
+    content.className = 'main-content';
+    content.innerHTML = '<p>A jump cut, then a match cut.</p><button type="button" class="outside">Next</button>';
+    document.body.prepend(content);
+    highlightInElement(content, createGlossaryMatcher(glossary));
+    [jumpCut, matchCut] = content.querySelectorAll('.glossary-term');
+});
+
+afterEach(() => {
+    // Close the tooltip like a navigation does, and drop the lesson
+    fire(document.body, 'keydown', { key: 'Escape' });
+    document.querySelector('.main-content').remove();
+    vi.useRealTimers();
+});
+
+describe('glossary tooltips', () => {
+    it('creates a single tooltip dialog', () => {
+        initializeGlossaryTooltips();
+
+        expect(document.querySelectorAll('#glossary-tooltip')).toHaveLength(1);
+        expect(tooltip.getAttribute('role')).toBe('dialog');
+    });
+
+    it('shows the definition as soon as the pointer is over a term', () => {
+        fire(jumpCut, 'mouseover');
+
+        expect(isShown()).toBe(true);
+        expect(tooltip.getAttribute('aria-label')).toBe('jump cut');
+        expect(tooltip.querySelector('.tooltip-definition').textContent).toBe('A cut between two nearly identical shots');
+        expect(tooltip.querySelector('.tooltip-wiki-link').href).toBe('https://en.wikipedia.org/wiki/Jump_cut');
+        expect(jumpCut.getAttribute('aria-expanded')).toBe('true');
+        expect(jumpCut.getAttribute('aria-describedby')).toBe('glossary-tooltip-definition');
+    });
+
+    it('hides the tooltip a moment after the pointer leaves', () => {
+        fire(jumpCut, 'mouseover');
+        fire(jumpCut, 'mouseout');
+
+        vi.advanceTimersByTime(HIDE_DELAY - 1);
+        expect(isShown()).toBe(true);
+
+        vi.advanceTimersByTime(1);
+        expect(isShown()).toBe(false);
+        expect(jumpCut.getAttribute('aria-expanded')).toBe('false');
+        expect(jumpCut.hasAttribute('aria-describedby')).toBe(false);
+    });
+
+    it('stays open while the pointer moves onto the tooltip', () => {
+        fire(jumpCut, 'mouseover');
+        fire(jumpCut, 'mouseout');
+        vi.advanceTimersByTime(HIDE_DELAY / 2);
+        fire(tooltip, 'mouseover');
+
+        vi.advanceTimersByTime(HIDE_DELAY * 2);
+        expect(isShown()).toBe(true);
+
+        fire(tooltip, 'mouseout');
+        vi.advanceTimersByTime(HIDE_DELAY);
+        expect(isShown()).toBe(false);
+    });
+
+    it('cancels the pending hide when the pointer comes back to the term', () => {
+        fire(jumpCut, 'mouseover');
+        fire(jumpCut, 'mouseout');
+        vi.advanceTimersByTime(HIDE_DELAY - 50);
+        fire(jumpCut, 'mouseover');
+
+        vi.advanceTimersByTime(HIDE_DELAY * 2);
+        expect(isShown()).toBe(true);
+    });
+
+    it('moves to another term without waiting for the delay', () => {
+        fire(jumpCut, 'mouseover');
+        fire(jumpCut, 'mouseout');
+        fire(matchCut, 'mouseover');
+
+        expect(tooltip.getAttribute('aria-label')).toBe('match cut');
+        expect(jumpCut.getAttribute('aria-expanded')).toBe('false');
+        expect(matchCut.getAttribute('aria-expanded')).toBe('true');
+
+        vi.advanceTimersByTime(HIDE_DELAY * 2);
+        expect(isShown()).toBe(true);
+    });
+
+    it('stays open while the term has keyboard focus', () => {
+        jumpCut.focus();
+        expect(isShown()).toBe(true);
+
+        fire(jumpCut, 'mouseover');
+        fire(jumpCut, 'mouseout');
+        vi.advanceTimersByTime(HIDE_DELAY * 2);
+        expect(isShown()).toBe(true);
+    });
+
+    it('closes when focus moves elsewhere', () => {
+        jumpCut.focus();
+        document.querySelector('.outside').focus();
+
+        expect(isShown()).toBe(false);
+    });
+
+    it('closes on Escape and returns focus to the term', () => {
+        fire(jumpCut, 'keydown', { key: 'Enter' });
+        expect(isShown()).toBe(true);
+        expect(tooltip.contains(document.activeElement)).toBe(true);
+
+        fire(document.activeElement, 'keydown', { key: 'Escape' });
+        expect(isShown()).toBe(false);
+        expect(document.activeElement).toBe(jumpCut);
+    });
+
+    it('toggles on click and closes on a click elsewhere', () => {
+        jumpCut.click();
+        expect(isShown()).toBe(true);
+
+        jumpCut.click();
+        expect(isShown()).toBe(false);
+
+        jumpCut.click();
+        document.querySelector('.outside').click();
+        expect(isShown()).toBe(false);
+    });
+});
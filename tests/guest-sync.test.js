@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createProgressStore } from '../app/progress.js'
+import { createAnnotationStore } from '../app/annotations.js'
+import { createMockClient } from './supabase-mock.js'
+
+const USER = { id: 'user-1' };
+
+const QUOTE = { prefix: 'A ', exact: 'jump cut', suffix: ' breaks' };
+
+function upsertedKeys(client, table, key) {
+    return client.writes
+        .filter(write => write.table === table && write.method === 'upsert')
+        .flatMap(write => write.rows.map(row => row[key]))
+        .sort();
+}
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('progress store sign-in', () => {
+    let client;
+
+    beforeEach(() => {
+        localStorage.setItem('progress', JSON.stringify({
+            framing: { completed: false, scroll: 0.5, updatedAt: '2026-10-01T10:00:00.000Z' }
+        }));
+        client = createMockClient({
+            progress: {
+                data: [{ lesson_slug: 'lighting', completed: true, scroll_position: 1, updated_at: '2026-09-01T10:00:00.000Z' }],
+                error: null
+            }
+        });
+    });
+
+    it('merges guest progress into the account and clears it locally', async () => {
+        const store = createProgressStore(client);
+
+        await store.setUser(USER);
+
+        expect(store.get('lighting')).toMatchObject({ completed: true });
+        expect(store.get('framing')).toMatchObject({ scroll: 0.5 });
+        expect(upsertedKeys(client, 'progress', 'lesson_slug')).toEqual(['framing']);
+        expect(localStorage.getItem('progress')).toBeNull();
+    });
+
+    it('keeps progress recorded while the account loads', async () => {
+        const store = createProgressStore(client);
+
+        const signingIn = store.setUser(USER);
+        store.setCompleted('editing', true);
+        await signingIn;
+
+        expect(store.get('editing')).toMatchObject({ completed: true });
+        expect(store.get('lighting')).toMatchObject({ completed: true });
+        expect(upsertedKeys(client, 'progress', 'lesson_slug')).toEqual(['editing', 'framing']);
+        expect(client.writes.every(write => write.rows.every(row => row.user_id === USER.id))).toBe(true);
+    });
+
+    it('stays with the guest when signed out before the account loads', async () => {
+        const store = createProgressStore(client);
+
+        const signingIn = store.setUser(USER);
+        store.setUser(null);
+        await signingIn;
+
+        expect(store.get('lighting')).toBeNull();
+        expect(store.get('framing')).toMatchObject({ scroll: 0.5 });
+        expect(client.writes).toEqual([]);
+        expect(localStorage.getItem('progress')).not.toBeNull();
+    });
+});
+
+describe('annotation store sign-in', () => {
+    it('keeps annotations added while the account loads', async () => {
+        const client = createMockClient({ annotations: { data: [], error: null } });
+        const store = createAnnotationStore(client);
+        const existing = store.add('editing', QUOTE);
+
+        const signingIn = store.setUser(USER);
+        const added = store.add('editing', QUOTE, 'Compare with a match cut');
+        await signingIn;
+
+        expect(store.list('editing').map(annotation => annotation.id)).toEqual([existing.id, added.id]);
+        expect(upsertedKeys(client, 'annotations', 'id')).toEqual([existing.id, added.id].sort());
+        expect(localStorage.getItem('annotations')).toBeNull();
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { setLocale, t } from '../app/i18n.js'
+import { messages as en } from '../app/locales/en.js'
+import { messages as es } from '../app/locales/es.js'
+import { messages as hy } from '../app/locales/hy.js'
+
+function placeholders(message) {
+    return Array.from(message.matchAll(/\{(\w+)\}/g), match => match[1]).sort();
+}
+
+afterEach(() => {
+    setLocale('en');
+});
+
+describe('message catalogs', () => {
+    it.each([['es', es], ['hy', hy]])('%s has every English key and no others', (code, catalog) => {
+        expect(Object.keys(catalog).sort()).toEqual(Object.keys(en).sort());
+    });
+
+    it.each([['es', es], ['hy', hy]])('%s uses the same placeholders as English', (code, catalog) => {
+        Object.keys(en).forEach(key => {
+            expect([key, placeholders(catalog[key])]).toEqual([key, placeholders(en[key])]);
+        });
+    });
+});
+
+describe('t', () => {
+    it('picks the plural form for a count', () => {
+        expect(t('flashcards.cardsLeft', { count: 1 })).toBe('1 card left');
+        expect(t('flashcards.cardsLeft', { count: 3 })).toBe('3 cards left');
+    });
+
+    it('uses the active locale', () => {
+        setLocale('es');
+
+        expect(t('quiz.progress', { number: 2, total: 5 })).toBe('Pregunta 2 de 5');
+        expect(t('flashcards.due', { count: 2 })).toBe('(2 pendientes)');
+    });
+});
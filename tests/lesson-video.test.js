@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { createVideoBlock, parseTimestamp } from '../app/lesson-video.js'
+
+describe('parseTimestamp', () => {
+    it('reads seconds, m:ss and mm:ss', () => {
+        expect(parseTimestamp('42')).toBe(42);
+        expect(parseTimestamp('0:12')).toBe(12);
+        expect(parseTimestamp('12:05')).toBe(725);
+        expect(parseTimestamp(' 1:30.5 ')).toBe(90.5);
+    });
+
+    it('reads h:mm:ss and hh:mm:ss', () => {
+        expect(parseTimestamp('1:02:03')).toBe(3723);
+        expect(parseTimestamp('10:00:00')).toBe(36000);
+    });
+
+    it('accepts non-negative numbers as seconds', () => {
+        expect(parseTimestamp(7.25)).toBe(7.25);
+        expect(parseTimestamp(-1)).toBeNull();
+        expect(parseTimestamp(Infinity)).toBeNull();
+    });
+
+    it('rejects anything else', () => {
+        ['', 'soon', '1:2:3:4', '1:234', '-0:10', '1:', ':30', '1,5'].forEach(value => {
+            expect(parseTimestamp(value)).toBeNull();
+        });
+        expect(parseTimestamp(null)).toBeNull();
+        expect(parseTimestamp(undefined)).toBeNull();
+    });
+});
+
+describe('createVideoBlock', () => {
+    function videoOf(block) {
+        return createVideoBlock(block).querySelector('video');
+    }
+
+    it('loads a clip and tracks from this site without CORS', () => {
+        const video = videoOf({ src: '/media/rack-focus.mp4', tracks: [{ src: '/media/rack-focus.en.vtt' }] });
+
+        expect(video.crossOrigin).toBeNull();
+    });
+
+    it('requests a clip from another origin over CORS', () => {
+        const video = videoOf({ src: 'https://media.example.org/rack-focus.mp4' });
+
+        expect(video.crossOrigin).toBe('anonymous');
+    });
+
+    it('requests a clip over CORS when only its tracks are on another origin', () => {
+        const video = videoOf({ src: '/media/rack-focus.mp4', tracks: [{ src: 'https://media.example.org/rack-focus.en.vtt' }] });
+
+        expect(video.crossOrigin).toBe('anonymous');
+        expect(video.querySelector('track').kind).toBe('captions');
+    });
+
+    it('skips a block without a usable source', () => {
+        expect(createVideoBlock({ src: 'javascript:alert(1)' })).toBeNull();
+        expect(createVideoBlock({})).toBeNull();
+    });
+});
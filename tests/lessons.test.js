@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { parseMarkdown, normalizeBlocks } from '../app/lessons.js'
+
+describe('parseMarkdown', () => {
+    it('splits a heading from the paragraph under it', () => {
+        expect(parseMarkdown('## Framing\nThe frame is\nwhat the camera sees.')).toEqual([
+            { type: 'heading', level: 2, text: 'Framing' },
+            { type: 'paragraph', text: 'The frame is what the camera sees.' }
+        ]);
+    });
+
+    it('ends a paragraph at a heading line', () => {
+        expect(parseMarkdown('Some text\n### Next\nMore text')).toEqual([
+            { type: 'paragraph', text: 'Some text' },
+            { type: 'heading', level: 3, text: 'Next' },
+            { type: 'paragraph', text: 'More text' }
+        ]);
+    });
+
+    it('parses bullet and numbered lists', () => {
+        expect(parseMarkdown('- Wide\n* Medium\n\n1. Plan\n2) Shoot\n   the scene\n3. Edit')).toEqual([
+            { type: 'list', ordered: false, items: ['Wide', 'Medium'] },
+            { type: 'list', ordered: true, items: ['Plan', 'Shoot the scene', 'Edit'] }
+        ]);
+    });
+
+    it('keeps the start number of a numbered list', () => {
+        expect(parseMarkdown('4. Grade\n5. Export')).toEqual([
+            { type: 'list', ordered: true, start: 4, items: ['Grade', 'Export'] }
+        ]);
+    });
+
+    it('does not start a list inside a paragraph unless it starts at 1', () => {
+        expect(parseMarkdown('It was released in\n1984. A classic.')).toEqual([
+            { type: 'paragraph', text: 'It was released in 1984. A classic.' }
+        ]);
+    });
+
+    it('joins blockquote lines and separates blocks at blank lines', () => {
+        expect(parseMarkdown('> Cinema is\n> a matter of what\'s in the frame\n\nAfter the quote.\r\n\r\nAnother paragraph.')).toEqual([
+            { type: 'quote', text: 'Cinema is a matter of what\'s in the frame' },
+            { type: 'paragraph', text: 'After the quote.' },
+            { type: 'paragraph', text: 'Another paragraph.' }
+        ]);
+    });
+});
+
+describe('normalizeBlocks', () => {
+    it('passes structured blocks through and parses JSON strings', () => {
+        const blocks = [{ type: 'paragraph', text: 'Hello' }];
+
+        expect(normalizeBlocks(blocks)).toBe(blocks);
+        expect(normalizeBlocks(JSON.stringify(blocks))).toEqual(blocks);
+        expect(normalizeBlocks(null)).toEqual([]);
+    });
+});
@@ -0,0 +1,125 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest'
+import { createServer } from 'node:http'
+import { createLogger, addReportSink, createHttpSink } from '../app/logger.js'
+
+const log = createLogger('test');
+
+let server;
+let endpoint;
+// Reports the endpoint received, and who is waiting for the next one
+let received = [];
+let resolveNextBody = null;
+let removeSink = null;
+
+function expectBody() {
+    return new Promise(resolve => {
+        resolveNextBody = resolve;
+    });
+}
+
+function listen(handler) {
+    return new Promise(resolve => {
+        const httpServer = createServer(handler);
+        httpServer.listen(0, '127.0.0.1', () => resolve(httpServer));
+    });
+}
+
+beforeAll(async () => {
+    server = await listen((request, response) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            received.push({ method: request.method, type: request.headers['content-type'], body: JSON.parse(body) });
+            response.writeHead(204).end();
+            if (resolveNextBody) {
+                resolveNextBody();
+                resolveNextBody = null;
+            }
+        });
+    });
+    endpoint = `http://127.0.0.1:${server.address().port}/errors`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => {
+    received = [];
+    if (removeSink) {
+        removeSink();
+        removeSink = null;
+    }
+});
+
+describe('createHttpSink', () => {
+    it('POSTs the serialized error as JSON, without the payload it carries', async () => {
+        removeSink = addReportSink(createHttpSink(endpoint, { fetch }));
+        const error = new Error('Insert failed');
+        error.payload = { note: 'My private note about the lesson' };
+
+        const arrived = expectBody();
+        log.error('Failed to save annotation', error, { table: 'annotations' });
+        await arrived;
+
+        const [{ method, type, body }] = received;
+        expect(method).toBe('POST');
+        expect(type).toBe('application/json');
+        expect(body).toMatchObject({
+            level: 'error',
+            scope: 'test',
+            message: 'Failed to save annotation',
+            error: { name: 'Error', message: 'Insert failed' },
+            context: { table: 'annotations' }
+        });
+        expect(typeof body.error.stack).toBe('string');
+        expect(JSON.stringify(body)).not.toContain('My private note');
+    });
+
+    it('stops sending after maxReports', async () => {
+        const send = vi.fn(fetch);
+        removeSink = addReportSink(createHttpSink(endpoint, { fetch: send, maxReports: 2 }));
+
+        const first = expectBody();
+        log.error('First');
+        await first;
+        const second = expectBody();
+        log.error('Second');
+        await second;
+        log.error('Third');
+        log.error('Fourth');
+
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(received.map(report => report.body.message)).toEqual(['First', 'Second']);
+    });
+
+    it('does not throw when the endpoint is down', async () => {
+        // A port that was free a moment ago refuses the connection
+        const closed = await listen(() => {});
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        const send = vi.fn(fetch);
+        removeSink = addReportSink(createHttpSink(`http://127.0.0.1:${port}/errors`, { fetch: send }));
+
+        expect(() => log.error('Nobody is listening')).not.toThrow();
+        expect(send).toHaveBeenCalledTimes(1);
+        await expect(send.mock.results[0].value).rejects.toThrow();
+    });
+
+    it('does not throw when the endpoint answers with an error', async () => {
+        const failing = await listen((request, response) => {
+            request.resume();
+            request.on('end', () => response.writeHead(500).end('Internal Server Error'));
+        });
+        const send = vi.fn(fetch);
+        removeSink = addReportSink(createHttpSink(`http://127.0.0.1:${failing.address().port}/errors`, { fetch: send }));
+
+        expect(() => log.error('Server is broken')).not.toThrow();
+        const response = await send.mock.results[0].value;
+        expect(response.status).toBe(500);
+
+        await new Promise(resolve => failing.close(resolve));
+    });
+});
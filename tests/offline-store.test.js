@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import { readCache, writeCache, staleWhileRevalidate } from '../app/offline-store.js'
+
+/**
+ * Just enough of IndexedDB for the cache: one object store, get and put
+ */
+function createFakeIndexedDB() {
+    const records = new Map();
+    const later = callback => setTimeout(callback, 0);
+
+    const db = {
+        objectStoreNames: { contains: () => true },
+        transaction() {
+            const transaction = {
+                objectStore: () => ({
+                    get(key) {
+                        const request = {};
+                        later(() => {
+                            request.result = records.get(key);
+                            request.onsuccess();
+                        });
+                        return request;
+                    },
+                    put(record) {
+                        records.set(record.key, structuredClone(record));
+                        later(() => transaction.oncomplete());
+                    }
+                })
+            };
+            return transaction;
+        }
+    };
+
+    return {
+        open() {
+            const request = {};
+            later(() => {
+                request.result = db;
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+const isEmpty = glossary => glossary.size === 0;
+
+// Lets the background refresh finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeAll(() => {
+    vi.stubGlobal('indexedDB', createFakeIndexedDB());
+});
+
+afterAll(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('staleWhileRevalidate', () => {
+    it('waits for the network without a cached copy, and caches the result', async () => {
+        const fresh = new Map([['Pan', { definition: 'Turning the camera' }]]);
+        const onUpdate = vi.fn();
+
+        await expect(staleWhileRevalidate('first-load', async () => fresh, { isEmpty, onUpdate })).resolves.toBe(fresh);
+
+        expect((await readCache('first-load')).value).toEqual(fresh);
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('returns the cached copy and hands newer data to onUpdate', async () => {
+        const cached = new Map([['Pan', { definition: 'Turning the camera' }]]);
+        const fresh = new Map([['Pan', { definition: 'Turning the camera sideways' }]]);
+        await writeCache('stale', cached);
+        const onUpdate = vi.fn();
+
+        await expect(staleWhileRevalidate('stale', async () => fresh, { isEmpty, onUpdate })).resolves.toEqual(cached);
+        await settle();
+
+        expect(onUpdate).toHaveBeenCalledWith(fresh);
+        expect((await readCache('stale')).value).toEqual(fresh);
+    });
+
+    it('does not call onUpdate when nothing changed', async () => {
+        const glossary = new Map([['Pan', { definition: 'Turning the camera' }]]);
+        await writeCache('unchanged', glossary);
+        const onUpdate = vi.fn();
+
+        await staleWhileRevalidate('unchanged', async () => new Map(glossary), { isEmpty, onUpdate });
+        await settle();
+
+        expect(onUpdate).not.toHaveBeenCalled();
+    });
+
+    it('uses the fallback without caching it when the network fails', async () => {
+        const fallback = vi.fn(async () => new Map([['Tilt', { definition: 'Tipping the camera' }]]));
+
+        const glossary = await staleWhileRevalidate('offline', async () => {
+            throw new TypeError('Failed to fetch');
+        }, { isEmpty, fallback });
+
+        expect(glossary.has('Tilt')).toBe(true);
+        expect(await readCache('offline')).toBeNull();
+    });
+
+    it('uses the fallback when the network has no data', async () => {
+        const fallback = vi.fn(async () => new Map([['Tilt', { definition: 'Tipping the camera' }]]));
+
+        await staleWhileRevalidate('empty', async () => new Map(), { isEmpty, fallback });
+
+        expect(fallback).toHaveBeenCalledTimes(1);
+        expect(await readCache('empty')).toBeNull();
+    });
+
+    it('keeps a good cached copy when the background refresh fails', async () => {
+        const cached = new Map([['Pan', { definition: 'Turning the camera' }]]);
+        await writeCache('kept', cached);
+        const fallback = vi.fn();
+        const onUpdate = vi.fn();
+
+        await expect(staleWhileRevalidate('kept', async () => {
+            throw new TypeError('Failed to fetch');
+        }, { isEmpty, fallback, onUpdate })).resolves.toEqual(cached);
+        await settle();
+
+        expect(fallback).not.toHaveBeenCalled();
+        expect(onUpdate).not.toHaveBeenCalled();
+        expect((await readCache('kept')).value).toEqual(cached);
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { computePlacement } from '../app/placement.js'
+
+const VIEWPORT = { top: 0, left: 0, right: 1000, bottom: 800 };
+const SIZE = { width: 200, height: 100 };
+
+// A one-line reference 100px wide and 20px tall, centred on x
+function term(x, top) {
+    return { left: x - 50, right: x + 50, top, bottom: top + 20 };
+}
+
+describe('computePlacement', () => {
+    it('centres the element above the reference, with the arrow in the middle', () => {
+        expect(computePlacement([term(500, 400)], SIZE, VIEWPORT)).toEqual({ x: 400, y: 288, side: 'top', line: 0, arrow: 100 });
+    });
+
+    it('keeps the preferred side while there is exactly enough room', () => {
+        // Room above = top - offset (12) - padding (10)
+        expect(computePlacement([term(500, 122)], SIZE, VIEWPORT)).toMatchObject({ side: 'top', y: 10 });
+        expect(computePlacement([term(500, 121)], SIZE, VIEWPORT)).toMatchObject({ side: 'bottom', y: 153 });
+    });
+
+    it('tries the fallbacks in order', () => {
+        const options = { side: 'left', fallbacks: ['right', 'top'] };
+
+        expect(computePlacement([term(500, 400)], SIZE, VIEWPORT, options)).toMatchObject({ side: 'left', x: 238, y: 360 });
+        expect(computePlacement([term(150, 400)], SIZE, VIEWPORT, options)).toMatchObject({ side: 'right', x: 212 });
+    });
+
+    it('takes the side with the most room when none is big enough, and stays inside the boundary', () => {
+        const boundary = { top: 0, left: 0, right: 300, bottom: 150 };
+        const reference = { left: 140, right: 160, top: 60, bottom: 80 };
+
+        expect(computePlacement([reference], SIZE, boundary)).toEqual({ x: 90, y: 20, side: 'right', line: 0, arrow: 50 });
+    });
+
+    it('shifts away from the viewport edge, keeping the arrow off the corners', () => {
+        const placement = computePlacement([term(20, 400)], SIZE, VIEWPORT);
+
+        expect(placement).toMatchObject({ side: 'top', x: 10 });
+        expect(placement.arrow).toBe(16);
+    });
+
+    it('places against the right line of a wrapped reference', () => {
+        const lines = [
+            { left: 800, right: 990, top: 400, bottom: 420 },
+            { left: 10, right: 100, top: 420, bottom: 440 }
+        ];
+
+        expect(computePlacement(lines, SIZE, VIEWPORT).line).toBe(0);
+        expect(computePlacement(lines, SIZE, VIEWPORT, { side: 'bottom' }).line).toBe(1);
+        expect(computePlacement(lines, SIZE, VIEWPORT, { point: { x: 50, y: 430 } }).line).toBe(1);
+        expect(computePlacement(lines, SIZE, VIEWPORT, { line: 1, point: { x: 900, y: 410 } }).line).toBe(1);
+    });
+
+    it('returns null for a reference that is not rendered', () => {
+        expect(computePlacement([], SIZE, VIEWPORT)).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { generateQuiz, checkAnswer } from '../app/quiz.js'
+import { startQuiz } from '../app/quiz-ui.js'
+import { addReportSink } from '../app/logger.js'
+
+const glossary = new Map([
+    ['Mise-en-scène', { definition: 'Everything placed in front of the camera', aliases: ['mise en scene'] }],
+    ['Jump cut', { definition: 'A jarring cut between two nearly identical shots', aliases: ['jump-cut'] }],
+    ['Dolly', { definition: 'A cart the camera moves on', aliases: [] }],
+    ['Pan', { definition: 'Turning the camera sideways', aliases: [] }],
+    ['Tilt', { definition: 'Tipping the camera up or down', aliases: [] }],
+    ['Close-up', { definition: 'A shot that fills the frame with a face', aliases: ['CU'] }]
+]);
+
+// Repeatable "random" numbers
+function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+function values(question) {
+    return question.choices.map(choice => choice.value);
+}
+
+afterEach(() => {
+    document.body.innerHTML = '';
+    localStorage.clear();
+});
+
+describe('generateQuiz', () => {
+    it('offers distinct choices that include the answer', () => {
+        const questions = generateQuiz(Array.from(glossary.keys()), glossary, { random: createRandom(7) });
+
+        const multipleChoice = questions.filter(question => question.type !== 'fill-in');
+        expect(multipleChoice.length).toBeGreaterThan(0);
+        multipleChoice.forEach(question => {
+            expect(question.choices).toHaveLength(4);
+            expect(new Set(values(question)).size).toBe(4);
+            expect(values(question)).toContain(question.answer);
+        });
+    });
+
+    it('offers fewer choices when the glossary has fewer terms than choices', () => {
+        const small = new Map(Array.from(glossary).slice(0, 3));
+
+        const questions = generateQuiz(['Dolly'], small, { types: ['definition-to-term'], random: createRandom(3) });
+
+        expect(questions).toHaveLength(1);
+        expect(values(questions[0]).sort()).toEqual(['Dolly', 'Jump cut', 'Mise-en-scène']);
+    });
+
+    it('asks only fill-in questions when there is nothing to choose between', () => {
+        const single = new Map([['Pan', glossary.get('Pan')]]);
+
+        const [question] = generateQuiz(['Pan'], single, { types: ['definition-to-term', 'term-to-definition'] });
+
+        expect(question.type).toBe('fill-in');
+        expect(question.choices).toBeUndefined();
+    });
+
+    it('leaves out terms that are not in the glossary', () => {
+        expect(generateQuiz(['Nope', 'Pan'], glossary).map(question => question.term)).toEqual(['Pan']);
+    });
+});
+
+describe('checkAnswer', () => {
+    const [fillIn] = generateQuiz(['Mise-en-scène'], glossary, { types: ['fill-in'] });
+
+    it('ignores case, accents, punctuation and extra spaces in typed answers', () => {
+        expect(checkAnswer(fillIn, 'Mise-en-scène')).toBe(true);
+        expect(checkAnswer(fillIn, '  MISE EN SCENE ')).toBe(true);
+        expect(checkAnswer(fillIn, 'mise—en—scéne')).toBe(true);
+    });
+
+    it('rejects wrong and empty typed answers', () => {
+        expect(checkAnswer(fillIn, 'mise')).toBe(false);
+        expect(checkAnswer(fillIn, '   ')).toBe(false);
+    });
+
+    it('compares chosen values exactly', () => {
+        const [question] = generateQuiz(['Pan'], glossary, { types: ['definition-to-term'] });
+
+        expect(checkAnswer(question, 'Pan')).toBe(true);
+        expect(checkAnswer(question, 'pan')).toBe(false);
+    });
+});
+
+describe('startQuiz', () => {
+    it('reports a result that could not be saved', async () => {
+        const reports = [];
+        const removeSink = addReportSink(report => reports.push(report));
+        const section = document.createElement('section');
+        document.body.appendChild(section);
+
+        // A one-term glossary gets a single fill-in question
+        startQuiz(section, ['Pan'], {
+            glossaryMap: new Map([['Pan', glossary.get('Pan')]]),
+            quizId: 'lesson:camera-moves',
+            results: {
+                save: async () => {
+                    throw new TypeError('Failed to fetch');
+                }
+            }
+        });
+        section.querySelector('.quiz-fill-in input').value = 'pan';
+        section.querySelector('.quiz-fill-in').dispatchEvent(new Event('submit', { cancelable: true }));
+        section.querySelector('.quiz-feedback + button').click();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        removeSink();
+
+        expect(section.querySelector('.quiz-title').textContent).toBe('You scored 1 of 1');
+        expect(reports).toHaveLength(1);
+        expect(reports[0]).toMatchObject({ scope: 'quiz', message: 'Failed to save quiz result', context: { quizId: 'lesson:camera-moves' } });
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createRouter, lessonHref } from '../app/router.js'
+
+// Routers created by the current test, stopped afterwards so their hashchange listeners don't pile up
+const routers = [];
+
+function createTestRouter() {
+    const lesson = vi.fn();
+    const notFound = vi.fn();
+    const router = createRouter([{ path: '/lessons/:slug', handler: lesson }], notFound);
+    routers.push(router);
+    return { router, lesson, notFound };
+}
+
+afterEach(async () => {
+    routers.splice(0).forEach(router => router.stop());
+    window.location.hash = '';
+    // hashchange fires asynchronously; let this test's events go by before the next test starts
+    await new Promise(resolve => setTimeout(resolve, 0));
+});
+
+describe('createRouter', () => {
+    it('passes decoded params to the handler', () => {
+        const { router, lesson } = createTestRouter();
+        window.location.hash = lessonHref('mise-en-scène');
+
+        router.resolve({ initial: true });
+
+        expect(lesson).toHaveBeenCalledWith({ slug: 'mise-en-scène' }, expect.objectContaining({ initial: true }));
+    });
+
+    it('sends a malformed escape to notFound instead of throwing', () => {
+        const { router, lesson, notFound } = createTestRouter();
+        window.location.hash = '#/lessons/%E0%A4%A';
+
+        expect(() => router.start()).not.toThrow();
+        expect(lesson).not.toHaveBeenCalled();
+        expect(notFound).toHaveBeenCalledWith('/lessons/%E0%A4%A', { initial: true });
+    });
+
+    it('follows hash changes until stopped', async () => {
+        const { router, lesson } = createTestRouter();
+        router.start();
+        lesson.mockClear();
+
+        window.location.hash = lessonHref('lighting');
+        await vi.waitFor(() => expect(lesson).toHaveBeenCalledWith({ slug: 'lighting' }, expect.objectContaining({ initial: false })));
+
+        router.stop();
+        window.location.hash = lessonHref('editing');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(lesson).toHaveBeenCalledTimes(1);
+    });
+});
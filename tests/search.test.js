@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { buildSearchIndex, search, tokenize } from '../app/search.js'
+
+const glossary = new Map([
+    ['Jump cut', { definition: 'A cut between two nearly identical shots', aliases: ['jump-cut'] }],
+    ['Production designer', { definition: 'Leads the team that designs and constructs the sets', aliases: [] }]
+]);
+
+const lessons = [
+    { slug: 'editing', title: 'Editing', module: 'Post-production', body: '## Cutting\n\nGodard made the jump cut famous.' },
+    { slug: 'sets', title: 'Building sets', module: 'Design', body: 'The constructor of a set works from the designer\'s plans.' }
+];
+
+function titles(results) {
+    return results.map(result => result.doc.title);
+}
+
+describe('tokenize', () => {
+    it('lowercases, strips accents and splits on anything but letters and digits', () => {
+        expect(tokenize('Mise-en-scène, 24fps')).toEqual(['mise', 'en', 'scene', '24fps']);
+    });
+});
+
+describe('buildSearchIndex', () => {
+    it('indexes words that are also Object.prototype members', () => {
+        const index = buildSearchIndex(lessons, glossary);
+
+        expect(index.postings.constructor).toEqual([[1, 1]]);
+        expect(Object.keys(index.postings)).not.toContain('tostring');
+    });
+
+    it('is plain data that survives a JSON round trip', () => {
+        const index = buildSearchIndex(lessons, glossary);
+
+        expect(JSON.parse(JSON.stringify(index))).toEqual(index);
+    });
+});
+
+describe('search', () => {
+    const index = buildSearchIndex(lessons, glossary);
+
+    it('finds lessons and terms, titles first', () => {
+        expect(titles(search(index, 'jump cut'))).toEqual(['Jump cut', 'Editing']);
+    });
+
+    it('matches the last word as a prefix while typing', () => {
+        expect(titles(search(index, 'produc'))).toEqual(['Production designer', 'Editing']);
+    });
+
+    it('finds "constructor" like any other word', () => {
+        expect(titles(search(index, 'constructor'))).toEqual(['Building sets']);
+    });
+
+    it('returns nothing for an empty query', () => {
+        expect(search(index, '  ')).toEqual([]);
+    });
+});
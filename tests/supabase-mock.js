@@ -0,0 +1,54 @@
+/**
+ * Film Home School - Supabase test double
+ * A client whose queries resolve to canned results, for passing to code that takes a Supabase client
+ */
+
+import { vi } from 'vitest'
+
+/**
+ * Create a mock client
+ * @param {object} tables - Result per table: { data, error } to resolve with, or an Error to reject with
+ *   (a network failure). Tables without a result resolve to { data: [], error: null }.
+ * @returns {object} - Client with from() as a spy, so tests can check which tables were queried, and
+ *   writes: the inserts, updates, upserts and deletes made so far ({ table, method, rows })
+ */
+function createMockClient(tables = {}) {
+    const writes = [];
+
+    function createQuery(table) {
+        const result = table in tables ? tables[table] : { data: [], error: null };
+        const settle = () => result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+
+        // Supabase query builders are chainable and thenable
+        const query = {
+            select: () => query,
+            eq: () => query,
+            order: () => query,
+            insert: rows => {
+                writes.push({ table, method: 'insert', rows: [].concat(rows) });
+                return query;
+            },
+            update: row => {
+                writes.push({ table, method: 'update', rows: [row] });
+                return query;
+            },
+            upsert: rows => {
+                writes.push({ table, method: 'upsert', rows: [].concat(rows) });
+                return query;
+            },
+            delete: () => {
+                writes.push({ table, method: 'delete', rows: [] });
+                return query;
+            },
+            then: (resolve, reject) => settle().then(resolve, reject)
+        };
+        return query;
+    }
+
+    return {
+        from: vi.fn(createQuery),
+        writes
+    };
+}
+
+export { createMockClient }
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.js'],
+        // Keep the app's logging out of the test output
+        env: { VITE_LOG_LEVEL: 'silent' }
+    }
+})